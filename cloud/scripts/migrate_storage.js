@@ -0,0 +1,52 @@
+// scripts/migrate_storage.js
+// ストレージ間のデータ移行（既定: JSON ファイル → SQLite）
+//   npm run storage:migrate                       … data/*.json と data/history を SQLITE_FILE へ
+//   npm run storage:migrate -- --from sqlite --to json
+// 対象: state / watchlist / seeds ドキュメントと ASIN ごとの履歴
+// 何度実行しても同じ結果になる（移行先の同名ドキュメント/同ASINの履歴は置き換え）
+import "dotenv/config";
+import { createDriver } from "../src/storage/driver.js";
+
+const DOCS = ["state", "watchlist", "seeds", "curation", "runs", "outbox", "digest", "arbitrage"];
+
+function arg(name, def) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : def;
+}
+
+const from = arg("from", "json");
+const to = arg("to", "sqlite");
+
+if (from === to) {
+  console.error(`--from and --to are both "${from}"`);
+  process.exit(1);
+}
+
+const src = createDriver(from);
+const dst = createDriver(to);
+
+console.log(`migrate ${from} (${src.locate("state")}) -> ${to} (${dst.locate("state")})`);
+
+try {
+  for (const name of DOCS) {
+    const doc = src.readDoc(name);
+    if (doc == null) {
+      console.log(`  ${name}: (none or not JSON, skipped)`);
+      continue;
+    }
+    dst.writeDoc(name, doc);
+    console.log(`  ${name}: ok`);
+  }
+
+  let points = 0;
+  const asins = src.historyAsins();
+  for (const asin of asins) {
+    const rows = src.readHistory(asin);
+    dst.replaceHistory(asin, rows);
+    points += rows.length;
+  }
+  console.log(`  history: ${asins.length} asins / ${points} points`);
+} finally {
+  src.close();
+  dst.close();
+}
@@ -0,0 +1,56 @@
+// src/config/arbitrage.js
+// プロファイルの価格差比較（arbitrage）の検証
+//   "arbitrage": {
+//     "sellIn": "us",          … 売る国（買う国はプロファイルの marketplace）
+//     "match": "ean",          … asin（同じ ASIN だけ、既定）/ ean（同じ ASIN が無ければ EAN で探す）
+//     "shipping": 1500,        … 1個あたりの送料（買う国の通貨）
+//     "fixedFee": 300,         … 1個あたりの固定費（買う国の通貨。梱包・関税など）
+//     "feePct": "15%",         … 売値に対する手数料率（0.15 でも可）
+//     "minSpread": 2000,       … 通知する利ざや（買う国の通貨）
+//     "minSpreadPct": "20%"    … 通知する利ざや率（仕入れ値 + 送料 + 固定費に対して。省略可）
+//   }
+// 計算と通知は jobs/lib/arbitrage.js / jobs/arbitrage.js
+import { MARKETPLACE_CODES, marketplaceOf } from "./marketplaces.js";
+import { isObj, isNum, ratioOf } from "./parse.js";
+
+export const MATCH_MODES = ["asin", "ean"];
+
+/**
+ * プロファイルの arbitrage を検証して正規化（問題は errors に積む）。未指定は null
+ * @param {any} raw profiles.json の arbitrage
+ * @param {object|null} buyIn 正規化済みのプロファイルの marketplace（買う国）
+ * @param {string} at エラー文言の位置
+ * @param {string[]} errors
+ */
+export function parseArbitrage(raw, buyIn, at, errors) {
+  if (raw == null) return null;
+  if (!isObj(raw)) {
+    errors.push(`${at} must be an object { sellIn, match, shipping, feePct, minSpread }`);
+    return null;
+  }
+
+  const sellIn = marketplaceOf(raw.sellIn);
+  if (!sellIn) errors.push(`${at}.sellIn must be one of ${MARKETPLACE_CODES.join(" / ")}`);
+  else if (sellIn === buyIn) errors.push(`${at}.sellIn must differ from the profile's marketplace (${buyIn.code})`);
+
+  const match = raw.match ?? "asin";
+  if (!MATCH_MODES.includes(match)) errors.push(`${at}.match must be one of ${MATCH_MODES.join(" / ")}`);
+
+  for (const k of ["shipping", "fixedFee", "minSpread"]) {
+    if (raw[k] != null && !(isNum(raw[k]) && raw[k] >= 0)) errors.push(`${at}.${k} must be a number >= 0`);
+  }
+  const feePct = ratioOf(raw.feePct ?? 0, { signed: true });
+  if (!(feePct >= 0 && feePct < 1)) errors.push(`${at}.feePct must be a ratio like "15%" (0% - 99%)`);
+  const minSpreadPct = raw.minSpreadPct == null ? null : ratioOf(raw.minSpreadPct, { signed: true });
+  if (minSpreadPct != null && !Number.isFinite(minSpreadPct)) errors.push(`${at}.minSpreadPct must be a ratio like "20%"`);
+
+  return {
+    sellIn,
+    match,
+    shipping: raw.shipping ?? 0,
+    fixedFee: raw.fixedFee ?? 0,
+    feePct,
+    minSpread: raw.minSpread ?? 0,
+    minSpreadPct,
+  };
+}
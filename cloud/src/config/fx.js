@@ -0,0 +1,75 @@
+// src/config/fx.js
+// 為替レート表（data/fx_rates.json、FX_RATES_FILE で別ファイル）
+//   { "base": "JPY", "updatedAt": "2026-10-01", "rates": { "JPY": 1, "USD": 150, "EUR": 162 } }
+// - rates は「その通貨 1 単位が base でいくらか」。base 以外どうしの換算も base 経由でできる
+// - 自動では更新しない（取得元に依存しないよう、手で更新する前提）。updatedAt は表示用
+// - 価格差の比較（jobs/arbitrage.js）が使う
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.resolve(__dirname, "../../data/fx_rates.json");
+
+const CURRENCY_RE = /^[A-Z]{3}$/;
+
+export function fxRatesAbsPath() {
+  const raw = process.env.FX_RATES_FILE;
+  return raw ? path.resolve(raw) : DEFAULT_FILE;
+}
+
+/**
+ * レート表を検証して正規化（問題はまとめて1つの Error）
+ * @param {any} json
+ * @returns {{ base: string, updatedAt: string|null, rates: Record<string, number> }}
+ */
+export function validateRates(json) {
+  const errors = [];
+  const base = String(json?.base ?? "").toUpperCase();
+  if (!CURRENCY_RE.test(base)) errors.push('"base" must be a currency code like "JPY"');
+
+  const rates = {};
+  const raw = json?.rates;
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push('"rates" must be an object { "USD": 150, ... }');
+  } else {
+    for (const [k, v] of Object.entries(raw)) {
+      const code = k.toUpperCase();
+      if (!CURRENCY_RE.test(code)) errors.push(`rates.${k}: not a currency code`);
+      else if (!(typeof v === "number" && Number.isFinite(v) && v > 0)) errors.push(`rates.${k} must be a positive number`);
+      else rates[code] = v;
+    }
+  }
+  if (CURRENCY_RE.test(base)) rates[base] ??= 1;
+
+  if (errors.length) throw new Error(`fx rates are invalid:\n  - ${errors.join("\n  - ")}`);
+  return { base, updatedAt: json.updatedAt ?? null, rates };
+}
+
+/** data/fx_rates.json を読み込んで検証済みのレート表を返す */
+export function loadRates(file = fxRatesAbsPath()) {
+  if (!fs.existsSync(file)) throw new Error(`fx rates file not found: ${file}`);
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    throw new Error(`fx rates file is not valid JSON: ${file} (${e.message})`);
+  }
+  return validateRates(json);
+}
+
+/**
+ * 通貨を換算（レートが無い通貨は Error）
+ * @param {number} v
+ * @param {string} from "USD"
+ * @param {string} to "JPY"
+ * @param {{ base: string, rates: Record<string, number> }} table loadRates() の戻り値
+ */
+export function convert(v, from, to, table) {
+  if (from === to) return v;
+  for (const c of [from, to]) {
+    if (!table.rates[c]) throw new Error(`no fx rate for ${c} (add it to ${path.basename(fxRatesAbsPath())})`);
+  }
+  return (v * table.rates[from]) / table.rates[to];
+}
@@ -0,0 +1,17 @@
+// src/config/parse.js
+// profiles.json の値を検証するときの小さな共通処理（config/ の各検証、jobs/lib/profit.js / severity.js / templates.js、services/blockkit.js）
+
+export const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+export const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+/**
+ * "15%" / 0.15 → 0.15（不正なら NaN）。"-10%" は signed: true のときだけ通す
+ * @param {any} v
+ * @param {{ signed?: boolean }} [options]
+ * @returns {number}
+ */
+export function ratioOf(v, { signed = false } = {}) {
+  if (isNum(v)) return v;
+  const m = String(v ?? "").trim().match(signed ? /^(-?\d+(?:\.\d+)?)\s*%$/ : /^(\d+(?:\.\d+)?)\s*%$/);
+  return m ? Number(m[1]) / 100 : NaN;
+}
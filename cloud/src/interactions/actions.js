@@ -0,0 +1,89 @@
+// src/interactions/actions.js
+// 通知に付けるキュレーション用ボタン（ミュート / スヌーズ / 監視リストに追加 / 興味なし）と、その処理
+// - ボタンは SLACK_ACTIONS=on のときだけ付ける（Slack App の Interactivity を設定してから有効化）
+// - 押されたボタンは interactions/server.js が受けて applyAction() を呼ぶ
+import { loadCuration, saveCuration, muteAsin, snoozeAsin, dismissAsin } from "../storage/curation.js";
+import { addAsins } from "../storage/watchlist.js";
+
+export const ACTIONS_ENABLED = (process.env.SLACK_ACTIONS || "off").toLowerCase() === "on";
+const SNOOZE_HOURS = Number(process.env.SNOOZE_HOURS || 24);
+
+export const ACTION_IDS = {
+  mute: "pw_mute",
+  snooze: "pw_snooze",
+  watch: "pw_watch",
+  dismiss: "pw_dismiss",
+};
+
+const button = (actionId, text, value) => ({
+  type: "button",
+  action_id: actionId,
+  text: { type: "plain_text", text },
+  value,
+});
+
+/**
+ * ボタン要素の配列（無効時は []）
+ * @param {string} asin
+ * @param {string} [profileKey] 「興味なし」の対象プロファイル
+ * @param {{ watch?: boolean, dismiss?: boolean }} [options] 監視リスト通知では watch/dismiss を出さない
+ */
+export function curateButtons(asin, profileKey, options = {}) {
+  if (!ACTIONS_ENABLED || !asin) return [];
+  const value = JSON.stringify({ asin, profile: profileKey || null });
+  const out = [
+    button(ACTION_IDS.mute, "🔕 ミュート", value),
+    button(ACTION_IDS.snooze, `💤 ${SNOOZE_HOURS}時間スヌーズ`, value),
+  ];
+  if (options.watch !== false) out.push(button(ACTION_IDS.watch, "👀 監視リストに追加", value));
+  if (options.dismiss !== false && profileKey) out.push(button(ACTION_IDS.dismiss, "🙅 興味なし", value));
+  return out;
+}
+
+/** ボタンだけの actions ブロック（無効時は []、blocks に展開して使う） */
+export function curateBlocks(asin, profileKey, options = {}) {
+  const elements = curateButtons(asin, profileKey, options);
+  return elements.length ? [{ type: "actions", elements }] : [];
+}
+
+/**
+ * 押されたボタンを反映して、返信用の文言を返す（対象外の action_id は null）
+ * @param {{ action_id: string, value?: string }} action
+ * @param {string} [user] 押した人（Slack のユーザー名）
+ */
+export function applyAction(action, user = null) {
+  let v;
+  try {
+    v = JSON.parse(action.value || "{}");
+  } catch {
+    return null;
+  }
+  const asin = String(v.asin || "").trim();
+  if (!asin) return null;
+
+  switch (action.action_id) {
+    case ACTION_IDS.mute: {
+      const cur = loadCuration();
+      muteAsin(cur, asin, user);
+      saveCuration(cur);
+      return `🔕 ${asin} をミュートしました（全ジョブで通知しません）`;
+    }
+    case ACTION_IDS.snooze: {
+      const cur = loadCuration();
+      snoozeAsin(cur, asin, SNOOZE_HOURS, user);
+      saveCuration(cur);
+      return `💤 ${asin} を${SNOOZE_HOURS}時間スヌーズしました`;
+    }
+    case ACTION_IDS.watch:
+      addAsins([asin]);
+      return `👀 ${asin} を監視リストに追加しました`;
+    case ACTION_IDS.dismiss: {
+      const cur = loadCuration();
+      dismissAsin(cur, asin, v.profile, user);
+      saveCuration(cur);
+      return `🙅 ${asin} は今後 ${v.profile} では通知しません`;
+    }
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,194 @@
+// src/interactions/commands.js
+// /pricewatch スラッシュコマンド（interactions/server.js の POST /slack/commands が呼ぶ）
+//   /pricewatch add <ASIN> [目標価格] [below|above] [landed|new|amazon]  … 監視リストに追加
+//   /pricewatch remove <ASIN> [...]   … 監視リストから削除
+//   /pricewatch list                  … 監視リスト
+//   /pricewatch price <ASIN>          … 現在価格（Keepa /product）
+//   /pricewatch run <profile key>     … プロファイルを今すぐ実行（monitor_profile.js を子プロセスで）
+//   /pricewatch last                  … 各ジョブの直近の実行結果
+// - ASIN は Amazon の商品 URL でも可（/dp/<ASIN>）
+// - Slack は3秒以内の応答が必要なので、price / run は受付だけ返して結果は reply()（response_url）で送る
+// - price / 監視リストの価格は KEEPA_DOMAIN の国の通貨（run はプロファイルの marketplace）
+// - services/keepa.js（と、それを読む jobs/lib/core.js）は KEEPA_API_KEY が無いと読み込めないので price の中で読み込む
+//   （Keepa のキーが無くてもボタンと他のコマンドは動く）
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { loadProfiles, getProfile } from "../config/profiles.js";
+import { watchEntries, addAsins, removeAsins, TARGET_FIELDS, TARGET_DIRECTIONS } from "../storage/watchlist.js";
+import { loadRuns } from "../storage/runs.js";
+import { formatPrice, defaultMarketplace } from "../config/marketplaces.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROFILE_JOB = path.resolve(__dirname, "../jobs/monitor_profile.js");
+const TZ = "Asia/Tokyo";
+const LIST_MAX = 50;
+
+const TARGET_LABEL = { landed: "カート", new: "新品", amazon: "Amazon" };
+
+const yen = (v) => formatPrice(v);
+const jpTime = (t) => (t ? new Date(t).toLocaleString("ja-JP", { timeZone: TZ }) : "-");
+
+/** ASIN か商品 URL から ASIN を取り出す（取れなければ null） */
+export function parseAsin(s) {
+  const raw = String(s || "").trim().replace(/^<|>$/g, "");
+  const m = raw.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})/i) || raw.match(/^([A-Z0-9]{10})$/i);
+  return m ? m[1].toUpperCase() : null;
+}
+
+const HELP = [
+  "*/pricewatch の使い方*",
+  "`add <ASIN> [目標価格] [below|above] [landed|new|amazon]` 監視リストに追加（目標価格は任意）",
+  "`remove <ASIN> [...]` 監視リストから削除",
+  "`list` 監視リスト",
+  "`price <ASIN>` 現在価格",
+  "`run <プロファイル>` プロファイルを今すぐ実行",
+  "`last` 各ジョブの直近の実行結果",
+].join("\n");
+
+// ===== add / remove / list =====
+function cmdAdd(args) {
+  const asins = [];
+  const opts = [];
+  for (const a of args) {
+    const asin = parseAsin(a);
+    if (asin) asins.push(asin);
+    else opts.push(a.toLowerCase());
+  }
+  if (!asins.length) return "ASIN を指定してください（例: `/pricewatch add B0XXXXXXXX 3000`）";
+
+  const priceArg = opts.find((o) => /^[\d,]+$/.test(o));
+  if (!priceArg) {
+    addAsins(asins);
+    return `👀 監視リストに追加しました: ${asins.join(", ")}`;
+  }
+
+  if (asins.length > 1) return "目標価格を付けるときは ASIN を1つだけ指定してください";
+  const price = Number(priceArg.replace(/,/g, ""));
+  const direction = opts.find((o) => TARGET_DIRECTIONS.includes(o)) || "below";
+  const field = opts.find((o) => TARGET_FIELDS.includes(o)) || "landed";
+  const unknown = opts.filter((o) => o !== priceArg && o !== direction && o !== field);
+  if (!(price > 0) || unknown.length) return `解釈できない指定があります: ${unknown.join(" ") || priceArg}`;
+
+  addAsins([{ asin: asins[0], target: { price, field, direction } }]);
+  return `🎯 ${asins[0]} を監視リストに追加しました（${TARGET_LABEL[field]} ${direction === "below" ? "≤" : "≥"} ${yen(price)}）`;
+}
+
+function cmdRemove(args) {
+  const asins = args.map(parseAsin).filter(Boolean);
+  if (!asins.length) return "ASIN を指定してください（例: `/pricewatch remove B0XXXXXXXX`）";
+  const removed = removeAsins(asins);
+  const missing = asins.filter((a) => !removed.includes(a));
+  const lines = [];
+  if (removed.length) lines.push(`🗑 監視リストから削除しました: ${removed.join(", ")}`);
+  if (missing.length) lines.push(`監視リストにありません: ${missing.join(", ")}`);
+  return lines.join("\n");
+}
+
+function cmdList() {
+  const entries = watchEntries();
+  if (!entries.length) return "監視リストは空です";
+  const lines = entries.slice(0, LIST_MAX).map((e) => {
+    const t = e.target;
+    const target = t ? `  🎯 ${TARGET_LABEL[t.field]} ${t.direction === "below" ? "≤" : "≥"} ${yen(t.price)}` : "";
+    const note = e.note ? `  _${e.note}_` : "";
+    return `• <https://${defaultMarketplace().host}/dp/${e.asin}|${e.asin}>${target}${note}`;
+  });
+  if (entries.length > LIST_MAX) lines.push(`…ほか${entries.length - LIST_MAX}件`);
+  return [`*監視リスト ${entries.length}件*`, ...lines].join("\n");
+}
+
+// ===== price =====
+async function priceText(asin) {
+  const [{ keepaProduct }, { currentLandedPrice, currentNewPrice, currentAmazonPrice, currentRank, amazonOOS, urlOf, keepaUrl }] =
+    await Promise.all([import("../services/keepa.js"), import("../jobs/lib/core.js")]);
+  const res = await keepaProduct([asin], { statsDays: 1, buybox: true, cache: false });
+  const p = (res?.products || []).find((x) => x?.asin === asin);
+  if (!p || !p.title) return `${asin} は Keepa に見つかりませんでした`;
+  return [
+    `*${p.title}*  <${urlOf(asin)}|Amazon> ・ <${keepaUrl(asin)}|Keepa>  (${asin})`,
+    `カート(送料込): *${yen(currentLandedPrice(p))}* ｜ 新品最安: ${yen(currentNewPrice(p))} ｜ Amazon: ${
+      amazonOOS(p) ? "在庫なし" : yen(currentAmazonPrice(p))
+    }`,
+    `ランキング: ${currentRank(p) ?? "-"}位`,
+  ].join("\n");
+}
+
+function cmdPrice(args, reply) {
+  const asin = parseAsin(args[0]);
+  if (!asin) return "ASIN を指定してください（例: `/pricewatch price B0XXXXXXXX`）";
+  priceText(asin)
+    .then(reply)
+    .catch((e) => reply(`⚠️ ${asin} の価格を取得できませんでした: ${e?.message || e}`));
+  return `🔎 ${asin} の価格を取得しています…`;
+}
+
+// ===== last =====
+const summaryText = (summary = {}) =>
+  Object.entries(summary)
+    .map(([k, v]) =>
+      v && typeof v === "object"
+        ? `${k}: ${Object.entries(v).map(([k2, v2]) => `${k2}=${v2}`).join(" ") || "-"}`
+        : `${k}=${v}`
+    )
+    .join(" / ");
+
+function runLine(job, r) {
+  const sec = r.finishedAt && r.startedAt ? Math.round((r.finishedAt - r.startedAt) / 1000) : null;
+  const head = `${r.ok ? "✅" : "❌"} *${job}*  ${jpTime(r.finishedAt)}${sec != null ? `（${sec}秒）` : ""}`;
+  return r.ok ? `${head}\n    ${summaryText(r.summary) || "-"}` : `${head}\n    ${r.error || "error"}`;
+}
+
+function cmdLast() {
+  const runs = Object.entries(loadRuns()).sort(([, a], [, b]) => (b.finishedAt || 0) - (a.finishedAt || 0));
+  if (!runs.length) return "まだ実行記録がありません";
+  return ["*直近の実行結果*", ...runs.map(([job, r]) => runLine(job, r))].join("\n");
+}
+
+// ===== run =====
+const running = new Map(); // profile key -> child
+
+function cmdRun(args, reply) {
+  if (!args[0]) return `プロファイルを指定してください（${loadProfiles().map((p) => p.key).join(" / ")}）`;
+  const profile = getProfile(args[0]);
+  if (running.has(profile.key)) return `⏳ ${profile.key} は実行中です`;
+
+  const spawnedAt = Date.now();
+  const child = spawn(process.execPath, [PROFILE_JOB, profile.key], { stdio: "inherit", env: process.env });
+  running.set(profile.key, child);
+  child.on("exit", (code) => {
+    running.delete(profile.key);
+    const r = loadRuns()[`monitor_profile:${profile.key}`];
+    reply(r?.startedAt >= spawnedAt ? runLine(`monitor_profile:${profile.key}`, r) : `❌ ${profile.key} exit=${code}`);
+  });
+  child.on("error", (e) => {
+    running.delete(profile.key);
+    reply(`❌ ${profile.key} を起動できませんでした: ${e?.message || e}`);
+  });
+  return `▶️ ${profile.name} を実行します（終わったらお知らせします）`;
+}
+
+const COMMANDS = {
+  add: cmdAdd,
+  remove: cmdRemove,
+  rm: cmdRemove,
+  list: cmdList,
+  ls: cmdList,
+  price: cmdPrice,
+  run: cmdRun,
+  last: cmdLast,
+  status: cmdLast,
+  help: () => HELP,
+};
+
+/**
+ * /pricewatch のテキストを実行して、すぐ返す文言を返す
+ * @param {string} text コマンドの引数部分（例: "add B0XXXXXXXX"）
+ * @param {(text: string) => void} reply あとから結果を送る（response_url）
+ */
+export function runCommand(text, reply) {
+  const [sub = "help", ...args] = String(text || "").trim().split(/\s+/).filter(Boolean);
+  const cmd = COMMANDS[sub.toLowerCase()];
+  if (!cmd) return `不明なコマンド: ${sub}\n${HELP}`;
+  return cmd(args, reply);
+}
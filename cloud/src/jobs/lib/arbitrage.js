@@ -0,0 +1,159 @@
+// src/jobs/lib/arbitrage.js
+// 国をまたいだ価格差（買う国で仕入れて、売る国で売ったときの利ざや）
+// - 設定はプロファイルの arbitrage（config/arbitrage.js）
+// - 価格は両国ともカート価格（送料込、lib/item.js の landedPrice）。売値は config/fx.js のレートで買う国の通貨に換算
+// - 利ざや = 売値（換算）− 手数料 − 仕入れ値 − 送料 − 固定費
+import { landedPrice, normalizeTitle } from "./item.js";
+import { urlOf, keepaUrl } from "./core.js";
+import { convert } from "../../config/fx.js";
+import { formatPrice } from "../../config/marketplaces.js";
+import { curateBlocks } from "../../interactions/actions.js";
+
+/** 同じ商品の EAN（Keepa の eanList / upcList） */
+export const codesOf = (product) => [...(product?.eanList || []), ...(product?.upcList || [])].map(String);
+
+/**
+ * 買う国の商品に、売る国の同じ商品を対応付ける
+ * @param {object[]} buyProducts
+ * @param {object[]} sellProducts ASIN で引いた分 + EAN で引いた分
+ * @param {"asin"|"ean"} match
+ * @returns {Array<{ buy: object, sell: object, matchedBy: "asin"|"ean" }>}
+ */
+export function pairProducts(buyProducts, sellProducts, match = "asin") {
+  const byAsin = new Map();
+  const byCode = new Map();
+  for (const p of sellProducts) {
+    if (!p?.asin) continue;
+    if (landedPrice(p) != null) byAsin.set(p.asin, p);
+    for (const c of codesOf(p)) if (!byCode.has(c) && landedPrice(p) != null) byCode.set(c, p);
+  }
+
+  const out = [];
+  for (const buy of buyProducts) {
+    if (byAsin.has(buy.asin)) {
+      out.push({ buy, sell: byAsin.get(buy.asin), matchedBy: "asin" });
+      continue;
+    }
+    if (match !== "ean") continue;
+    const code = codesOf(buy).find((c) => byCode.has(c));
+    if (code) out.push({ buy, sell: byCode.get(code), matchedBy: "ean" });
+  }
+  return out;
+}
+
+/**
+ * 1組分の利ざや（金額は買う国の通貨）。どちらかの価格が無ければ null
+ * @param {{ buy: object, sell: object, matchedBy: string }} pair pairProducts() の1件
+ * @param {object} config parseArbitrage() の戻り値
+ * @param {object} buyIn 買う国（プロファイルの marketplace）
+ * @param {object} rates config/fx.js の loadRates()
+ */
+export function spreadOf({ buy, sell, matchedBy }, config, buyIn, rates) {
+  const buyPrice = landedPrice(buy);
+  const sellPrice = landedPrice(sell);
+  if (buyPrice == null || sellPrice == null) return null;
+
+  const sellConverted = convert(sellPrice, config.sellIn.currency, buyIn.currency, rates);
+  const fees = sellConverted * config.feePct;
+  const cost = buyPrice + config.shipping + config.fixedFee;
+  const spread = sellConverted - fees - cost;
+
+  return {
+    asin: buy.asin,
+    sellAsin: sell.asin,
+    matchedBy,
+    title: normalizeTitle(buy.title || sell.title),
+    buyPrice,
+    sellPrice,
+    sellConverted,
+    fees,
+    shipping: config.shipping,
+    fixedFee: config.fixedFee,
+    cost,
+    spread,
+    spreadPct: cost > 0 ? spread / cost : null,
+  };
+}
+
+/** 通知するか（minSpread と minSpreadPct の両方を満たす） */
+export function worthAlert(item, config) {
+  if (item.spread < config.minSpread) return false;
+  if (config.minSpreadPct != null && !(item.spreadPct >= config.minSpreadPct)) return false;
+  return true;
+}
+
+const pct = (v) => (v == null ? "-" : `${v > 0 ? "+" : ""}${Math.round(v * 1000) / 10}%`);
+
+/**
+ * 1件分の blocks
+ * @param {object} profile
+ * @param {object} it spreadOf() の戻り値
+ */
+export function renderSpread(profile, it) {
+  const buyIn = profile.marketplace;
+  const sellIn = profile.arbitrage.sellIn;
+  const money = (v) => formatPrice(v, buyIn);
+  const ean = it.matchedBy === "ean" ? `（EAN 一致: ${it.sellAsin}）` : "";
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: [
+          `*${it.title}*  (${it.asin})`,
+          `仕入れ ${buyIn.code.toUpperCase()}: ${money(it.buyPrice)} ＋ 送料 ${money(it.shipping)}${it.fixedFee ? ` ＋ 固定費 ${money(it.fixedFee)}` : ""}`,
+          `販売 ${sellIn.code.toUpperCase()}: ${formatPrice(it.sellPrice, sellIn)}（≈ ${money(it.sellConverted)}）− 手数料 ${money(it.fees)}${ean}`,
+          `利ざや: *${formatPrice(it.spread, buyIn, { signed: true })}*（${pct(it.spreadPct)}）`,
+        ].join("\n"),
+      },
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: [
+            `<${urlOf(it.asin, buyIn)}|Amazon ${buyIn.code.toUpperCase()}>`,
+            `<${urlOf(it.sellAsin, sellIn)}|Amazon ${sellIn.code.toUpperCase()}>`,
+            `<${keepaUrl(it.asin, buyIn)}|Keepa ${buyIn.code.toUpperCase()}>`,
+            `<${keepaUrl(it.sellAsin, sellIn)}|Keepa ${sellIn.code.toUpperCase()}>`,
+          ].join(" ・ "),
+        },
+      ],
+    },
+    ...curateBlocks(it.asin, profile.key),
+    { type: "divider" },
+  ];
+}
+
+/**
+ * 通知1通分の blocks（見出し + レート + 各商品）
+ * @param {object} profile
+ * @param {object[]} items spreadOf() の戻り値
+ * @param {object} rates config/fx.js の loadRates()
+ */
+export function buildSpreadBlocks(profile, items, rates) {
+  const buyIn = profile.marketplace;
+  const sellIn = profile.arbitrage.sellIn;
+  const rate = convert(1, sellIn.currency, buyIn.currency, rates);
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*💱 ${profile.name} 価格差 ${buyIn.code.toUpperCase()} → ${sellIn.code.toUpperCase()}  ${items.length}件*`,
+      },
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `1 ${sellIn.currency} = ${formatPrice(rate, buyIn)}${rates.updatedAt ? `（レート ${rates.updatedAt}）` : ""} ／ 手数料 ${pct(profile.arbitrage.feePct).replace("+", "")}`,
+        },
+      ],
+    },
+    { type: "divider" },
+    ...items.flatMap((it) => renderSpread(profile, it)),
+  ];
+}
@@ -1,11 +1,17 @@
 // src/jobs/lib/core.js  --- streaming型でカテゴリ厳密収集に刷新
 import "dotenv/config";
 import { keepaQuery, keepaProduct } from "../../services/keepa.js";
+import { deliver, notify, flushOutbox } from "../../services/outbox.js";
+import { productView } from "./view.js";
+import { currentValue } from "./keepa_csv.js";
+import { itemView, itemData, landedPrice } from "./item.js";
+import { templateFor, renderItem } from "./templates.js";
+import { severityOf, groupBySeverity, applyRoute } from "./severity.js";
+import { loadCuration, suppressedBy } from "../../storage/curation.js";
+import { defaultMarketplace, formatTime } from "../../config/marketplaces.js";
+import { LOW_STATS_DAYS } from "./lows.js";
 
 // ========= ENV =========
-const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL || "";
-const KEEPADOMAIN = Number(process.env.KEEPA_DOMAIN || 5);
-const TZ = "Asia/Tokyo";
 
 const FINDER_PER_PAGE = Number(process.env.FINDER_PER_PAGE || 100);
 const FINDER_MAX_PAGES = Number(process.env.FINDER_MAX_PAGES || 20);
@@ -19,84 +25,54 @@ const STRICT_FINDER = String(process.env.STRICT_FINDER || "on").toLowerCase() ==
 const STRICT_CATEGORY_MATCH = String(process.env.STRICT_CATEGORY_MATCH || "on").toLowerCase() === "on";
 
 // ========= Slack =========
-export async function slack({ text, blocks }) {
-  if (!SLACK_WEBHOOK_URL) { console.log(ts(), "WARN Slack未設定"); return; }
-  const ctl = new AbortController(); const to = setTimeout(()=>ctl.abort(), 15000);
-  try{
-    const res = await fetch(SLACK_WEBHOOK_URL, {
-      method:"POST", headers:{ "content-type":"application/json" },
-      body: JSON.stringify(blocks ? { text: text ?? "notification", blocks } : { text: text ?? "notification" }),
-      signal: ctl.signal
-    });
-    clearTimeout(to);
-    if (!res.ok) console.log(ts(), "ERR Slack", res.status, await res.text().catch(()=>"" ));
-    else console.log(ts(), "Slack ok", res.status);
-  }catch(e){ clearTimeout(to); console.log(ts(), "ERR Slack", e?.message||e); }
+// 送信は services/outbox.js 経由（429 等は再試行、届かなければ送信待ちに積んで次回送る）。失敗はログだけでジョブは続ける
+// dest: プロファイルの notify（配列: Slack / Discord / メール / Webhook）か slack（{ webhookUrl, webhookEnv, channel }）
+//       か webhook URL 文字列（こちらは積まない）
+// queue: { job, meta }（省略時は積まない）
+export async function slack({ text, blocks, ...rest }, dest = {}, queue = {}) {
+  const payload = blocks ? { ...rest, text: text ?? "notification", blocks } : { ...rest, text: text ?? "notification" };
+  const r = Array.isArray(dest)
+    ? await notify(payload, dest, queue)
+    : await deliver(payload, typeof dest === "string" ? { webhookUrl: dest } : dest, queue);
+  if (r.ok){ console.log(ts(), "Slack ok", r.result.transport); return r.result; }
+  console.log(ts(), r.queued ? "Slack queued" : "ERR Slack", r.error?.message||r.error);
+  return null;
 }
 export const headerBlock = (title)=>[{ type:"section", text:{ type:"mrkdwn", text:`*${title}*` } }, { type:"divider" }];
-export const itemBlock = (it)=>{
-  const lines = [
-    `*${it.title}*  <${it.url}|Amazon> ・ <${it.keepa}|Keepa>  (${it.asin})`
-  ];
-  lines.push(`ランキング: *${it.rank ?? "不明"}*`);
-  lines.push(`現在価格(送料込): ${it.priceJpy ?? "不明"}（7日前: ${it.pastJpy ?? "不明"}）`);
-  lines.push(`7日変化: ${it.changePctStr ?? "?"}`);
-  lines.push(`Amazon在庫: ${it.amazonOOS ? "なし" : "あり"} ｜ BuyBox: ${it.bbIsAmazon ? "Amazon" : "3P"}`);
-  if (it.catNote) lines.push(`_(注: ${it.catNote})_`);
-  return [{ type:"section", text:{ type:"mrkdwn", text:lines.join("\n") } }, { type:"divider" }];
-};
-
 // ========= Utils =========
 export const ts   = ()=> new Date().toISOString();
-export const jpNow= ()=> new Date().toLocaleString("ja-JP",{ timeZone: TZ });
-export const urlOf    = (asin)=> `https://www.amazon.co.jp/dp/${asin}`;
-export const keepaUrl = (asin)=> `https://keepa.com/#!product/${KEEPADOMAIN}-${asin}`;
-
-// Keepa time (minutes since 2011-01-01 UTC)
-const KEEPABASE_MIN = Date.UTC(2011,0,1)/60000;
-const getCur = (cur, ...keys)=>{ for (const k of keys){ if (cur && Number.isFinite(cur[k])) return cur[k]; } return null; };
-const valueAtOrBefore = (arr, targetMin)=>{
-  if (!Array.isArray(arr) || arr.length < 2) return null;
-  let last = null;
-  for (let i=0;i<arr.length;i+=2){
-    const t = arr[i], v = arr[i+1];
-    if (typeof t !== "number") continue;
-    if (t > targetMin) break;
-    if (typeof v === "number") last = v;
-  }
-  return last;
-};
-const currentLandedPrice = (p)=>{
-  const cur = p?.stats?.current || {};
-  const price = getCur(cur, "buyBoxPrice", "BUY_BOX");
-  const ship  = getCur(cur, "buyBoxShipping", "BUY_BOX_SHIPPING");
-  if (price > 0 && ship !== null && ship >= 0) return (price + ship) / 100;
-  const alt = getCur(cur, "newPrice","NEW","amazonPrice","AMAZON","usedPrice","USED") || 0;
-  return alt > 0 ? alt/100 : null;
-};
-const landedPrice7dAgo = (p)=>{
-  const minutesNow = Date.now()/60000;
-  const targetMin = Math.floor(minutesNow - 7*24*60 - KEEPABASE_MIN);
-  const bbP = valueAtOrBefore(p?.buyBoxPrice, targetMin);
-  const bbS = valueAtOrBefore(p?.buyBoxShipping, targetMin);
-  if (typeof bbP === "number" && bbP>0 && typeof bbS === "number" && bbS>=0) return (bbP+bbS)/100;
-  for (const k of ["buyBoxPrice","newPrice","amazonPrice","usedPrice"]){
-    const v = valueAtOrBefore(p?.[k], targetMin);
-    if (typeof v === "number" && v>0) return v/100;
+// market: config/marketplaces.js の値（省略時は KEEPA_DOMAIN の国）。時刻はその国の現地時刻
+export const jpNow= (market=defaultMarketplace())=> formatTime(Date.now(), market);
+export const urlOf    = (asin, market=defaultMarketplace())=> `https://${market.host}/dp/${asin}`;
+export const keepaUrl = (asin, market=defaultMarketplace())=> `https://keepa.com/#!product/${market.domainId}-${asin}`;
+
+// 価格系列は keepa_csv.js でデコード（通貨の単位・送料込み）
+const firstPrice = (p, ...types)=>{
+  for (const t of types){
+    const v = currentValue(p, t);
+    if (v !== null && v > 0) return v;
   }
   return null;
 };
-const amazonOOS = (p)=> !(getCur(p?.stats?.current||{}, "amazonPrice","AMAZON") > 0);
-const buyBoxIsAmazon = (p)=>{
-  const cur = p?.stats?.current || {};
-  if (typeof cur.buyBoxIsAmazon === "boolean") return cur.buyBoxIsAmazon;
+// buybox=1 で取得した場合は stats.buyBoxPrice / buyBoxShipping を優先（item.js）
+export const currentLandedPrice = landedPrice;
+export const currentNewPrice    = (p)=> firstPrice(p, "NEW");
+export const currentAmazonPrice = (p)=> firstPrice(p, "AMAZON");
+export const amazonOOS = (p)=> currentAmazonPrice(p) === null;
+// カート（BuyBox）が存在するか（-1 = カートなし）
+export const buyBoxInStock = (p)=>{
+  if (p?.stats?.buyBoxPrice > 0) return true;
+  return firstPrice(p, "BUY_BOX_SHIPPING") !== null;
+};
+export const buyBoxIsAmazon = (p)=>{
+  if (typeof p?.stats?.buyBoxIsAmazon === "boolean") return p.stats.buyBoxIsAmazon;
   if (typeof p?.buyBoxIsAmazon  === "boolean") return p.buyBoxIsAmazon;
-  const ap = getCur(cur,"amazonPrice","AMAZON");
-  const bb = getCur(cur,"buyBoxPrice","BUY_BOX");
+  const ap = currentAmazonPrice(p);
+  const bb = firstPrice(p, "BUY_BOX_SHIPPING");
   return !!(ap && bb && ap===bb);
 };
-const currentRank = (p)=>{
-  const cr = getCur(p?.stats?.current||{}, "salesRank","SALES");
+export const currentRank = (p)=>{
+  const cr = currentValue(p, "SALES");
   if (cr && cr>0) return cr;
   const root = p?.rootCategory;
   const ranks = p?.salesRanks?.[String(root)] || p?.salesRanks?.[root];
@@ -119,15 +95,16 @@ const isInRoot = (p, rootId)=>{
 };
 
 // ========= /product =========
-async function fetchProducts(asins){
+async function fetchProducts(asins, domain){
   const out = [];
   const CHUNK = 20;
   for (let i=0;i<asins.length;i+=CHUNK){
     const chunk = asins.slice(i, i+CHUNK);
     console.log(ts(), `product fetch ${i+1}-${i+chunk.length}/${asins.length}`);
     try{
-      const products = await keepaProduct(chunk);
-      if (Array.isArray(products)) out.push(...products);
+      // stats は期間最安値（lowDays / lowAll）の判定に使う日数で取る
+      const res = await keepaProduct(chunk, { domain, statsDays: LOW_STATS_DAYS });
+      if (Array.isArray(res?.products)) out.push(...res.products);
     }catch(e){
       console.log(ts(), "ERR keepaProduct:", e?.message||e);
     }
@@ -138,10 +115,21 @@ async function fetchProducts(asins){
 
 // ========= ストリーミング型パイプライン =========
 // ページごとにASIN → /product → カテゴリ厳密チェック → 十分に貯まったら終了
-export async function runProfile({ tag, root, buildQuery, limit = 10 }){
+// profile は config/profiles.js で検証済みのもの
+export async function runProfile(profile){
+  const tag   = profile.tag;
+  const root  = profile.rootCategory;
+  const limit = profile.limits?.notify ?? 10;
+  const market = profile.marketplace || defaultMarketplace();
+  const dest  = profile.notify || profile.slack || {};
+  const queue = { job: `monitor_profile:${profile.key}` };
+  const buildQuery = (page=0)=>({ ...profile.query, page });
+  const template = templateFor(profile, "compact");
   console.log(ts(), `runProfile START ${tag}`);
+  await flushOutbox(queue.job);
   const accepted = [];
   const seenAsin = new Set();
+  const curation = loadCuration();
 
   for (let page=0; page<FINDER_MAX_PAGES && accepted.length<limit; page++){
     let q = buildQuery(page);
@@ -156,7 +144,7 @@ export async function runProfile({ tag, root, buildQuery, limit = 10 }){
     // /query は selection で包むのがAPI仕様
     let data;
     try{
-      data = await keepaQuery({ selection: { ...q, perPage: q.perPage ?? FINDER_PER_PAGE, page } });
+      data = await keepaQuery({ selection: { ...q, perPage: q.perPage ?? FINDER_PER_PAGE, page } }, { domain: market.domainId });
     }catch(e){
       console.log(ts(), `[finder:${tag}] ERR`, e?.message||e);
       break;
@@ -179,17 +167,16 @@ export async function runProfile({ tag, root, buildQuery, limit = 10 }){
     newAsins.forEach(a => seenAsin.add(a));
     if (!newAsins.length) continue;
 
-    const products = await fetchProducts(newAsins);
+    const products = await fetchProducts(newAsins, market.domainId);
 
     for (const p of products){
       // 厳密カテゴリチェック（ENV on の場合）
       if (STRICT_CATEGORY_MATCH && !isInRoot(p, root)) continue;
-
-      const asin = p.asin;
-      const title = p.title || "Untitled";
-      const cur = currentLandedPrice(p);
-      const past = landedPrice7dAgo(p);
-      const change = (cur && past && past>0) ? (cur-past)/past : null;
+      // プロファイルの通知条件（rule / filters）
+      const view = productView(p, { profit: profile.profit });
+      if (profile.rule && !profile.rule.test(view)) continue;
+      // Slack のボタンでミュート / スヌーズ / 興味なしにされたもの
+      if (suppressedBy(curation, p.asin, profile.key)) continue;
 
       let catNote = null;
       if (!STRICT_CATEGORY_MATCH && !(p.rootCategory === root)){
@@ -198,38 +185,32 @@ export async function runProfile({ tag, root, buildQuery, limit = 10 }){
         if (!maybe) catNote = `Finderは ${tag} だが、商品カテゴリは異なる可能性あり (root=${p.rootCategory})`;
       }
 
-      accepted.push({
-        asin,
-        title,
-        url: urlOf(asin),
-        keepa: keepaUrl(asin),
-        rank: currentRank(p),
-        amazonOOS: amazonOOS(p),
-        bbIsAmazon: buyBoxIsAmazon(p),
-        priceJpy: cur  ? `${Math.round(cur ).toLocaleString()} 円` : null,
-        pastJpy:  past ? `${Math.round(past).toLocaleString()} 円` : null,
-        changePctStr: change!==null ? `${(Math.round(change*1000)/10)}%` : null,
-        catNote,
-      });
+      const severity = severityOf(profile, view);
+      accepted.push(itemView(p, { note: catNote, severity: severity === "normal" ? null : severity }, { profit: profile.profit }));
       if (accepted.length >= Math.min(limit, MAX_NOTIFY)) break;
     }
   }
 
   if (!accepted.length){
-    await slack({ text: `${tag}：カテゴリ一致により0件（${jpNow()}）` });
+    await slack({ text: `${tag}：カテゴリ一致により0件（${jpNow(market)}）` }, dest, queue);
     console.log(ts(), `runProfile DONE ${tag} notified=0`);
     return 0;
   }
 
   const top = accepted.slice(0, Math.min(limit, MAX_NOTIFY));
-  const title = `${tag} 上位${top.length}件  ${jpNow()}`;
-  for (let i=0;i<top.length;i+=SLACK_BATCH){
-    const slice = top.slice(i, i+SLACK_BATCH);
-    const blocks = [
-      ...headerBlock(`${title}  ${i+1}-${i+slice.length}/${top.length}`),
-      ...slice.flatMap(itemBlock)
-    ];
-    await slack({ blocks });
+  const title = `${tag} 上位${top.length}件  ${jpNow(market)}`;
+  // 重要度（profile.severity）ごとに分けて高い順に。重要度の通知先があればそちらへ
+  for (const { route, items } of groupBySeverity(profile, top)){
+    const to = route.notify || dest;
+    for (let i=0;i<items.length;i+=SLACK_BATCH){
+      const slice = items.slice(i, i+SLACK_BATCH);
+      const blocks = [
+        ...headerBlock(`${title}  ${i+1}-${i+slice.length}/${items.length}`),
+        ...slice.flatMap((it)=>renderItem(template, it, profile))
+      ];
+      const payload = applyRoute({ text: title, blocks, data: { profile: profile.key, items: slice.map(itemData) } }, route);
+      await slack(payload, to, queue);
+    }
   }
 
   console.log(ts(), `runProfile DONE ${tag} notified=${top.length}`);
@@ -0,0 +1,92 @@
+// src/jobs/lib/profit.js
+// 利益の見込み（販売価格 − Amazon の手数料 − 納品送料 − 仕入れ値）
+//   "profit": {
+//     "cost": "60%",            … 仕入れ値。固定額（3000）か、販売価格に対する率（"60%" = 目標の仕入れ値）。省略時は利益/ROI なし
+//     "inboundShipping": 150,   … 1個あたりの納品送料（FBA 倉庫まで。既定 PROFIT_INBOUND_SHIPPING）
+//     "fba": true,              … FBA 手数料（Keepa の fbaFees.pickAndPackFee）を引く。自己発送なら false
+//     "referralFee": "10%"      … Keepa に紹介料率（referralFeePercentage）が無い商品に使う率
+//   }
+// - 販売価格はカート価格（送料込）、無ければ新品→Amazon。金額はその商品のマーケットプレイスの通貨
+// - ルール式 / 重要度では fee（手数料）/ net（手取り）/ profit（利益）/ margin（利益率）/ roi（仕入れ値に対する利益）
+// - 監視リスト（monitor_watchlist）は ASIN ごとの cost、無ければ目標価格（below）を仕入れ値にする
+import { priceUnit } from "./keepa_csv.js";
+import { isObj, isNum, ratioOf } from "../../config/parse.js";
+
+/** profit 未指定のプロファイル / 監視リストの設定 */
+export const DEFAULT_PROFIT = {
+  cost: null,
+  inboundShipping: (() => {
+    const n = Number(process.env.PROFIT_INBOUND_SHIPPING || 0);
+    return Number.isFinite(n) && n >= 0 ? n : 0;
+  })(),
+  fba: true,
+  referralFee: 0.1,
+};
+
+/**
+ * プロファイルの profit を検証して正規化（問題は errors に積む）。未指定は DEFAULT_PROFIT
+ * @param {any} raw profiles.json の profit
+ * @param {string} at エラー文言の位置
+ * @param {string[]} errors
+ */
+export function parseProfit(raw, at, errors) {
+  if (raw == null) return DEFAULT_PROFIT;
+  if (!isObj(raw)) {
+    errors.push(`${at} must be an object { cost, inboundShipping, fba, referralFee }`);
+    return DEFAULT_PROFIT;
+  }
+
+  // cost: 固定額 → { amount }、率 → { ratio }
+  let cost = null;
+  if (isNum(raw.cost) && raw.cost > 0) cost = { amount: raw.cost };
+  else if (typeof raw.cost === "string" && ratioOf(raw.cost) > 0) cost = { ratio: ratioOf(raw.cost) };
+  else if (raw.cost != null) errors.push(`${at}.cost must be a price (3000) or a ratio of the selling price ("60%")`);
+
+  if (raw.inboundShipping != null && !(isNum(raw.inboundShipping) && raw.inboundShipping >= 0)) {
+    errors.push(`${at}.inboundShipping must be a number >= 0`);
+  }
+  if (raw.fba != null && typeof raw.fba !== "boolean") errors.push(`${at}.fba must be true / false`);
+  const referralFee = raw.referralFee == null ? DEFAULT_PROFIT.referralFee : ratioOf(raw.referralFee);
+  if (!(referralFee >= 0 && referralFee < 1)) errors.push(`${at}.referralFee must be a ratio like "10%"`);
+
+  return {
+    cost,
+    inboundShipping: raw.inboundShipping ?? DEFAULT_PROFIT.inboundShipping,
+    fba: raw.fba ?? true,
+    referralFee,
+  };
+}
+
+// Keepa の紹介料率（% の数値。無ければ null）
+function referralRateOf(product) {
+  const v = product?.referralFeePercentage ?? product?.referralFeePercent;
+  return isNum(v) && v >= 0 ? v / 100 : null;
+}
+
+// FBA 手数料（Keepa の最小通貨単位 → 通貨の単位。無ければ null）
+function fbaFeeOf(product) {
+  const v = product?.fbaFees?.pickAndPackFee;
+  return isNum(v) && v >= 0 ? v / priceUnit(product?.domainId ?? undefined) : null;
+}
+
+/**
+ * 1個売ったときの見込み。販売価格が無ければ全部 null
+ * @param {object} product Keepa /product の1件
+ * @param {number|null} sellPrice 販売価格（通貨の単位）
+ * @param {object} [config] parseProfit() の戻り値
+ * @param {number|null} [cost] 仕入れ値（指定すれば config.cost より優先。監視リストの ASIN ごとの値）
+ * @returns {{ fee: number|null, net: number|null, cost: number|null, profit: number|null, margin: number|null, roi: number|null }}
+ */
+export function profitOf(product, sellPrice, config = DEFAULT_PROFIT, cost = null) {
+  if (!(sellPrice > 0)) return { fee: null, net: null, cost: null, profit: null, margin: null, roi: null };
+
+  const referral = sellPrice * (referralRateOf(product) ?? config.referralFee);
+  const fba = config.fba ? fbaFeeOf(product) ?? 0 : 0;
+  const fee = referral + fba;
+  const net = sellPrice - fee - config.inboundShipping;
+
+  const buy = cost ?? config.cost?.amount ?? (config.cost?.ratio != null ? sellPrice * config.cost.ratio : null);
+  if (buy == null) return { fee, net, cost: null, profit: null, margin: null, roi: null };
+  const profit = net - buy;
+  return { fee, net, cost: buy, profit, margin: profit / sellPrice, roi: buy > 0 ? profit / buy : null };
+}
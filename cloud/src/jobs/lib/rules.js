@@ -0,0 +1,197 @@
+// src/jobs/lib/rules.js
+// プロファイルの通知条件（ルール式）のパーサ/評価器
+//
+//   sellers >= 3 && price >= 2000 && delta7.buyBox <= -15%
+//   !amazonInStock AND (rank < 5000 OR sold30 >= 30)
+//
+// - 比較: >= <= > < == !=
+// - 論理: && / AND, || / OR, ! / NOT, ( )
+// - リテラル: 数値（15% は 0.15）, "文字列", true / false / null
+// - 識別子は正規化ビュー（jobs/lib/view.js）のフィールド名（ドット区切りでネスト）
+// - 値が null のフィールドとの大小比較は常に false（== null / != null は可）
+
+const OPS = [">=", "<=", "==", "!=", "&&", "||", ">", "<", "!", "(", ")"];
+const KEYWORDS = { and: "&&", or: "||", not: "!" };
+const LITERALS = { true: true, false: false, null: null };
+
+function ruleError(src, pos, msg) {
+  return new Error(`rule: ${msg} at ${pos} in "${src}"`);
+}
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (/\s/.test(c)) { i += 1; continue; }
+
+    const num = /^\d+(?:\.\d+)?%?/.exec(src.slice(i));
+    if (num) {
+      const raw = num[0];
+      const pct = raw.endsWith("%");
+      const n = Number(pct ? raw.slice(0, -1) : raw);
+      tokens.push({ type: "lit", value: pct ? n / 100 : n, pos: i });
+      i += raw.length;
+      continue;
+    }
+
+    if (c === '"' || c === "'") {
+      const end = src.indexOf(c, i + 1);
+      if (end < 0) throw ruleError(src, i, "unterminated string");
+      tokens.push({ type: "lit", value: src.slice(i + 1, end), pos: i });
+      i = end + 1;
+      continue;
+    }
+
+    const id = /^[A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)*/.exec(src.slice(i));
+    if (id) {
+      const word = id[0];
+      const lower = word.toLowerCase();
+      if (KEYWORDS[lower]) tokens.push({ type: "op", value: KEYWORDS[lower], pos: i });
+      else if (lower in LITERALS) tokens.push({ type: "lit", value: LITERALS[lower], pos: i });
+      else tokens.push({ type: "id", value: word, pos: i });
+      i += word.length;
+      continue;
+    }
+
+    const op = OPS.find((o) => src.startsWith(o, i));
+    if (op) {
+      tokens.push({ type: "op", value: op, pos: i });
+      i += op.length;
+      continue;
+    }
+
+    if (c === "-") {
+      tokens.push({ type: "op", value: "-", pos: i });
+      i += 1;
+      continue;
+    }
+
+    throw ruleError(src, i, `unexpected "${c}"`);
+  }
+  return tokens;
+}
+
+// 再帰下降パーサ → AST
+function parse(src) {
+  const tokens = tokenize(src);
+  let k = 0;
+
+  const peek = () => tokens[k];
+  const isOp = (v) => peek()?.type === "op" && peek().value === v;
+  const expectEnd = () => {
+    if (k < tokens.length) throw ruleError(src, tokens[k].pos, `unexpected "${tokens[k].value}"`);
+  };
+
+  function orExpr() {
+    let node = andExpr();
+    while (isOp("||")) { k += 1; node = { type: "or", left: node, right: andExpr() }; }
+    return node;
+  }
+  function andExpr() {
+    let node = notExpr();
+    while (isOp("&&")) { k += 1; node = { type: "and", left: node, right: notExpr() }; }
+    return node;
+  }
+  function notExpr() {
+    if (isOp("!")) { k += 1; return { type: "not", expr: notExpr() }; }
+    return cmpExpr();
+  }
+  function cmpExpr() {
+    const left = primary();
+    const t = peek();
+    if (t?.type === "op" && [">=", "<=", ">", "<", "==", "!="].includes(t.value)) {
+      k += 1;
+      return { type: "cmp", op: t.value, left, right: primary() };
+    }
+    return left;
+  }
+  function primary() {
+    const t = peek();
+    if (!t) throw ruleError(src, src.length, "unexpected end");
+    if (t.type === "op" && t.value === "(") {
+      k += 1;
+      const node = orExpr();
+      if (!isOp(")")) throw ruleError(src, peek()?.pos ?? src.length, 'missing ")"');
+      k += 1;
+      return node;
+    }
+    if (t.type === "op" && t.value === "-") {
+      k += 1;
+      const next = peek();
+      if (next?.type !== "lit" || typeof next.value !== "number") {
+        throw ruleError(src, t.pos, '"-" must be followed by a number');
+      }
+      k += 1;
+      return { type: "lit", value: -next.value };
+    }
+    if (t.type === "lit") { k += 1; return { type: "lit", value: t.value }; }
+    if (t.type === "id") { k += 1; return { type: "id", path: t.value.split("."), pos: t.pos }; }
+    throw ruleError(src, t.pos, `unexpected "${t.value}"`);
+  }
+
+  const ast = orExpr();
+  expectEnd();
+  return ast;
+}
+
+function lookup(view, pathParts) {
+  let v = view;
+  for (const key of pathParts) {
+    if (v == null) return null;
+    v = v[key];
+  }
+  return v === undefined ? null : v;
+}
+
+function compare(op, a, b) {
+  if (op === "==") return a === b;
+  if (op === "!=") return a !== b;
+  if (a == null || b == null) return false;
+  if (op === ">=") return a >= b;
+  if (op === "<=") return a <= b;
+  if (op === ">") return a > b;
+  return a < b;
+}
+
+function evaluate(node, view) {
+  switch (node.type) {
+    case "or": return !!evaluate(node.left, view) || !!evaluate(node.right, view);
+    case "and": return !!evaluate(node.left, view) && !!evaluate(node.right, view);
+    case "not": return !evaluate(node.expr, view);
+    case "cmp": return compare(node.op, evaluate(node.left, view), evaluate(node.right, view));
+    case "lit": return node.value;
+    case "id": return lookup(view, node.path);
+    default: throw new Error(`rule: unknown node ${node.type}`);
+  }
+}
+
+function collectIds(node, out = []) {
+  if (!node) return out;
+  if (node.type === "id") out.push(node);
+  for (const key of ["left", "right", "expr"]) collectIds(node[key], out);
+  return out;
+}
+
+/**
+ * ルール式をコンパイル
+ * @param {string} source
+ * @param {{ fields?: string[] }} [options] fields を渡すと未知の識別子をエラーにする
+ * @returns {{ source: string, test: (view: object) => boolean }}
+ */
+export function compileRule(source, options = {}) {
+  const src = String(source ?? "").trim();
+  if (!src) return { source: "", test: () => true };
+
+  const ast = parse(src);
+
+  if (options.fields) {
+    const known = new Set(options.fields);
+    for (const id of collectIds(ast)) {
+      const name = id.path.join(".");
+      if (!known.has(name)) throw ruleError(src, id.pos, `unknown field "${name}"`);
+    }
+  }
+
+  return { source: src, test: (view) => !!evaluate(ast, view) };
+}
@@ -0,0 +1,71 @@
+// src/jobs/lib/schedule.js
+// ダイジェストの投稿時刻（プロファイルのマーケットプレイスの現地時刻。既定 Asia/Tokyo）
+//   daily:  "20:00"
+//   weekly: "mon 20:00"（sun / mon / tue / wed / thu / fri / sat）
+// 夏時間のある地域は、その日の UTC との差で計算する（切り替わりの当日は1時間ずれることがある）
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const offsetFormats = new Map();
+
+/** timeZone の t 時点での UTC との差（ms。東京なら +9 時間） */
+export function zoneOffsetMs(timeZone, t) {
+  if (!offsetFormats.has(timeZone)) {
+    offsetFormats.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  const parts = Object.fromEntries(offsetFormats.get(timeZone).formatToParts(t).map((p) => [p.type, Number(p.value)]));
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(t / 1000) * 1000;
+}
+
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/** "HH:MM" → その日の 0:00 からの分（不正なら null） */
+export function parseDaily(s) {
+  const m = String(s ?? "").trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  return h < 24 && min < 60 ? h * 60 + min : null;
+}
+
+/** "mon 20:00" → { weekday: 0-6（日曜=0）, minutes }（不正なら null） */
+export function parseWeekly(s) {
+  const m = String(s ?? "").trim().toLowerCase().match(/^([a-z]{3})\s+(\S+)$/);
+  if (!m) return null;
+  const weekday = WEEKDAYS.indexOf(m[1]);
+  const minutes = parseDaily(m[2]);
+  return weekday >= 0 && minutes != null ? { weekday, minutes } : null;
+}
+
+/**
+ * now 以前で直近の予定時刻（epoch ms）
+ * @param {"daily"|"weekly"} period
+ * @param {string} spec "20:00" / "mon 20:00"（timeZone の現地時刻）
+ * @param {string} [timeZone] IANA 名（"Asia/Tokyo" / "America/New_York" ...）
+ */
+export function lastSlot(period, spec, now = Date.now(), timeZone = "Asia/Tokyo") {
+  const weekly = period === "weekly" ? parseWeekly(spec) : null;
+  const minutes = period === "weekly" ? weekly?.minutes : parseDaily(spec);
+  if (minutes == null) throw new Error(`invalid ${period} schedule "${spec}"`);
+
+  // 現地の壁時計で計算して、最後に UTC へ戻す
+  const local = now + zoneOffsetMs(timeZone, now);
+  const dayStart = Math.floor(local / DAY_MS) * DAY_MS;
+  let slot = dayStart + minutes * 60 * 1000;
+  if (weekly) slot -= ((new Date(dayStart).getUTCDay() - weekly.weekday + 7) % 7) * DAY_MS;
+  if (slot > local) slot -= weekly ? 7 * DAY_MS : DAY_MS;
+  const utc = slot - zoneOffsetMs(timeZone, slot - zoneOffsetMs(timeZone, now));
+  return utc > now ? utc - (weekly ? 7 * DAY_MS : DAY_MS) : utc;
+}
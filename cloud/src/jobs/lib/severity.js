@@ -0,0 +1,202 @@
+// src/jobs/lib/severity.js
+// 通知の重要度（severity）の判定と振り分け
+//   "severity": {
+//     "rules": [
+//       { "level": "high", "when": "change.price <= -30% || amazonBack" },
+//       { "level": "high", "when": "rank < 1000" },
+//       { "level": "medium", "when": "delta7.buyBox <= -15%" }
+//     ],
+//     "routes": {
+//       "high": { "mention": "@here", "color": "#e01e5a", "notify": [{ "type": "slack", "webhookEnv": "SLACK_WEBHOOK_URGENT" }] },
+//       "medium": { "mention": "U0123ABCD" }
+//     }
+//   }
+// - when はプロファイルの rule と同じ式（lib/rules.js）。使える値は lib/view.js のフィールド + 前回からの変化（SEVERITY_FIELDS）
+//   前回値を持たないジョブ（monitor / runProfile）では change.* / isNew / amazonBack / buyBoxLost / recordLow は常に空
+// - 当てはまったルールのうち一番高い level。どれにも当てはまらなければ normal（従来どおり）
+// - routes: mention（@here / @channel / ユーザー ID U… / グループ ID S…）を先頭に付け、color で Slack の色帯・Discord の embed の色、
+//   notify があればその level だけ別の通知先（形は config/notify.js と同じ）へ送る
+// - 重要度ごとに別メッセージにまとめる（重要なものが普段の差分に埋もれないよう、高い順に送る）
+import { compileRule } from "./rules.js";
+import { VIEW_FIELDS } from "./view.js";
+import { parseNotify } from "../../config/notify.js";
+import { isObj } from "../../config/parse.js";
+
+/** 高い順 */
+export const SEVERITY_LEVELS = ["high", "medium", "normal"];
+
+const LABELS = { high: "🔴 重要", medium: "🟡 注目", normal: "" };
+const DEFAULT_COLORS = { high: "#e01e5a", medium: "#ecb22e", normal: null };
+
+/** severity の when で使えるフィールド */
+export const SEVERITY_FIELDS = [
+  ...VIEW_FIELDS,
+  "isNew", "amazonBack", "buyBoxLost", "recordLow",
+  "change.price", "change.rank", "change.sellers", "change.sold30",
+];
+
+const COLOR_RE = /^#[0-9a-fA-F]{6}$/;
+const rankOf = (level) => SEVERITY_LEVELS.indexOf(level);
+const ratio = (now, past) => (now != null && past > 0 ? (now - past) / past : null);
+const diff = (now, past) => (now != null && past != null ? now - past : null);
+
+/** 重要度の表示名（normal は空） */
+export const severityLabel = (level) => LABELS[level] ?? "";
+
+/**
+ * 前回の state との変化（when 用）
+ * change.price / change.rank は比率（-0.3 = -30%）、change.sellers / change.sold30 は差
+ * @param {object|null} prev state の asins.<ASIN>（無ければ新規）
+ * @param {object} curr lib/item.js のビュー（prevLowest は履歴の最安）
+ */
+export function changeView(prev, curr) {
+  return {
+    isNew: !prev,
+    amazonBack: prev?.amazonInStock === false && curr.amazonInStock === true,
+    // Amazon がカートを失った（curr.buyBoxOwner は lib/transitions.js の stockOf）
+    buyBoxLost: prev?.buyBoxOwner === "amazon" && curr.buyBoxOwner !== undefined && curr.buyBoxOwner !== "amazon",
+    recordLow: curr.price != null && curr.prevLowest != null && curr.price < curr.prevLowest,
+    change: {
+      price: ratio(curr.price, prev?.price),
+      rank: ratio(curr.rank, prev?.rank),
+      sellers: diff(curr.sellers, prev?.sellers),
+      sold30: diff(curr.sold30, prev?.sold30),
+    },
+  };
+}
+
+// "@here" → "<!here>"、"U0123" / "@U0123" → "<@U0123>"、"S0123" → "<!subteam^S0123>"。形が分からなければ null
+function mentionOf(raw) {
+  const trimmed = String(raw).trim();
+  if (/^<[!@][^<>]+>$/.test(trimmed)) return trimmed;
+  const s = trimmed.replace(/^@/, "");
+  if (s === "here" || s === "channel" || s === "everyone") return `<!${s}>`;
+  if (/^[UW][A-Z0-9]{2,}$/.test(s)) return `<@${s}>`;
+  if (/^S[A-Z0-9]{2,}$/.test(s)) return `<!subteam^${s}>`;
+  return null;
+}
+
+/**
+ * プロファイルの severity を検証して正規化（問題は errors に積む）。未指定は null
+ * @param {any} raw profiles.json の severity
+ * @param {object[]} notify 正規化済みのプロファイルの notify（routes の notify が無い level はこれ）
+ * @param {object} slackDest 正規化済みのプロファイルの slack
+ * @param {string} at エラー文言の位置
+ * @param {string[]} errors
+ */
+export function parseSeverity(raw, notify, slackDest, at, errors) {
+  if (raw == null) return null;
+  if (!isObj(raw)) {
+    errors.push(`${at} must be an object { rules, routes }`);
+    return null;
+  }
+
+  const levels = SEVERITY_LEVELS.filter((l) => l !== "normal");
+  const rules = [];
+  if (!Array.isArray(raw.rules)) errors.push(`${at}.rules must be an array of { level, when }`);
+  for (const [i, r] of (Array.isArray(raw.rules) ? raw.rules : []).entries()) {
+    const where = `${at}.rules[${i}]`;
+    if (!isObj(r) || !levels.includes(r.level)) {
+      errors.push(`${where}.level must be one of ${levels.join(" / ")}`);
+      continue;
+    }
+    if (typeof r.when !== "string" || !r.when.trim()) {
+      errors.push(`${where}.when must be a rule expression`);
+      continue;
+    }
+    try {
+      rules.push({ level: r.level, rule: compileRule(r.when, { fields: SEVERITY_FIELDS }) });
+    } catch (e) {
+      errors.push(`${where}.${e.message}`);
+    }
+  }
+
+  const routes = {};
+  const rawRoutes = raw.routes ?? {};
+  if (!isObj(rawRoutes)) errors.push(`${at}.routes must be an object keyed by level`);
+  for (const level of SEVERITY_LEVELS) {
+    const r = isObj(rawRoutes) ? rawRoutes[level] : null;
+    const where = `${at}.routes.${level}`;
+    if (r != null && !isObj(r)) errors.push(`${where} must be an object { mention, color, notify }`);
+    const route = isObj(r) ? r : {};
+
+    const mentions = route.mention == null ? [] : [].concat(route.mention);
+    const mention = mentions.map((m) => {
+      const out = typeof m === "string" ? mentionOf(m) : null;
+      if (!out) errors.push(`${where}.mention: "${m}" must be @here / @channel / a user ID (U…) / a group ID (S…)`);
+      return out;
+    });
+
+    if (route.color != null && !(typeof route.color === "string" && COLOR_RE.test(route.color))) {
+      errors.push(`${where}.color must be "#rrggbb"`);
+    }
+
+    routes[level] = {
+      level,
+      label: severityLabel(level),
+      mention: mention.filter(Boolean).join(" "),
+      color: route.color ?? DEFAULT_COLORS[level],
+      notify: route.notify != null ? parseNotify(route.notify, slackDest, `${where}.notify`, errors) : notify,
+    };
+  }
+  for (const k of isObj(rawRoutes) ? Object.keys(rawRoutes) : []) {
+    if (!SEVERITY_LEVELS.includes(k)) errors.push(`${at}.routes.${k}: unknown level (${SEVERITY_LEVELS.join(" / ")})`);
+  }
+
+  return { rules, routes };
+}
+
+/**
+ * 重要度を判定（当てはまったルールのうち一番高いもの）
+ * @param {object} profile
+ * @param {object} view lib/view.js のビュー（+ changeView() の値）
+ */
+export function severityOf(profile, view) {
+  let best = "normal";
+  for (const { level, rule } of profile.severity?.rules || []) {
+    if (rankOf(level) < rankOf(best) && rule.test(view)) best = level;
+  }
+  return best;
+}
+
+/** level の振り分け先（severity 未設定のプロファイルは従来どおり） */
+export function routeFor(profile, level = "normal") {
+  return (
+    profile.severity?.routes?.[level] ?? {
+      level,
+      label: severityLabel(level),
+      mention: "",
+      color: null,
+      notify: profile.notify,
+    }
+  );
+}
+
+/**
+ * 通知する商品を重要度ごとに分ける（高い順。商品の severity は判定済みのもの）
+ * @returns {Array<{ route: object, items: object[] }>}
+ */
+export function groupBySeverity(profile, items) {
+  return SEVERITY_LEVELS.map((level) => ({
+    route: routeFor(profile, level),
+    items: items.filter((it) => (it.severity || "normal") === level),
+  })).filter((g) => g.items.length);
+}
+
+/**
+ * payload に重要度を反映（先頭にメンション + 表示名のブロック、text に表示名、color / severity）
+ * メンションのブロックは block_id "pw-severity"（services/slack.js が色帯の外に残す）
+ */
+export function applyRoute(payload, route) {
+  if (!route || (route.level === "normal" && !route.mention && !route.color)) return payload;
+  const head = [route.mention, route.label && `*${route.label}*`].filter(Boolean).join(" ");
+  const out = { ...payload, severity: route.level };
+  if (route.color) out.color = route.color;
+  if (route.label) out.text = `${route.label} ${payload.text ?? ""}`.trim();
+  if (head && Array.isArray(payload.blocks)) {
+    out.blocks = [{ type: "section", block_id: "pw-severity", text: { type: "mrkdwn", text: head } }, ...payload.blocks];
+  } else if (head) {
+    out.text = `${route.mention ? `${route.mention} ` : ""}${out.text ?? ""}`;
+  }
+  return out;
+}
@@ -3,30 +3,60 @@
 // - STATE_FILE persisted via GitHub Actions cache
 // - Notify only when diff exceeds thresholds (or NEW)
 // - Skip < MIN_PRICE_YEN at fetch stage (not stored, not notified)
+// - profile.marketplace picks the Amazon store (jp / us / uk / de ...): prices in its currency, URLs on its host.
+//   Yen thresholds apply to JP; other stores use MIN_PRICE_<CODE> / PRICE_DELTA_<CODE> (e.g. PRICE_DELTA_US=2).
+//   State / history of a non-default store are keyed "<ASIN>-<code>" so one ASIN can be watched in several stores
 // - Per-profile notify limit: MAX_NOTIFY_PER_PROFILE
-// - 429 Too Many Requests: wait refillIn then retry
-// - Slack payload: { text, blocks } using existing slack() exporter
+// - Keepa tokens: services/keepa.js waits for refill (or refuses) before each call
+// - Slack payload: { text, blocks } sent via services/outbox.js (429/5xx retried, then queued for the next run;
+//   lastNotifiedAt is set only when a message actually lands)
+// - profile.notify may add Discord / email / webhook channels; the first (Slack) one drives threads and state
+// - profile.severity ranks alerts (high / medium / normal): each level is posted separately, highest first,
+//   with its mention / color / channel (jobs/lib/severity.js)
 // - Slack shows readable diffs with arrows
+// - Profiles come from data/profiles.json (ONLY_PROFILE=all / key / comma list)
+// - Every observation is appended to data/history/<ASIN>.jsonl (HISTORY=off to disable)
+// - Bot transport: repeat alerts are replied in the first alert's thread (THREAD_FOLLOWUPS / THREAD_BROADCAST)
+// - N-day / all-time lows (30 / 90 / 180 days from Keepa stats=LOW_STATS_DAYS and csv) show up in the diff when an ASIN
+//   reaches a longer window than in the previous run
+// - Amazon stock / buy box transitions (back in stock, Amazon lost the buy box to 3P, ...) are always alerted,
+//   skip the cooldown, and are still reported for tracked ASINs that no longer match the rule or fell under minPrice
+//   (jobs/lib/transitions.js)
+// - Digest (profile.digest): changes are also collected and posted as one daily/weekly summary (jobs/lib/digest.js)
 
 import "dotenv/config";
-import fs from "node:fs";
 import path from "node:path";
 
-import { keepaQuery, keepaProduct, keepaProductPageUrl } from "../services/keepa.js";
-import { slack } from "../services/slack.js";
+import { keepaQuery, keepaProduct, keepaTokenStatus } from "../services/keepa.js";
+import { slackTransport } from "../services/slack.js";
+import { deliver, notify, flushOutbox, queuedMessages } from "../services/outbox.js";
+import { selectProfiles } from "../config/profiles.js";
+import { defaultMarketplace, formatPrice } from "../config/marketplaces.js";
+import { productView } from "./lib/view.js";
+import { itemView, itemData } from "./lib/item.js";
+import { templateFor, renderItem } from "./lib/templates.js";
+import { changeView, severityOf, groupBySeverity, applyRoute } from "./lib/severity.js";
+import { stockOf, detectTransitions } from "./lib/transitions.js";
+import { LOW_STATS_DAYS, lowLabel, lowRank } from "./lib/lows.js";
+import { appendPoint, lowestSince, compactHistory } from "../storage/history.js";
+import { loadState, saveState as saveStateDoc, stateAbsPath } from "../storage/state.js";
+import { guessRepoRoot } from "../storage/drivers/json.js";
+import { loadCuration, suppressedBy } from "../storage/curation.js";
+import { recordRun } from "../storage/runs.js";
+import { digestEnabled, instantEnabled, digestEvent, recordDigest, postDueDigests } from "./lib/digest.js";
 
 /* =========================
  * env
  * ========================= */
 const FINDER_PER_PAGE = numEnv("FINDER_PER_PAGE", 100);
 const FINDER_MAX_PAGES = numEnv("FINDER_MAX_PAGES", 5);
-const SLACK_BATCH = clamp(numEnv("SLACK_BATCH", 1), 1, 3);
+const SLACK_BATCH = Math.max(1, numEnv("SLACK_BATCH", 1)); // items per message; >50 blocks are split by services/blockkit.js
 
 const PROFILE_LIMIT = numEnv("PROFILE_LIMIT", 30);
 const MAX_NOTIFY_PER_PROFILE = numEnv("MAX_NOTIFY_PER_PROFILE", 30);
 
-const DOMAIN = Number(process.env.KEEPA_DOMAIN || 5); // 5=JP
 const ONLY_PROFILE = (process.env.ONLY_PROFILE || "all").trim().toLowerCase();
+const JOB = "monitor"; // outbox owner
 
 // diff tuning
 const MIN_PRICE_YEN = numEnv("MIN_PRICE_YEN", 2000);
@@ -36,27 +66,16 @@ const SELLERS_DELTA_ABS = numEnv("SELLERS_DELTA_ABS", 1);
 const SOLD30_DELTA_ABS = numEnv("SOLD30_DELTA_ABS", 5);
 const NOTIFY_COOLDOWN_HOURS = numEnv("NOTIFY_COOLDOWN_HOURS", 6);
 
-// state
-const STATE_FILE_RAW = (process.env.STATE_FILE || "cloud/data/state.json").trim();
-const STATE_TTL_DAYS = numEnv("STATE_TTL_DAYS", 30);
+// history
+const HISTORY = (process.env.HISTORY || "on").toLowerCase() === "on";
 
-/* =========================
- * profiles
- * ========================= */
-const PROFILES = [
-  { key: "toys", name: "おもちゃ", rootCategory: 13299531, excludeDigital: false },
-  { key: "games", name: "ゲーム", rootCategory: 637394, excludeDigital: true },
-  { key: "hobby", name: "ホビー", rootCategory: 2277721051, excludeDigital: false },
-];
-
-const DIGITAL_KEYWORDS = [
-  "オンラインコード",
-  "オンライン コード",
-  "ダウンロード",
-  "download",
-  "digital code",
-  "ダウンロード版",
-];
+// threads (bot transport only): follow-up diffs go under the first alert for the ASIN
+const THREAD_FOLLOWUPS = (process.env.THREAD_FOLLOWUPS || "on").toLowerCase() === "on";
+const THREAD_BROADCAST = (process.env.THREAD_BROADCAST || "off").toLowerCase() === "on";
+
+// state (STATE_FILE is read by the json storage driver; default cloud/data/state.json)
+process.env.STATE_FILE ||= "cloud/data/state.json";
+const STATE_TTL_DAYS = numEnv("STATE_TTL_DAYS", 30);
 
 /* =========================
  * util
@@ -66,34 +85,19 @@ function numEnv(key, def) {
   const n = v != null ? Number(v) : NaN;
   return Number.isFinite(n) ? n : def;
 }
-function clamp(v, min, max) {
-  if (!Number.isFinite(v)) return min;
-  return Math.max(min, Math.min(max, v));
-}
 function ts() {
   return Date.now();
 }
 function log(...args) {
   console.log(`[${ts()}]`, ...args);
 }
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-function isDigitalTitle(title = "") {
-  const lower = title.toLowerCase();
-  return DIGITAL_KEYWORDS.some((kw) => lower.includes(kw.toLowerCase()));
-}
-function normalizeTitle(rawTitle) {
-  return (rawTitle || "(no title)").replace(/\s+/g, " ").trim();
-}
 function chunk(array, size) {
   const out = [];
   for (let i = 0; i < array.length; i += size) out.push(array.slice(i, i + size));
   return out;
 }
-function yen(v) {
-  if (v == null) return "-";
-  return `${Number(v).toLocaleString("ja-JP")}円`;
+function yen(v, market) {
+  return formatPrice(v == null ? null : Number(v), market);
 }
 function fmtSigned(n, unit = "") {
   if (n == null || !Number.isFinite(n)) return "-";
@@ -111,56 +115,23 @@ function arrowUpDown(delta, { invert = false } = {}) {
 }
 
 /* =========================
- * STATE_FILE resolve
+ * marketplace
  * ========================= */
-function guessRepoRoot() {
-  const ws = process.env.GITHUB_WORKSPACE;
-  if (ws) return ws;
-
-  const cwd = process.cwd();
-  const base = path.basename(cwd).toLowerCase();
-  if (base === "cloud") return path.resolve(cwd, "..");
-  return cwd;
-}
-function resolveStateFile(rawPath) {
-  if (path.isAbsolute(rawPath)) return rawPath;
-  return path.resolve(guessRepoRoot(), rawPath);
+// price thresholds in the store's currency (the yen settings for JP; others default to no minimum / 2 units)
+function priceThresholds(market) {
+  if (market.currency === "JPY") return { minPrice: MIN_PRICE_YEN, priceDelta: PRICE_DELTA_YEN };
+  const code = market.code.toUpperCase();
+  return { minPrice: numEnv(`MIN_PRICE_${code}`, 0), priceDelta: numEnv(`PRICE_DELTA_${code}`, 2) };
 }
-const STATE_FILE = resolveStateFile(STATE_FILE_RAW);
 
-function ensureDirForFile(filePath) {
-  fs.mkdirSync(path.dirname(filePath), { recursive: true });
-}
-function readJsonSafe(filePath, fallback) {
-  try {
-    if (!fs.existsSync(filePath)) return fallback;
-    const s = fs.readFileSync(filePath, "utf8");
-    if (!s.trim()) return fallback;
-    return JSON.parse(s);
-  } catch {
-    return fallback;
-  }
-}
-function writeJsonAtomic(filePath, obj) {
-  ensureDirForFile(filePath);
-  const tmp = `${filePath}.tmp`;
-  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2), "utf8");
-  fs.renameSync(tmp, filePath);
+// state / history key: plain ASIN for the default store, "<ASIN>-<code>" for the others
+function stateKey(profile, asin) {
+  return profile.marketplace === defaultMarketplace() ? asin : `${asin}-${profile.marketplace.code}`;
 }
 
 /* =========================
- * state
+ * state (storage driver: json -> STATE_FILE / sqlite -> SQLITE_FILE)
  * ========================= */
-function loadState() {
-  const base = { version: 1, updatedAt: 0, asins: {} };
-  const st = readJsonSafe(STATE_FILE, base);
-  if (!st || typeof st !== "object") return base;
-  if (!st.asins || typeof st.asins !== "object") st.asins = {};
-  if (typeof st.updatedAt !== "number") st.updatedAt = 0;
-  if (typeof st.version !== "number") st.version = 1;
-  return st;
-}
-
 function pruneState(state) {
   const cutoff = ts() - STATE_TTL_DAYS * 24 * 60 * 60 * 1000;
   let removed = 0;
@@ -175,77 +146,14 @@ function pruneState(state) {
 }
 
 function saveState(state) {
-  state.updatedAt = ts();
   const pruned = pruneState(state);
-  writeJsonAtomic(STATE_FILE, state);
-  log("state saved", { file: path.relative(guessRepoRoot(), STATE_FILE), asinCount: Object.keys(state.asins).length, pruned });
-}
-
-/* =========================
- * Keepa helpers
- * ========================= */
-function getStatsBasics(stats = {}) {
-  const current = Array.isArray(stats.current) ? stats.current : [];
-  const amazonRaw = current[0];
-  const newRaw = current[1];
-  const rankRaw = current[3];
-
-  const amazonPrice = typeof amazonRaw === "number" && amazonRaw > 0 ? amazonRaw : null;
-  const newPrice = typeof newRaw === "number" && newRaw > 0 ? newRaw : null;
-  const salesRank = typeof rankRaw === "number" && rankRaw > 0 ? rankRaw : null;
-
-  return { amazonPrice, newPrice, salesRank };
-}
-
-function getTotalOfferCount(stats = {}) {
-  const raw = stats.totalOfferCount;
-  if (typeof raw === "number" && raw >= 0) return raw;
-  return null;
+  saveStateDoc(state);
+  log("state saved", { file: stateLocation(), asinCount: Object.keys(state.asins).length, pruned });
 }
 
-function getMainImageUrl(product = {}) {
-  const csv = product.imagesCSV;
-  if (!csv || typeof csv !== "string") return null;
-  const firstId = csv.split(",")[0];
-  if (!firstId) return null;
-  return `https://m.media-amazon.com/images/I/${firstId}.jpg`;
-}
-
-/* =========================
- * 429 retry wrapper
- * ========================= */
-function extractRefillInMs(message) {
-  const m = String(message).match(/"refillIn"\s*:\s*(\d+)/);
-  if (!m) return null;
-  const ms = Number(m[1]);
-  return Number.isFinite(ms) && ms >= 0 ? ms : null;
-}
-
-async function withRetry(fn, { label = "call", maxRetries = 8 } = {}) {
-  let attempt = 0;
-  while (true) {
-    try {
-      return await fn();
-    } catch (err) {
-      attempt += 1;
-
-      const msg = String(err?.message || err);
-      const refillIn = extractRefillInMs(msg);
-
-      if (refillIn != null) {
-        const waitMs = Math.min(refillIn + 500, 60_000);
-        log(`${label}: 429 -> wait ${waitMs}ms retry ${attempt}/${maxRetries}`);
-        if (attempt > maxRetries) throw err;
-        await sleep(waitMs);
-        continue;
-      }
-
-      const backoff = Math.min(500 * Math.pow(2, attempt - 1), 10_000);
-      log(`${label}: error -> ${msg} (retry ${attempt}/${maxRetries}) backoff=${backoff}ms`);
-      if (attempt > maxRetries) throw err;
-      await sleep(backoff);
-    }
-  }
+function stateLocation() {
+  const loc = stateAbsPath();
+  return path.isAbsolute(loc) ? path.relative(guessRepoRoot(), loc) : loc;
 }
 
 /* =========================
@@ -257,15 +165,16 @@ async function fetchAsinsForProfile(profile) {
 
   while (page < FINDER_MAX_PAGES) {
     const payload = {
-      domainId: DOMAIN,
+      sort: [["current_SALES", "asc"]],
+      productType: [0, 1, 2],
+      ...profile.query,
+      domainId: profile.marketplace.domainId,
       rootCategory: profile.rootCategory,
       page,
       perPage: FINDER_PER_PAGE,
-      sort: [["current_SALES", "asc"]],
-      productType: [0, 1, 2],
     };
 
-    const res = await withRetry(() => keepaQuery(payload), { label: `keepaQuery:${profile.key}` });
+    const res = await keepaQuery(payload, { domain: profile.marketplace.domainId });
     const list = Array.isArray(res?.asinList) ? res.asinList : [];
     if (!list.length) break;
 
@@ -276,27 +185,41 @@ async function fetchAsinsForProfile(profile) {
     page += 1;
   }
 
-  return asins;
+  return profile.limits.candidates ? asins.slice(0, profile.limits.candidates) : asins;
 }
 
 /* =========================
  * diff & cooldown (B: visible diffs)
  * ========================= */
-function buildDiffLabel(prev, curr) {
+// moves: detectTransitions() (Amazon stock / buy box), listed first
+function buildDiffLabel(prev, curr, market, moves = []) {
   if (!prev) return { changed: true, label: "🆕 NEW" };
 
-  const parts = [];
+  const { priceDelta } = priceThresholds(market);
+
+  const parts = moves.map((m) => m.label);
+
+  // lowest since tracking started (own history)
+  if (curr.price != null && curr.prevLowest != null && curr.price < curr.prevLowest) {
+    parts.push(`🏷 記録開始以来の最安値（これまで ${yen(curr.prevLowest, market)}）`);
+  }
+
+  // N-day / all-time low from Keepa stats (lib/lows.js), only when it reaches a longer window than last time
+  // (state written before lows were tracked has no lowDays: wait one run)
+  if (prev.lowDays !== undefined && lowRank(curr) > lowRank(prev)) {
+    parts.push(lowLabel(curr));
+  }
 
   // price
   if (curr.price != null && prev.price != null) {
     const d = curr.price - prev.price;
-    if (Math.abs(d) >= PRICE_DELTA_YEN) {
-      parts.push(`${arrowUpDown(d)} 価格 ${fmtSigned(d, "円")}`);
+    if (Math.abs(d) >= priceDelta) {
+      parts.push(`${arrowUpDown(d)} 価格 ${formatPrice(d, market, { signed: true })}`);
     }
   } else if (curr.price != null && prev.price == null) {
-    parts.push(`🔺 価格 - → ${yen(curr.price)}`);
+    parts.push(`🔺 価格 - → ${yen(curr.price, market)}`);
   } else if (curr.price == null && prev.price != null) {
-    parts.push(`🔻 価格 ${yen(prev.price)} → -`);
+    parts.push(`🔻 価格 ${yen(prev.price, market)} → -`);
   }
 
   // rank (smaller is better)
@@ -325,7 +248,7 @@ function buildDiffLabel(prev, curr) {
   }
 
   if (!parts.length) return { changed: false, label: "NO_DIFF" };
-  return { changed: true, label: parts.join(" / ") };
+  return { changed: true, label: parts.join(" / "), transition: moves.length > 0 };
 }
 
 function inCooldown(prev) {
@@ -337,117 +260,189 @@ function inCooldown(prev) {
 /* =========================
  * Slack blocks
  * ========================= */
-function buildBlocks(profileName, it) {
-  const blocks = [];
+// per-item layout comes from the profile's template (default "card", see lib/templates.js)
+function buildBlocks(profile, it) {
+  return renderItem(templateFor(profile, "card"), it, profile);
+}
 
-  const titleSection = {
-    type: "section",
-    text: { type: "mrkdwn", text: `*${it.title}*` },
-  };
+// compact reply for a thread (title/buttons are already on the parent)
+function buildReplyBlocks(profile, it) {
+  return [
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: `変更検知: *${it.diff}*` },
+      fields: [
+        { type: "mrkdwn", text: `*価格*\n${yen(it.price, profile.marketplace)}` },
+        { type: "mrkdwn", text: `*出品者*\n${it.sellers ?? "-"}人` },
+        { type: "mrkdwn", text: `*ランキング*\n${it.rank ?? "-"}位` },
+        { type: "mrkdwn", text: `*30日販売数*\n${it.sold30 ?? "-"}個` },
+      ],
+    },
+  ];
+}
 
-  if (it.imageUrl) {
-    titleSection.accessory = {
-      type: "image",
-      image_url: it.imageUrl,
-      alt_text: (it.title || it.asin || "").slice(0, 80),
-    };
+// key: stateKey() of the item
+function threadOf(state, profile, key) {
+  return state.asins[key]?.threads?.[profile.key] ?? null;
+}
+
+function rememberThread(state, profile, key, posted) {
+  const entry = state.asins[key];
+  if (!entry || !posted?.ts) return;
+  entry.threads = { ...(entry.threads || {}), [profile.key]: { channel: posted.channel, ts: posted.ts } };
+}
+
+// returns the items that reached the primary channel now; retryable failures (429/5xx) go to the outbox
+// and get lastNotifiedAt when a later run delivers them (see main)
+async function postToSlack(profile, items, state) {
+  const delivered = [];
+  for (const { route, items: list } of groupBySeverity(profile, items)) {
+    delivered.push(...(await postRoute(profile, list, state, route)));
   }
-  blocks.push(titleSection);
-
-  blocks.push({
-    type: "section",
-    fields: [
-      { type: "mrkdwn", text: `*価格*\n${it.price != null ? yen(it.price) : "-"}` },
-      { type: "mrkdwn", text: `*出品者*\n${it.sellers ?? "-"}人` },
-      { type: "mrkdwn", text: `*ランキング*\n${it.rank ?? "-"}位` },
-      { type: "mrkdwn", text: `*30日販売数*\n${it.sold30 ?? "-"}個` },
-    ],
-  });
-
-  blocks.push({
-    type: "context",
-    elements: [{ type: "mrkdwn", text: `変更検知: *${it.diffLabel}*` }],
-  });
-
-  blocks.push({
-    type: "actions",
-    elements: [
-      { type: "button", text: { type: "plain_text", text: "Amazon" }, url: it.amazonUrl },
-      { type: "button", text: { type: "plain_text", text: "Keepa" }, url: it.keepaUrl },
-    ],
-  });
-
-  blocks.push({
-    type: "context",
-    elements: [{ type: "mrkdwn", text: `カテゴリ: *${profileName}* / ASIN: \`${it.asin}\`` }],
-  });
-
-  blocks.push({ type: "divider" });
-  return blocks;
+  return delivered;
 }
 
-async function postToSlack(profileName, items) {
-  if (!items.length) return 0;
+// one severity level; the other channels in route.notify get the same alerts (thread replies as plain messages)
+// follow-ups stay in the thread only when the level posts to the profile's usual channels,
+// and above normal they are broadcast so they don't get buried there
+async function postRoute(profile, items, state, route) {
+  if (!items.length) return [];
+
+  const profileName = profile.name;
+  const targets = route.notify; // Slack first, then Discord / email / webhook
+  const [primary, ...others] = targets;
+  const threaded =
+    THREAD_FOLLOWUPS && targets === profile.notify && primary.type === "slack" && slackTransport(primary) === "bot";
+  const broadcast = THREAD_BROADCAST || route.level !== "normal";
+  const delivered = [];
+  const queueFor = (its, parent) => ({ job: JOB, meta: { profileKey: profile.key, asins: its.map((i) => i.stateKey), parent } });
+  const dataFor = (its) => ({ profile: profile.key, items: its.map(itemData) });
+
+  // dests: every channel, or only the primary when retrying a failed group one by one
+  const postSingle = async (it, dests = targets) => {
+    const res = await notify(
+      applyRoute(
+        {
+          text: `${profileName}: ${it.title?.slice(0, 60) || it.asin}`,
+          blocks: buildBlocks(profile, it),
+          data: dataFor([it]),
+        },
+        route
+      ),
+      dests,
+      queueFor([it], threaded)
+    );
+    if (!res.ok) {
+      log(`Slack single ${res.queued ? "queued" : "failed"} (${profileName}, asin=${it.asin})`, res.error.message);
+      return;
+    }
+    if (threaded) rememberThread(state, profile, it.stateKey, res.result);
+    delivered.push(it);
+  };
 
-  const groups = chunk(items, SLACK_BATCH);
-  let sent = 0;
+  // follow-ups: reply under the first alert (fall back to a new parent if the thread is gone)
+  const fresh = [];
+  for (const it of items) {
+    const thread = threaded ? threadOf(state, profile, it.stateKey) : null;
+    if (!thread) {
+      fresh.push(it);
+      continue;
+    }
+    const payload = applyRoute(
+      {
+        text: `${profileName}: ${it.title?.slice(0, 60) || it.asin} / ${it.diff}`,
+        blocks: buildReplyBlocks(profile, it),
+        data: dataFor([it]),
+      },
+      route
+    );
+    const res = await deliver(
+      payload,
+      { ...primary, channel: thread.channel, threadTs: thread.ts, replyBroadcast: broadcast },
+      queueFor([it], false)
+    );
+    if (!res.ok && !res.queued) {
+      log(`Slack thread reply failed (${profileName}, asin=${it.asin}) -> new parent`, res.error.message);
+      fresh.push(it);
+      continue;
+    }
+    if (res.ok) delivered.push(it);
+    else log(`Slack thread reply queued (${profileName}, asin=${it.asin})`, res.error.message);
+    if (others.length) await notify(payload, others, { job: JOB });
+  }
+
+  // one parent per ASIN when threading, otherwise batch as before
+  const groups = chunk(fresh, threaded ? 1 : SLACK_BATCH);
 
   for (const group of groups) {
+    if (group.length === 1) {
+      await postSingle(group[0]);
+      continue;
+    }
+
     const blocks = [];
-    for (const it of group) blocks.push(...buildBlocks(profileName, it));
+    for (const it of group) blocks.push(...buildBlocks(profile, it));
     const fallback = `${profileName}: ${group[0].title?.slice(0, 60) || group[0].asin} ほか${group.length}件`;
 
-    try {
-      await slack({ text: fallback, blocks });
-      sent += group.length;
-    } catch (e) {
-      log(`Slack group failed (${profileName}, size=${group.length}) -> single`, e?.message || e);
-      for (const it of group) {
-        try {
-          await slack({
-            text: `${profileName}: ${it.title?.slice(0, 60) || it.asin}`,
-            blocks: buildBlocks(profileName, it),
-          });
-          sent += 1;
-        } catch (e2) {
-          log(`Slack single failed (${profileName}, asin=${it.asin})`, e2?.message || e2);
-        }
-      }
+    const res = await notify(applyRoute({ text: fallback, blocks, data: dataFor(group) }, route), targets, queueFor(group, false));
+    if (res.ok) {
+      delivered.push(...group);
+    } else if (res.queued) {
+      log(`Slack group queued (${profileName}, size=${group.length})`, res.error.message);
+    } else if (res.sent) {
+      // failed midway through a split post: going single would repeat what already landed
+      log(`Slack group failed after ${res.sent} message(s) (${profileName}, size=${group.length})`, res.error.message);
+    } else {
+      log(`Slack group failed (${profileName}, size=${group.length}) -> single`, res.error.message);
+      for (const it of group) await postSingle(it, [primary]);
     }
   }
 
-  return sent;
+  return delivered;
 }
 
 /* =========================
  * main per profile
  * ========================= */
-async function processProfile(profile, state) {
+async function processProfile(profile, state, touchedAsins) {
   log(`profile START ${profile.name}`);
 
   const asins = await fetchAsinsForProfile(profile);
   if (!asins.length) {
     log(`profile DONE ${profile.name} (no asins)`);
-    return { sent: 0, picked: 0, scanned: 0, cooldownSkip: 0, noDiff: 0 };
+    return { sent: 0, picked: 0, scanned: 0, cooldownSkip: 0, curatedSkip: 0, queuedSkip: 0, noDiff: 0 };
   }
 
   const asinChunks = chunk(asins, 20);
   const pickedToNotify = [];
 
+  const profileLimit = profile.limits.notify ?? PROFILE_LIMIT;
+  const market = profile.marketplace;
+  const minPrice = profile.filters.minPrice ?? priceThresholds(market).minPrice;
+
   let scanned = 0;
   let picked = 0;
   let cooldownSkip = 0;
+  let curatedSkip = 0;
+  let queuedSkip = 0;
   let noDiff = 0;
+  let transitions = 0;
+  const digestEvents = [];
+  // still waiting in the outbox from an earlier run: don't alert twice
+  const queued = new Set(
+    queuedMessages(JOB)
+      .filter((m) => m.meta?.profileKey === profile.key)
+      .flatMap((m) => m.meta.asins || [])
+  );
+  // muted / snoozed / dismissed from the Slack buttons (written by the interactions server)
+  const curation = loadCuration();
 
   for (const ch of asinChunks) {
     if (pickedToNotify.length >= MAX_NOTIFY_PER_PROFILE) break;
 
     let res;
     try {
-      res = await withRetry(() => keepaProduct(ch, { statsDays: 90 }), {
-        label: `keepaProduct:${profile.key}`,
-        maxRetries: 10,
-      });
+      res = await keepaProduct(ch, { statsDays: LOW_STATS_DAYS, domain: profile.marketplace.domainId });
     } catch (e) {
       log(`keepaProduct failed for ${profile.name} (continue)`, e?.message || e);
       continue;
@@ -459,118 +454,178 @@ async function processProfile(profile, state) {
       scanned += 1;
       if (!p?.asin) continue;
 
-      if (profile.excludeDigital && isDigitalTitle(p.title)) continue;
-
-      const stats = p.stats || {};
-      const { amazonPrice, newPrice, salesRank } = getStatsBasics(stats);
-
-      if (amazonPrice && amazonPrice > 0) continue;
-
-      const sellers = getTotalOfferCount(stats);
-      if (sellers == null || sellers < 3) continue;
-
-      const monthlySold = stats.salesRankDrops30 ?? stats.salesRankDrops90 ?? stats.salesRankDrops180 ?? null;
-      const price = newPrice ?? amazonPrice ?? null;
-
-      // ✅ 取得時点で 2000円未満は弾く（stateにも保存しない）
-      if (price == null || price < MIN_PRICE_YEN) continue;
-
       const asin = p.asin;
-      const prev = state.asins[asin];
+      const key = stateKey(profile, asin);
+      const prev = state.asins[key];
       const nowT = ts();
+      const stock = stockOf(p);
+      const moves = detectTransitions(prev, stock, (v) => yen(v, market));
+
+      // 通知条件（profiles.json の rule / filters）
+      const view = productView(p, { profit: profile.profit });
+      const curr = itemView(p, { buyBoxOwner: stock.buyBoxOwner }, { profit: profile.profit });
+      const { price, sellers, rank, sold30 } = curr;
+
+      // ✅ 取得時点で minPrice（既定 MIN_PRICE_YEN）未満は弾く（stateにも保存しない）
+      // a tracked ASIN that left the rule (e.g. "!amazonInStock" and Amazon came back) or fell under minPrice
+      // still reports transitions; its stock / buy box flags are kept fresh, or the next run would report a stale one
+      if (!profile.rule.test(view) || price == null || price < minPrice) {
+        if (!prev) continue;
+        state.asins[key] = { ...prev, amazonInStock: stock.amazonInStock, buyBoxOwner: stock.buyBoxOwner, lastSeenAt: nowT };
+        if (!moves.length || !instantEnabled(profile)) continue;
+        if (suppressedBy(curation, asin, profile.key)) {
+          curatedSkip += 1;
+          continue;
+        }
+        if (queued.has(key)) {
+          queuedSkip += 1;
+          continue;
+        }
+        const severity = severityOf(profile, { ...view, ...changeView(prev, curr) });
+        picked += 1;
+        transitions += 1;
+        pickedToNotify.push({
+          ...curr,
+          stateKey: key,
+          diff: moves.map((m) => m.label).join(" / "),
+          severity: severity === "normal" ? null : severity,
+        });
+        if (pickedToNotify.length >= profileLimit || pickedToNotify.length >= MAX_NOTIFY_PER_PROFILE) break;
+        continue;
+      }
 
-      const curr = {
-        asin,
-        title: normalizeTitle(p.title),
-        price,
-        sellers,
-        rank: salesRank,
-        sold30: monthlySold,
-        amazonUrl: `https://www.amazon.co.jp/dp/${asin}`,
-        keepaUrl: keepaProductPageUrl(asin),
-        imageUrl: getMainImageUrl(p),
-      };
+      if (HISTORY) {
+        curr.prevLowest = lowestSince(key, "price")?.value ?? null;
+        curr.lowest = curr.prevLowest != null ? Math.min(curr.prevLowest, price) : price;
+        appendPoint(key, { t: nowT, price, rank, sellers, sold30 });
+        touchedAsins.add(key);
+      }
 
-      const diff = buildDiffLabel(prev, curr);
+      const diff = buildDiffLabel(prev, curr, market, moves);
 
       // state更新（2000円以上だけが残る仕様）
-      state.asins[asin] = {
+      state.asins[key] = {
         asin,
         title: curr.title,
         price: curr.price,
         rank: curr.rank,
         sellers: curr.sellers,
         sold30: curr.sold30,
+        amazonInStock: curr.amazonInStock,
+        buyBoxOwner: stock.buyBoxOwner,
+        lowDays: curr.lowDays,
+        lowAll: curr.lowAll,
         firstSeenAt: prev?.firstSeenAt ?? nowT,
         lastSeenAt: nowT,
         lastNotifiedAt: prev?.lastNotifiedAt ?? 0,
+        threads: prev?.threads ?? {},
       };
 
+      // digest: every change counts (no cooldown), muted/snoozed/dismissed ones don't
+      const amazonBack = prev?.amazonInStock === false && curr.amazonInStock;
+      if ((diff.changed || amazonBack) && digestEnabled(profile) && !suppressedBy(curation, asin, profile.key)) {
+        digestEvents.push(digestEvent(curr, prev, nowT));
+      }
+
       if (!diff.changed) {
         noDiff += 1;
         continue;
       }
 
-      if (inCooldown(prev)) {
+      // digest-only profile: no per-item posts
+      if (!instantEnabled(profile)) continue;
+
+      if (suppressedBy(curation, asin, profile.key)) {
+        curatedSkip += 1;
+        continue;
+      }
+
+      if (queued.has(key)) {
+        queuedSkip += 1;
+        continue;
+      }
+
+      // transitions happen once per change, so they are not held back by the cooldown
+      if (!diff.transition && inCooldown(prev)) {
         cooldownSkip += 1;
         continue;
       }
 
       picked += 1;
-      pickedToNotify.push({ ...curr, diffLabel: diff.label });
+      if (diff.transition) transitions += 1;
+      const severity = severityOf(profile, { ...view, ...changeView(prev, curr) });
+      pickedToNotify.push({ ...curr, stateKey: key, diff: diff.label, severity: severity === "normal" ? null : severity });
 
-      if (pickedToNotify.length >= PROFILE_LIMIT || pickedToNotify.length >= MAX_NOTIFY_PER_PROFILE) break;
+      if (pickedToNotify.length >= profileLimit || pickedToNotify.length >= MAX_NOTIFY_PER_PROFILE) break;
     }
   }
 
+  recordDigest(profile, digestEvents);
+
   let sent = 0;
   if (pickedToNotify.length) {
-    sent = await postToSlack(profile.name, pickedToNotify);
+    const delivered = await postToSlack(profile, pickedToNotify, state);
+    sent = delivered.length;
     const now2 = ts();
-    for (const it of pickedToNotify.slice(0, sent)) {
-      if (state.asins[it.asin]) state.asins[it.asin].lastNotifiedAt = now2;
+    for (const it of delivered) {
+      if (state.asins[it.stateKey]) state.asins[it.stateKey].lastNotifiedAt = now2;
     }
   }
 
   log(
-    `profile DONE ${profile.name} notified=${sent} picked=${picked} scanned=${scanned} cooldownSkip=${cooldownSkip} noDiff=${noDiff}`
+    `profile DONE ${profile.name} notified=${sent} picked=${picked} scanned=${scanned} cooldownSkip=${cooldownSkip} curatedSkip=${curatedSkip} queuedSkip=${queuedSkip} noDiff=${noDiff} transitions=${transitions} digest=${digestEvents.length}`
   );
 
-  return { sent, picked, scanned, cooldownSkip, noDiff };
+  return { sent, picked, scanned, cooldownSkip, curatedSkip, queuedSkip, noDiff };
 }
 
 /* =========================
  * main
  * ========================= */
+const startedAt = Date.now();
+
 async function main() {
   log(`monitor START (ONLY_PROFILE=${ONLY_PROFILE || "all"})`);
-  log(`STATE_FILE=${path.relative(guessRepoRoot(), STATE_FILE)}`);
+  log(`STATE=${stateLocation()}`);
 
   const state = loadState();
 
-  if (!fs.existsSync(STATE_FILE)) {
-    writeJsonAtomic(STATE_FILE, state);
-    log("state file created", { file: path.relative(guessRepoRoot(), STATE_FILE) });
+  // messages queued by earlier runs (429/5xx): the cooldown starts only once they land
+  for (const sent of await flushOutbox(JOB)) {
+    if (!sent.meta) continue; // later parts of a split post / secondary channels
+    const { profileKey, asins = [], parent } = sent.meta; // asins: state keys
+    for (const key of asins) {
+      if (state.asins[key]) state.asins[key].lastNotifiedAt = ts();
+      if (parent) rememberThread(state, { key: profileKey }, key, sent.result);
+    }
   }
 
-  let targets = PROFILES;
-  if (ONLY_PROFILE && ONLY_PROFILE !== "all") {
-    const filtered = PROFILES.filter((p) => p.key === ONLY_PROFILE);
-    targets = filtered.length ? filtered : PROFILES;
-  }
+  const targets = selectProfiles(ONLY_PROFILE);
 
   let total = 0;
+  const touchedAsins = new Set();
+  const notified = {};
 
   for (const profile of targets) {
-    const r = await processProfile(profile, state);
+    const r = await processProfile(profile, state, touchedAsins);
     total += r.sent;
+    notified[profile.key] = r.sent;
   }
 
   saveState(state);
-  log("monitor DONE", { notified: total });
+  if (HISTORY) {
+    const compacted = compactHistory({ asins: [...touchedAsins] });
+    log("history", { asins: touchedAsins.size, compacted });
+  }
+  const digests = await postDueDigests(targets);
+
+  const keepaTokensLeft = keepaTokenStatus().tokensLeft;
+  log("monitor DONE", { notified: total, digests, keepaTokensLeft });
+  recordRun("monitor", { startedAt, summary: { notified, digests, keepaTokensLeft } });
 }
 
 main().catch((err) => {
   console.error("monitor FATAL", err?.message || err);
+  recordRun("monitor", { startedAt, ok: false, error: err });
   process.exitCode = 1;
 });
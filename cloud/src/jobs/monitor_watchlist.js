@@ -0,0 +1,310 @@
+// src/jobs/monitor_watchlist.js
+// data/watchlist.json の ASIN を Keepa /product で取得 → 前回値（state）と比較 → Slack 通知
+// - 価格上昇: 前回から PRICE_JUMP_PCT % 以上
+// - 在庫切れ: Amazon 本体 / カート（BuyBox）が在庫あり → なし に変化
+// - Amazon の復帰: Amazon 本体の在庫復活、カートを Amazon が失った / 取り戻した（lib/transitions.js）
+// - 目標価格: watchlist の target（landed/new/amazon × below/above）をまたいだ瞬間
+// - 同じ ASIN・同じ種別の通知は COOLDOWN_HOURS の間は抑止
+// - Slack のボタンでミュート / スヌーズした ASIN は通知しない（履歴と state は更新する）
+// - 届かなかった通知は送信待ち（services/outbox.js）から次回送り、届いた時点でクールダウンを始める
+// - 利益の見込み（lib/profit.js）: 仕入れ値は watchlist の cost、無ければ目標価格（below）
+// - 自前の履歴（storage/history.js）: 記録開始以来の最安値を下回ったら通知、通知には7日間の推移を添える
+// - マーケットプレイスは KEEPA_DOMAIN の国（価格はその国の通貨で表示）
+
+import "dotenv/config";
+import { cfg } from "../config/index.js";
+import { keepaProduct, keepaProductPageUrl } from "../services/keepa.js";
+import { notify, flushOutbox, queuedMessages } from "../services/outbox.js";
+import { defaultNotify } from "../config/notify.js";
+import { watchEntries } from "../storage/watchlist.js";
+import { loadState, saveState, inCooldown, markNotified } from "../storage/state.js";
+import { appendPoint, compactHistory, lowestSince, trend } from "../storage/history.js";
+import { loadCuration, suppressedBy } from "../storage/curation.js";
+import { recordRun } from "../storage/runs.js";
+import { curateBlocks } from "../interactions/actions.js";
+import { defaultMarketplace, formatPrice } from "../config/marketplaces.js";
+import {
+  currentLandedPrice,
+  currentNewPrice,
+  currentAmazonPrice,
+  urlOf,
+  jpNow,
+} from "./lib/core.js";
+import { stockOf, detectTransitions } from "./lib/transitions.js";
+import { profitOf } from "./lib/profit.js";
+
+const CHUNK = 20;
+const JOB = "monitor_watchlist";
+const startedAt = Date.now();
+
+// ===== util =====
+function log(...args) {
+  console.log(new Date().toISOString(), ...args);
+}
+
+function chunk(array, size) {
+  const out = [];
+  for (let i = 0; i < array.length; i += size) {
+    out.push(array.slice(i, i + size));
+  }
+  return out;
+}
+
+function yen(v) {
+  if (v == null) return "-";
+  const market = defaultMarketplace();
+  return market.currency === "JPY" ? `¥${Math.round(v).toLocaleString("ja-JP")}` : formatPrice(v, market);
+}
+
+function normalizeTitle(rawTitle) {
+  return (rawTitle || "(no title)").replace(/\s+/g, " ").trim();
+}
+
+// ===== 判定 =====
+const TARGET_FIELD_LABEL = { landed: "送料込", new: "新品", amazon: "Amazon" };
+
+function targetPriceOf(p, field) {
+  if (field === "new") return currentNewPrice(p);
+  if (field === "amazon") return currentAmazonPrice(p);
+  return currentLandedPrice(p);
+}
+
+const targetKeyOf = (t) => `${t.field}:${t.direction}:${t.price}`;
+
+// 目標価格をまたいだか（前回は未到達 → 今回到達）。目標を書き換えたら未到達扱いに戻す
+function detectTarget(prev, curr, target) {
+  if (!target || curr.targetValue == null) return null;
+  if (!curr.targetHit) return null;
+  if (prev?.targetHit && prev.targetKey === curr.targetKey) return null;
+  const op = target.direction === "below" ? "≤" : "≥";
+  return {
+    kind: "target",
+    label: `🎯 目標価格到達（${TARGET_FIELD_LABEL[target.field]} ${op} ${yen(target.price)}）: 現在 ${yen(curr.targetValue)}`,
+  };
+}
+
+// 前回スナップショットと今回を比べてイベントを列挙（通知可否は呼び出し側）
+// prevLowest は今回より前の履歴の最安値（storage/history.js の lowestSince）
+function detectEvents(prev, curr, target, prevLowest = null) {
+  const events = [];
+
+  const hit = detectTarget(prev, curr, target);
+  if (hit) events.push(hit);
+
+  if (!prev) return events;
+
+  if (prev.price > 0 && curr.price > 0) {
+    const pct = ((curr.price - prev.price) / prev.price) * 100;
+    if (pct >= cfg.priceJumpPct) {
+      events.push({
+        kind: "jump",
+        label: `📈 価格上昇 ${yen(prev.price)} → ${yen(curr.price)}（+${pct.toFixed(1)}%）`,
+      });
+    }
+  }
+
+  if (curr.price > 0 && prevLowest != null && curr.price < prevLowest) {
+    events.push({ kind: "recordLow", label: `🏷 記録開始以来の最安値 ${yen(curr.price)}（これまで ${yen(prevLowest)}）` });
+  }
+
+  events.push(...detectTransitions(prev, curr, yen));
+
+  if (prev.buyBoxInStock === true && curr.buyBoxInStock === false) {
+    events.push({ kind: "buyBoxOOS", label: "🚫 カート（BuyBox）が在庫切れ" });
+  }
+
+  return events;
+}
+
+const pct = (v) => (v == null ? "-" : `${v > 0 ? "+" : ""}${Math.round(v * 1000) / 10}%`);
+
+// 利益の見込み（販売価格が無ければ null）
+function profitLine(est) {
+  if (est.net == null) return null;
+  const head = `見込み: 手数料 ${yen(est.fee)} ／ 手取り ${yen(est.net)}`;
+  if (est.profit == null) return head;
+  const sign = est.profit > 0 ? "+" : est.profit < 0 ? "-" : "";
+  return `${head} ／ 仕入れ ${yen(est.cost)} ／ 利益 ${sign}${yen(Math.abs(est.profit))}（利益率 ${pct(est.margin)} ／ ROI ${pct(est.roi)}）`;
+}
+
+// ===== Slack Blocks =====
+function buildBlocks(alerts) {
+  const blocks = [
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: `*監視リスト アラート ${alerts.length}件*  ${jpNow()}` },
+    },
+    { type: "divider" },
+  ];
+
+  for (const a of alerts) {
+    const lines = [
+      `*${a.title}*  <${urlOf(a.asin)}|Amazon> ・ <${keepaProductPageUrl(a.asin)}|Keepa>  (${a.asin})`,
+      ...a.events.map((e) => e.label),
+      `現在価格(送料込): ${yen(a.price)}`,
+      a.trend ? `7日推移: ${yen(a.trend.first)} → ${yen(a.trend.last)}（${pct(a.trend.pct)}）` : null,
+      profitLine(a.profit),
+    ].filter(Boolean);
+    blocks.push({ type: "section", text: { type: "mrkdwn", text: lines.join("\n") } });
+    blocks.push(...curateBlocks(a.asin, null, { watch: false }));
+    blocks.push({ type: "divider" });
+  }
+
+  return blocks;
+}
+
+// ===== メイン処理 =====
+async function main() {
+  log("monitor_watchlist START");
+
+  const entries = watchEntries();
+  const byAsin = new Map(entries.map((e) => [e.asin, e]));
+  const asins = [...byAsin.keys()];
+  if (!asins.length) {
+    log("watchlist is empty");
+    return;
+  }
+
+  const state = loadState();
+
+  // 前回までに積まれた通知を送り、届いたものだけ通知済みにする
+  for (const sent of await flushOutbox(JOB)) {
+    if (!sent.meta) continue;
+    for (const it of sent.meta.items || []) {
+      const entry = state.products[it.asin];
+      if (!entry) continue;
+      for (const kind of it.kinds) markNotified(entry, kind, Date.now());
+    }
+  }
+  // まだ送信待ちの ASIN は重ねて通知しない
+  const queuedAsins = new Set(queuedMessages(JOB).flatMap((m) => (m.meta?.items || []).map((it) => it.asin)));
+
+  const now = Date.now();
+  const alerts = [];
+  let scanned = 0;
+  let cooldownSkip = 0;
+  let curatedSkip = 0;
+  let queuedSkip = 0;
+  const curation = loadCuration();
+
+  for (const ch of chunk(asins, CHUNK)) {
+    let res;
+    try {
+      res = await keepaProduct(ch, { statsDays: 1, buybox: true });
+    } catch (err) {
+      log("Product error:", err.message || err);
+      continue;
+    }
+
+    const products = Array.isArray(res?.products) ? res.products : [];
+
+    for (const p of products) {
+      if (!p?.asin) continue;
+      scanned += 1;
+
+      const asin = p.asin;
+      const prev = state.products[asin];
+      const curr = {
+        price: currentLandedPrice(p),
+        ...stockOf(p),
+      };
+
+      const prevLowest = lowestSince(asin, "price")?.value ?? null;
+      appendPoint(asin, {
+        t: now,
+        price: curr.price,
+        amazonInStock: curr.amazonInStock,
+        buyBoxInStock: curr.buyBoxInStock,
+        buyBoxOwner: curr.buyBoxOwner,
+      });
+
+      const target = byAsin.get(asin)?.target ?? null;
+      const cost = byAsin.get(asin)?.cost ?? (target?.direction === "below" ? target.price : null);
+      if (target) {
+        curr.targetKey = targetKeyOf(target);
+        curr.targetValue = targetPriceOf(p, target.field);
+        // 価格が取れなかった回は前回の到達状態を引き継ぐ
+        curr.targetHit =
+          curr.targetValue == null
+            ? (prev?.targetKey === curr.targetKey && !!prev?.targetHit)
+            : target.direction === "below"
+              ? curr.targetValue <= target.price
+              : curr.targetValue >= target.price;
+      }
+
+      const entry = {
+        ...prev,
+        asin,
+        title: normalizeTitle(p.title),
+        ...curr,
+        lastCheckedAt: now,
+      };
+      state.products[asin] = entry;
+
+      const events = detectEvents(prev, curr, target, prevLowest).filter((e) => {
+        if (!inCooldown(prev, e.kind, cfg.cooldownHours, now)) return true;
+        cooldownSkip += 1;
+        return false;
+      });
+      if (!events.length) continue;
+      if (suppressedBy(curation, asin, null, now)) {
+        curatedSkip += 1;
+        continue;
+      }
+      if (queuedAsins.has(asin)) {
+        queuedSkip += 1;
+        continue;
+      }
+
+      alerts.push({
+        asin,
+        title: entry.title,
+        price: curr.price,
+        profit: profitOf(p, curr.price, undefined, cost),
+        trend: trend(asin, "price", 7),
+        events,
+        entry,
+        prev,
+      });
+    }
+  }
+
+  if (alerts.length) {
+    // 1メッセージあたり 10 件まで（Slack のブロック上限対策）
+    for (const group of chunk(alerts, 10)) {
+      const meta = { items: group.map((a) => ({ asin: a.asin, kinds: a.events.map((e) => e.kind) })) };
+      const res = await notify(
+        {
+          text: `監視リスト: ${group[0].title.slice(0, 60)} ほか${group.length}件`,
+          blocks: buildBlocks(group),
+          data: { watchlist: group.map((a) => ({ asin: a.asin, title: a.title, price: a.price, profit: a.profit, events: a.events })) },
+        },
+        defaultNotify(),
+        { job: JOB, meta }
+      );
+      if (res.ok) {
+        for (const a of group) {
+          for (const e of a.events) markNotified(a.entry, e.kind, now);
+        }
+      } else if (res.queued) {
+        // 送信待ちから届いた時点で通知済みにする（到達状態はそのまま）
+        log("Slack post queued:", res.error.message);
+      } else {
+        log("Slack post failed:", res.error.message);
+        // 届かなかった目標到達は次回また通知できるよう到達状態を戻す
+        for (const a of group) a.entry.targetHit = a.prev?.targetHit ?? false;
+      }
+    }
+  }
+
+  saveState(state);
+  compactHistory({ asins });
+  log(`monitor_watchlist DONE scanned=${scanned} alerts=${alerts.length} cooldownSkip=${cooldownSkip} curatedSkip=${curatedSkip} queuedSkip=${queuedSkip}`);
+  recordRun(JOB, { startedAt, summary: { scanned, alerts: alerts.length, cooldownSkip, curatedSkip, queuedSkip } });
+}
+
+main().catch((err) => {
+  console.error("monitor_watchlist FATAL", err);
+  recordRun(JOB, { startedAt, ok: false, error: err });
+  process.exitCode = 1;
+});
@@ -0,0 +1,250 @@
+// src/services/blockkit.js
+// Block Kit の上限チェックと分割（送る前に services/slack.js が通す）
+// - 1メッセージ 50 ブロックまで: 超えたら divider の切れ目で複数メッセージに分ける（text には (2/3) を付ける）
+// - 長すぎる文字列は切り詰める（section の text 3000 / fields 2000 / header 150 など。mrkdwn のリンクは途中で切らない）
+// - 画像 URL が http(s) でない / 長すぎるものは、画像アクセサリ・image ブロックだけ落とす（投稿全体は落とさない）
+//   URL は正しくても Slack が画像を取れないと invalid_blocks になるので、そのときは stripImages() で画像を全部外して送り直す（services/slack.js）
+// - 数の上限（fields 10 / context 10 / actions 25）を超えた分は落とす
+// 直したことは notes に文言で返す（呼び出し側でログに出す）
+import { isObj } from "../config/parse.js";
+
+export const MAX_BLOCKS = 50;
+
+const LIMITS = {
+  text: 40000, // メッセージの text（通知・プレビュー用）
+  sectionText: 3000,
+  field: 2000,
+  fields: 10,
+  header: 150,
+  contextElements: 10,
+  contextText: 3000,
+  actionsElements: 25,
+  buttonText: 75,
+  url: 3000,
+  altText: 2000,
+  imageTitle: 2000,
+};
+
+const ELLIPSIS = "…";
+
+/**
+ * max 文字（サロゲートペアは1文字）に切り詰める
+ * 改行の近くで切れるならそこで、途中で開いたままの <...|...> リンクは丸ごと落とす
+ */
+export function truncateText(s, max) {
+  const chars = Array.from(String(s ?? ""));
+  if (chars.length <= max) return String(s ?? "");
+  let cut = chars.slice(0, max - 1).join("");
+  const nl = cut.lastIndexOf("\n");
+  if (nl >= cut.length * 0.8) cut = cut.slice(0, nl);
+  const open = cut.lastIndexOf("<");
+  if (open > cut.lastIndexOf(">")) cut = cut.slice(0, open);
+  return `${cut.trimEnd()}${ELLIPSIS}`;
+}
+
+function validUrl(u) {
+  if (typeof u !== "string" || !u || u.length > LIMITS.url) return false;
+  try {
+    const { protocol } = new URL(u);
+    return protocol === "https:" || protocol === "http:";
+  } catch {
+    return false;
+  }
+}
+
+// text オブジェクト（{ type, text }）の text を切り詰める
+function fitText(obj, max, where, notes) {
+  if (!isObj(obj) || typeof obj.text !== "string") return obj;
+  if (Array.from(obj.text).length <= max) return obj;
+  notes.push(`${where}: text truncated to ${max} chars`);
+  return { ...obj, text: truncateText(obj.text, max) };
+}
+
+function capList(list, max, where, notes) {
+  if (list.length <= max) return list;
+  notes.push(`${where}: ${list.length - max} element(s) over the limit of ${max} dropped`);
+  return list.slice(0, max);
+}
+
+function fixImage(img, where, notes) {
+  if (!validUrl(img.image_url)) {
+    notes.push(`${where}: dropped image (bad image_url: ${String(img.image_url ?? "").slice(0, 80)})`);
+    return null;
+  }
+  const out = { ...img, alt_text: truncateText(String(img.alt_text || "").trim() || "image", LIMITS.altText) };
+  if (out.title) out.title = fitText(out.title, LIMITS.imageTitle, where, notes);
+  return out;
+}
+
+function fixButton(el, where, notes) {
+  if (el.url != null && !validUrl(el.url)) {
+    notes.push(`${where}: dropped button "${el.text?.text ?? ""}" (bad url)`);
+    return null;
+  }
+  return { ...el, text: fitText(el.text, LIMITS.buttonText, where, notes) };
+}
+
+// 1ブロック分（直せないものは null）
+function fixBlock(block, i, notes) {
+  const where = `blocks[${i}] ${block?.type}`;
+  if (!isObj(block) || typeof block.type !== "string") {
+    notes.push(`blocks[${i}]: dropped (not a block)`);
+    return null;
+  }
+
+  switch (block.type) {
+    case "section": {
+      const out = { ...block };
+      if (out.text) out.text = fitText(out.text, LIMITS.sectionText, where, notes);
+      if (Array.isArray(out.fields)) {
+        out.fields = capList(out.fields, LIMITS.fields, where, notes).map((f) => fitText(f, LIMITS.field, where, notes));
+        if (!out.fields.length) delete out.fields;
+      }
+      if (isObj(out.accessory)) {
+        if (out.accessory.type === "image") {
+          const img = fixImage(out.accessory, `${where} accessory`, notes);
+          if (img) out.accessory = img;
+          else delete out.accessory;
+        } else if (out.accessory.type === "button") {
+          const btn = fixButton(out.accessory, `${where} accessory`, notes);
+          if (btn) out.accessory = btn;
+          else delete out.accessory;
+        }
+      }
+      if (!out.text?.text && !out.fields) {
+        notes.push(`${where}: dropped (no text or fields)`);
+        return null;
+      }
+      return out;
+    }
+    case "header":
+      return { ...block, text: fitText(block.text, LIMITS.header, where, notes) };
+    case "image":
+      return fixImage(block, where, notes);
+    case "context": {
+      const elements = capList(block.elements || [], LIMITS.contextElements, where, notes)
+        .map((el) => (el?.type === "image" ? fixImage(el, where, notes) : fitText(el, LIMITS.contextText, where, notes)))
+        .filter(Boolean);
+      return elements.length ? { ...block, elements } : null;
+    }
+    case "actions": {
+      const elements = capList(block.elements || [], LIMITS.actionsElements, where, notes)
+        .map((el) => (el?.type === "button" ? fixButton(el, where, notes) : el))
+        .filter(Boolean);
+      return elements.length ? { ...block, elements } : null;
+    }
+    default:
+      return block;
+  }
+}
+
+/**
+ * blocks を上限に収める
+ * @param {any[]} blocks
+ * @returns {{ blocks: any[], notes: string[] }}
+ */
+export function sanitizeBlocks(blocks) {
+  const notes = [];
+  const out = (blocks || []).map((b, i) => fixBlock(b, i, notes)).filter(Boolean);
+  // 先頭・末尾・連続の divider は詰める
+  const tidy = out.filter((b, i) => b.type !== "divider" || (i > 0 && out[i - 1].type !== "divider"));
+  while (tidy[0]?.type === "divider") tidy.shift();
+  while (tidy.at(-1)?.type === "divider") tidy.pop();
+  return { blocks: tidy, notes };
+}
+
+// divider ごとのまとまり（1商品分など）を崩さないように max ブロックずつに詰める
+function chunkBlocks(blocks, max) {
+  const segments = [];
+  let seg = [];
+  for (const b of blocks) {
+    seg.push(b);
+    if (b.type === "divider") {
+      segments.push(seg);
+      seg = [];
+    }
+  }
+  if (seg.length) segments.push(seg);
+
+  const chunks = [];
+  let cur = [];
+  for (const s of segments) {
+    if (cur.length && cur.length + s.length > max) {
+      chunks.push(cur);
+      cur = [];
+    }
+    // 1まとまりで上限を超えるものは機械的に切る
+    for (let i = 0; i < s.length; i += max) {
+      const part = s.slice(i, i + max);
+      if (cur.length + part.length > max) {
+        chunks.push(cur);
+        cur = [];
+      }
+      cur.push(...part);
+    }
+  }
+  if (cur.length) chunks.push(cur);
+  return chunks;
+}
+
+/**
+ * 送れる形に直して、必要なら複数メッセージに分ける
+ * @param {{ text?: string, blocks?: any[] }} payload
+ * @returns {{ parts: Array<{ text?: string, blocks?: any[] }>, notes: string[] }}
+ */
+export function splitPayload(payload, max = MAX_BLOCKS) {
+  const text = payload.text != null ? truncateText(payload.text, LIMITS.text) : payload.text;
+  if (!Array.isArray(payload.blocks)) return { parts: [{ ...payload, text }], notes: [] };
+
+  const { blocks, notes } = sanitizeBlocks(payload.blocks);
+  if (!blocks.length) {
+    notes.push("no valid blocks left, sending text only");
+    const rest = { ...payload, text };
+    delete rest.blocks;
+    return { parts: [rest], notes };
+  }
+
+  const chunks = chunkBlocks(blocks, max);
+  if (chunks.length > 1) notes.push(`${blocks.length} blocks split into ${chunks.length} messages`);
+  const parts = chunks.map((b, i) => ({
+    ...payload,
+    text: chunks.length > 1 && text ? `${text} (${i + 1}/${chunks.length})` : text,
+    blocks: b,
+  }));
+  return { parts, notes };
+}
+
+/**
+ * 画像（image ブロック・画像アクセサリ・context の画像）を全部外す
+ * @param {{ text?: string, blocks?: any[] }} payload splitPayload() の1通分
+ * @returns {{ text?: string, blocks?: any[] }|null} 外すものが無ければ null
+ */
+export function stripImages(payload) {
+  if (!Array.isArray(payload.blocks)) return null;
+  let dropped = 0;
+  const blocks = payload.blocks
+    .map((b) => {
+      if (b?.type === "image") {
+        dropped += 1;
+        return null;
+      }
+      if (b?.type === "section" && b.accessory?.type === "image") {
+        dropped += 1;
+        const { accessory: _accessory, ...rest } = b;
+        return rest;
+      }
+      if (b?.type === "context" && Array.isArray(b.elements) && b.elements.some((el) => el?.type === "image")) {
+        dropped += 1;
+        const elements = b.elements.filter((el) => el?.type !== "image");
+        return elements.length ? { ...b, elements } : null;
+      }
+      return b;
+    })
+    .filter(Boolean);
+  if (!dropped) return null;
+
+  const { blocks: tidy } = sanitizeBlocks(blocks);
+  const out = { ...payload, blocks: tidy };
+  if (!tidy.length) delete out.blocks;
+  return out;
+}
@@ -0,0 +1,99 @@
+// src/services/blocks_text.js
+// Slack の Block Kit（mrkdwn）を Slack 以外の通知先向けに変換（Discord: Markdown / メール: HTML とテキスト）
+// - divider で区切られたまとまり（1商品分）を1枚の「カード」にする
+// - URL 付きボタンはリンクに、URL の無いボタン（Slack のキュレーション用）は落とす
+
+const LINK_RE = /<([^<>|]+)(?:\|([^<>]+))?>/g;
+
+/**
+ * @param {any[]} blocks
+ * @returns {Array<{ lines: string[], links: Array<{ text: string, url: string }>, thumb: string|null, image: string|null }>}
+ *   lines は mrkdwn のまま
+ */
+export function toCards(blocks = []) {
+  const cards = [];
+  let card = null;
+  const cur = () => (card ??= { lines: [], links: [], thumb: null, image: null });
+  const addButton = (el) => {
+    if (el?.type === "button" && el.url) cur().links.push({ text: el.text?.text || el.url, url: el.url });
+  };
+
+  for (const b of blocks) {
+    switch (b?.type) {
+      case "divider":
+        if (card) cards.push(card);
+        card = null;
+        break;
+      case "header":
+        cur().lines.push(`*${b.text?.text ?? ""}*`);
+        break;
+      case "section":
+        if (b.text?.text) cur().lines.push(b.text.text);
+        for (const f of b.fields || []) if (f?.text) cur().lines.push(f.text.replace(/\n+/g, " "));
+        if (b.accessory?.type === "image") cur().thumb ??= b.accessory.image_url;
+        addButton(b.accessory);
+        break;
+      case "context":
+        for (const el of b.elements || []) if (typeof el?.text === "string") cur().lines.push(el.text);
+        break;
+      case "image":
+        if (!cur().image) card.image = b.image_url;
+        else card.links.push({ text: b.alt_text || "image", url: b.image_url });
+        break;
+      case "actions":
+        (b.elements || []).forEach(addButton);
+        break;
+      default:
+        break;
+    }
+  }
+  if (card) cards.push(card);
+  return cards;
+}
+
+// リンクを一旦退避して全体に fn をかけ（*<url|text>* のようにリンクをまたぐ装飾もそのまま効く）、
+// リンクは link(url, text) で置き換える。<!here> / <@U123> などはラベル（無ければ @here 等）の文字列に
+function mapText(raw, fn, link) {
+  const links = [];
+  const masked = String(raw ?? "").replace(LINK_RE, (_, target, label) => {
+    links.push(/^[!@#]/.test(target) ? fn(label || target.replace(/^!/, "@")) : link(target, label));
+    return `\u0000${links.length - 1}\u0000`;
+  });
+  return fn(masked).replace(/\u0000(\d+)\u0000/g, (_, i) => links[Number(i)]);
+}
+
+/** Slack mrkdwn → Discord Markdown（*太字* → **太字**、<url|text> → [text](url)） */
+export function mrkdwnToMarkdown(s) {
+  return mapText(
+    s,
+    (t) => t.replace(/\*([^*\n]+)\*/g, "**$1**").replace(/~([^~\n]+)~/g, "~~$1~~"),
+    (url, text) => (text ? `[${text}](${url})` : url)
+  );
+}
+
+/** Slack mrkdwn → 装飾なしのテキスト（リンクは "text (url)"） */
+export function mrkdwnToPlain(s) {
+  return mapText(
+    s,
+    (t) => t.replace(/\*([^*\n]+)\*/g, "$1").replace(/~([^~\n]+)~/g, "$1").replace(/(^|[^\w])_([^_\n]+)_(?=[^\w]|$)/g, "$1$2"),
+    (url, text) => (text && text !== url ? `${text} (${url})` : url)
+  );
+}
+
+export const escapeHtml = (s) =>
+  String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/** Slack mrkdwn → HTML（エスケープ済み） */
+export function mrkdwnToHtml(s) {
+  return mapText(
+    s,
+    (t) =>
+      escapeHtml(t)
+        .replace(/\*([^*\n]+)\*/g, "<b>$1</b>")
+        .replace(/~([^~\n]+)~/g, "<s>$1</s>")
+        .replace(/`([^`\n]+)`/g, "<code>$1</code>")
+        .replace(/(^|[^\w])_([^_\n]+)_(?=[^\w]|$)/g, "$1<i>$2</i>")
+        .replace(/\n/g, "<br>"),
+    (url, text) => `<a href="${escapeHtml(url)}">${escapeHtml(text || url)}</a>`
+  );
+}
@@ -0,0 +1,53 @@
+// src/services/channels.js
+// 通知先の種類（type）ごとの送信関数
+// - slack（既定）/ discord / email / webhook。どれも (payload, dest) を受け取り、Slack と同じ形の payload を各自で変換して送る
+// - 送信待ち（services/outbox.js）に積む投稿先は秘密（Webhook URL など）を含めず、環境変数名だけで持つ
+import { slack } from "./slack.js";
+import { discord } from "./discord.js";
+import { email } from "./email.js";
+import { webhook } from "./webhook.js";
+
+const SENDERS = { slack, discord, email, webhook };
+
+export const CHANNEL_TYPES = Object.keys(SENDERS);
+
+/** 投稿先の種類（type の無いものは Slack: プロファイルの slack をそのまま渡せるように） */
+export const channelType = (dest = {}) => dest.type || "slack";
+
+/**
+ * 1つの通知先へ送る（再試行なし。services/outbox.js から呼ぶ）
+ * @returns {Promise<{ ok: true, transport: string, channel: string|null, ts: string|null, parts: number }>}
+ */
+export async function sendTo(payload, dest = {}) {
+  const send = SENDERS[channelType(dest)];
+  if (!send) throw new Error(`unknown notify type "${dest.type}" (${CHANNEL_TYPES.join(" / ")})`);
+  return send(payload, dest);
+}
+
+/** 保存する投稿先（Webhook URL が直接渡されていて名前が分からなければ null = 積まない） */
+export function storableDest(dest = {}) {
+  if (dest.webhookUrl && !dest.webhookEnv) return null;
+  if (channelType(dest) !== "slack") {
+    const { webhookUrl: _url, ...rest } = dest;
+    return rest;
+  }
+  return {
+    webhookEnv: dest.webhookEnv || "SLACK_WEBHOOK_URL",
+    channel: dest.channel || null,
+    threadTs: dest.threadTs || null,
+    replyBroadcast: !!dest.replyBroadcast,
+    transport: dest.transport || null,
+  };
+}
+
+/** storableDest() で保存したものを送れる形に戻す */
+export function resolveDest(d = {}) {
+  if (channelType(d) !== "slack") return d;
+  return {
+    webhookUrl: process.env[d.webhookEnv] || process.env.SLACK_WEBHOOK_URL,
+    channel: d.channel || undefined,
+    threadTs: d.threadTs || undefined,
+    replyBroadcast: d.replyBroadcast,
+    transport: d.transport || undefined,
+  };
+}
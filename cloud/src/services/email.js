@@ -0,0 +1,269 @@
+// src/services/email.js
+// SMTP でメール送信（依存なしの最小クライアント: EHLO → STARTTLS → AUTH PLAIN → MAIL FROM / RCPT TO / DATA）
+// - SMTP_HOST / SMTP_PORT（既定 587、SMTP_SECURE=on なら 465）/ SMTP_SECURE=on で最初から TLS/ SMTP_USER / SMTP_PASS / SMTP_FROM
+//   STARTTLS はサーバーが対応していれば使う（SMTP_STARTTLS=off で使わない）
+//   AUTH は TLS の上でだけ送る（平文で送るなら SMTP_ALLOW_PLAIN_AUTH=on。ローカルのスタンドイン向け）
+// - 宛先はプロファイルの notify の to（既定 EMAIL_TO、カンマ区切り可）
+// - 本文は Slack 用の payload を変換した multipart/alternative（テキスト + HTML）、件名は payload.text の1行目
+// 失敗時の Error は status（SMTP の応答コード）/ retryable 付き。4xx と通信エラーは再送できる（services/outbox.js）
+
+import "dotenv/config";
+import net from "net";
+import tls from "tls";
+import os from "os";
+import crypto from "crypto";
+import { toCards, mrkdwnToPlain, mrkdwnToHtml, escapeHtml } from "./blocks_text.js";
+
+const SMTP_HOST = process.env.SMTP_HOST || "";
+const SMTP_SECURE = (process.env.SMTP_SECURE || "off").toLowerCase() === "on";
+const SMTP_PORT = Number(process.env.SMTP_PORT || (SMTP_SECURE ? 465 : 587));
+const SMTP_STARTTLS = (process.env.SMTP_STARTTLS || "on").toLowerCase() === "on";
+const SMTP_USER = process.env.SMTP_USER || "";
+const SMTP_PASS = process.env.SMTP_PASS || "";
+const SMTP_FROM = process.env.SMTP_FROM || SMTP_USER;
+const SMTP_ALLOW_PLAIN_AUTH = (process.env.SMTP_ALLOW_PLAIN_AUTH || "off").toLowerCase() === "on";
+const TIMEOUT_MS = 20_000;
+const SUBJECT_PREFIX = "[pricewatch] ";
+
+function smtpError(message, { status = null, cause } = {}) {
+  const err = new Error(message, cause ? { cause } : undefined);
+  err.status = status;
+  err.retryAfterMs = null;
+  // 4xx は一時的な失敗（再送可）、5xx は恒久的な失敗
+  err.retryable = status == null || (status >= 400 && status < 500);
+  return err;
+}
+
+/** 宛先（配列 / カンマ区切り）を配列に */
+export function parseRecipients(to) {
+  return (Array.isArray(to) ? to : String(to || "").split(","))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+}
+
+// ===== 本文 =====
+const b64 = (s) => Buffer.from(s, "utf-8").toString("base64");
+const wrap76 = (s) => s.replace(/.{1,76}/g, "$&\r\n").trimEnd();
+// 1つの encoded-word は 75 文字まで（RFC 2047）。文字の途中で切らないよう 42 バイトずつに分けて折り返す
+const HEADER_WORD_BYTES = 42;
+function encodeHeader(s) {
+  if (/^[\x20-\x7e]*$/.test(s)) return s;
+  const words = [];
+  let cur = "";
+  for (const ch of s) {
+    if (cur && Buffer.byteLength(cur + ch, "utf-8") > HEADER_WORD_BYTES) {
+      words.push(cur);
+      cur = "";
+    }
+    cur += ch;
+  }
+  if (cur) words.push(cur);
+  return words.map((w) => `=?UTF-8?B?${b64(w)}?=`).join("\r\n ");
+}
+
+function renderText(payload, cards) {
+  const parts = [mrkdwnToPlain(payload.text || "")];
+  for (const c of cards) {
+    const lines = c.lines.map(mrkdwnToPlain);
+    for (const l of c.links) lines.push(`${l.text}: ${l.url}`);
+    if (c.image) lines.push(c.image);
+    parts.push(lines.join("\n"));
+  }
+  return parts.filter(Boolean).join("\n\n----\n\n");
+}
+
+function renderHtml(payload, cards) {
+  const bar = /^#[0-9a-f]{6}$/i.test(payload.color || "") ? `border-left:4px solid ${payload.color};padding-left:8px;` : "";
+  const body = cards.map((c) => {
+    const thumb = c.thumb
+      ? `<img src="${escapeHtml(c.thumb)}" alt="" width="96" style="float:right;margin:0 0 8px 12px">`
+      : "";
+    const links = c.links.length
+      ? `<p>${c.links.map((l) => `<a href="${escapeHtml(l.url)}">${escapeHtml(l.text)}</a>`).join(" ・ ")}</p>`
+      : "";
+    const image = c.image ? `<p><img src="${escapeHtml(c.image)}" alt="" style="max-width:100%"></p>` : "";
+    return `<div style="clear:both;${bar}">${thumb}<p>${c.lines.map(mrkdwnToHtml).join("<br>")}</p>${links}${image}</div>`;
+  });
+  return [
+    "<!doctype html><html><body style=\"font-family:sans-serif;font-size:14px\">",
+    `<p><b>${mrkdwnToHtml(payload.text || "")}</b></p>`,
+    body.join("<hr>"),
+    "</body></html>",
+  ].join("\n");
+}
+
+/**
+ * Slack 用の payload からメール（RFC 5322、CRLF 区切り）を作る
+ * @param {{ text?: string, blocks?: any[] }} payload
+ * @param {{ from: string, to: string[] }} envelope
+ */
+export function buildMessage(payload, { from, to }) {
+  const cards = toCards(payload.blocks || []);
+  const subjectLine = mrkdwnToPlain(payload.text || "notification").split("\n")[0].slice(0, 120);
+  const boundary = `pw-${crypto.randomUUID()}`;
+  const domain = String(from).split("@")[1] || os.hostname();
+
+  return [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(SUBJECT_PREFIX + subjectLine)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    wrap76(b64(renderText(payload, cards))),
+    `--${boundary}`,
+    "Content-Type: text/html; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    wrap76(b64(renderHtml(payload, cards))),
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+}
+
+// ===== SMTP =====
+// 応答を1つずつ（複数行 "250-..." もまとめて）受け取る
+function replyReader(socket) {
+  let buf = "";
+  let lines = [];
+  const replies = [];
+  const waiters = [];
+  let failure = null;
+
+  const settle = () => {
+    while (waiters.length && (replies.length || failure)) {
+      const w = waiters.shift();
+      if (replies.length) w.resolve(replies.shift());
+      else w.reject(failure);
+    }
+  };
+  const onData = (chunk) => {
+    buf += chunk;
+    let i;
+    while ((i = buf.indexOf("\r\n")) >= 0) {
+      const line = buf.slice(0, i);
+      buf = buf.slice(i + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({ code: Number(line.slice(0, 3)), lines: lines.map((l) => l.slice(4)) });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onEnd = (err) => {
+    failure ??= smtpError(`SMTP connection ${err ? `error: ${err.message}` : "closed"}`, { cause: err });
+    settle();
+  };
+
+  socket.setEncoding("utf-8");
+  socket.on("data", onData);
+  socket.on("error", onEnd);
+  socket.on("close", () => onEnd());
+
+  return {
+    next: () => new Promise((resolve, reject) => (waiters.push({ resolve, reject }), settle())),
+    detach: () => {
+      socket.off("data", onData);
+      socket.off("error", onEnd);
+    },
+  };
+}
+
+function connect() {
+  return new Promise((resolve, reject) => {
+    const options = { host: SMTP_HOST, port: SMTP_PORT, servername: SMTP_HOST };
+    const socket = SMTP_SECURE ? tls.connect(options) : net.connect(options);
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error(`timeout after ${TIMEOUT_MS}ms`)));
+    socket.once(SMTP_SECURE ? "secureConnect" : "connect", () => resolve(socket));
+    socket.once("error", (e) => reject(smtpError(`SMTP connect failed: ${e.message}`, { cause: e })));
+  });
+}
+
+function upgrade(socket) {
+  return new Promise((resolve, reject) => {
+    const secure = tls.connect({ socket, servername: SMTP_HOST });
+    secure.setTimeout(TIMEOUT_MS, () => secure.destroy(new Error(`timeout after ${TIMEOUT_MS}ms`)));
+    secure.once("secureConnect", () => resolve(secure));
+    secure.once("error", (e) => reject(smtpError(`SMTP STARTTLS failed: ${e.message}`, { cause: e })));
+  });
+}
+
+/**
+ * 1通送る（接続 → 送信 → QUIT）
+ * @param {{ from: string, to: string[] }} envelope
+ * @param {string} message buildMessage() の戻り値
+ */
+async function sendSmtp({ from, to }, message) {
+  let socket = await connect();
+  let reader = replyReader(socket);
+
+  const expect = async (codes, what) => {
+    const r = await reader.next();
+    if (!codes.includes(r.code)) {
+      throw smtpError(`SMTP ${what} failed: ${r.code} ${r.lines.join(" ")}`, { status: r.code });
+    }
+    return r;
+  };
+  const cmd = (line, codes, what = line.split(" ")[0]) => {
+    socket.write(`${line}\r\n`);
+    return expect(codes, what);
+  };
+
+  let secure = SMTP_SECURE;
+  try {
+    await expect([220], "greeting");
+    const hello = `EHLO ${os.hostname() || "localhost"}`;
+    let ehlo = await cmd(hello, [250]);
+
+    if (!SMTP_SECURE && SMTP_STARTTLS && ehlo.lines.some((l) => /^STARTTLS\b/i.test(l))) {
+      await cmd("STARTTLS", [220]);
+      reader.detach();
+      socket = await upgrade(socket);
+      reader = replyReader(socket);
+      ehlo = await cmd(hello, [250]);
+      secure = true;
+    }
+
+    if (SMTP_USER) {
+      if (!secure && !SMTP_ALLOW_PLAIN_AUTH) {
+        throw smtpError(
+          "SMTP AUTH refused without TLS (use SMTP_SECURE=on or a server with STARTTLS, or set SMTP_ALLOW_PLAIN_AUTH=on)",
+          { status: 530 }
+        );
+      }
+      await cmd(`AUTH PLAIN ${b64(`\0${SMTP_USER}\0${SMTP_PASS}`)}`, [235], "AUTH");
+    }
+
+    await cmd(`MAIL FROM:<${from}>`, [250], "MAIL FROM");
+    for (const rcpt of to) await cmd(`RCPT TO:<${rcpt}>`, [250, 251], "RCPT TO");
+    await cmd("DATA", [354]);
+    // 行頭の "." は "..." にする（dot-stuffing）
+    await cmd(`${message.replace(/^\./gm, "..")}\r\n.`, [250], "DATA body");
+    socket.write("QUIT\r\n");
+  } finally {
+    socket.end();
+  }
+}
+
+/**
+ * メールで送る
+ * @param {{ text?: string, blocks?: any[] }} payload Slack と同じ形
+ * @param {{ to?: string|string[] }} [dest]
+ * @returns {Promise<{ ok: true, transport: "email", channel: null, ts: null, parts: 1 }>}
+ */
+export async function email(payload, dest = {}) {
+  const to = parseRecipients(dest.to ?? process.env.EMAIL_TO);
+  if (!SMTP_HOST) throw smtpError("SMTP_HOST is required for the email channel", { status: 550 });
+  if (!SMTP_FROM) throw smtpError("SMTP_FROM (or SMTP_USER) is required for the email channel", { status: 550 });
+  if (!to.length) throw smtpError("no recipients (notify.to or EMAIL_TO)", { status: 550 });
+
+  await sendSmtp({ from: SMTP_FROM, to }, buildMessage(payload, { from: SMTP_FROM, to }));
+  return { ok: true, transport: "email", channel: null, ts: null, parts: 1 };
+}
@@ -1,38 +1,306 @@
 // src/services/keepa.js
 // Keepa API ラッパー（Finder / Product / グラフURL）
+// トークン残量を見て送信を待つ/断るので、呼び出し側での再試行は不要
+// マーケットプレイスは options.domain（Keepa の domain 番号、既定 KEEPA_DOMAIN）。config/marketplaces.js
 
 import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { getDriver } from "../storage/driver.js";
+import { DATA_DIR } from "../storage/drivers/json.js";
+import { RECORDING, recordKeepa } from "./fixtures.js";
+import { defaultMarketplace, marketplaceOf } from "../config/marketplaces.js";
 
-const API = "https://api.keepa.com";
+// KEEPA_API_BASE でスタンドイン（scripts/standin.js）に向けられる
+const API = (process.env.KEEPA_API_BASE || "https://api.keepa.com").replace(/\/+$/, "");
 const KEY = process.env.KEEPA_API_KEY;
-const DOMAIN = Number(process.env.KEEPA_DOMAIN || 5); // 5 = JP
+const DOMAIN = defaultMarketplace().domainId; // 5 = JP
 
 if (!KEY) {
   throw new Error("KEEPA_API_KEY is required");
 }
 
-const toJson = async (res) => {
-  if (!res.ok) {
-    const body = await res.text().catch(() => "");
-    throw new Error(
-      `Keepa ${res.status} ${res.statusText} - ${body.slice(0, 500)}`
-    );
-  }
-  return res.json();
+// ─────────────────────────────────────────────
+// トークン予算（全ジョブ共通）
+// - 毎レスポンスの tokensLeft / refillIn / refillRate でバケツを更新
+// - 送信前にコストを見積もり、足りなければ補充まで待つ / 待ち時間が長すぎれば Error
+// - 直近の残量は storage の keepa_tokens に残し、次に起動したプロセスが引き継ぐ
+// ─────────────────────────────────────────────
+const num = (v, def) => {
+  const n = v != null && v !== "" ? Number(v) : NaN;
+  return Number.isFinite(n) ? n : def;
+};
+const MAX_WAIT_MS = num(process.env.KEEPA_MAX_WAIT_MS, 5 * 60_000); // これ以上待つ必要があれば送らずに Error
+const MAX_RETRIES = num(process.env.KEEPA_MAX_RETRIES, 5); // 429 / 5xx / 通信エラーの再試行回数
+const TIMEOUT_MS = num(process.env.KEEPA_TIMEOUT_MS, 60_000);
+const MINUTE_MS = 60_000;
+
+/** Keepa のトークン消費（https://keepa.com/#!discuss/t/request-products/110） */
+export const TOKEN_COST = {
+  product: 1, // /product: ASIN ごと
+  stats: 0, // stats=: 現状は追加なし
+  buybox: 2, // buybox=1: ASIN ごと +2
+  offersPage: 6, // offers=: オファー10件ごと +6
+  query: 10, // /query: 1回
+  queryPer100: 1, // /query: 結果100件ごと +1
 };
 
+const bucket = { tokensLeft: null, refillRate: null, refillIn: null, at: 0, loaded: false };
+
+function loadBucket() {
+  if (bucket.loaded) return;
+  bucket.loaded = true;
+  const saved = getDriver().readDoc("keepa_tokens");
+  if (saved && typeof saved.tokensLeft === "number" && typeof saved.at === "number") {
+    Object.assign(bucket, saved, { loaded: true });
+  }
+}
+
+function updateBucket(body) {
+  if (!body || typeof body.tokensLeft !== "number") return;
+  bucket.tokensLeft = body.tokensLeft;
+  bucket.refillIn = typeof body.refillIn === "number" ? body.refillIn : bucket.refillIn;
+  bucket.refillRate = typeof body.refillRate === "number" ? body.refillRate : bucket.refillRate;
+  bucket.at = Date.now();
+  try {
+    const { tokensLeft, refillIn, refillRate, at } = bucket;
+    getDriver().writeDoc("keepa_tokens", { tokensLeft, refillIn, refillRate, at });
+  } catch {
+    // 保存できなくても API 呼び出しは続ける
+  }
+}
+
+// now 時点の推定残量（refillIn 後に refillRate ずつ、上限は1時間分）
+function projectedTokens(now) {
+  if (bucket.tokensLeft == null || !bucket.refillRate) return bucket.tokensLeft;
+  const sinceFirstRefill = now - bucket.at - (bucket.refillIn ?? 0);
+  const refills = sinceFirstRefill < 0 ? 0 : 1 + Math.floor(sinceFirstRefill / MINUTE_MS);
+  return Math.min(bucket.tokensLeft + refills * bucket.refillRate, bucket.refillRate * 60);
+}
+
+// now 以降で次に補充される時刻
+function nextRefillAt(now) {
+  let t = bucket.at + (bucket.refillIn ?? 0);
+  if (t < now) t += Math.ceil((now - t) / MINUTE_MS) * MINUTE_MS;
+  return t;
+}
+
+// cost 分たまるまでの待ち時間（ms）
+function waitForTokens(cost, now) {
+  const have = projectedTokens(now);
+  if (have == null || have >= cost) return 0;
+  if (!bucket.refillRate) return Infinity;
+  const refills = Math.ceil((cost - have) / bucket.refillRate);
+  return nextRefillAt(now) + (refills - 1) * MINUTE_MS - now;
+}
+
+/** 現在の推定残量（ログ用） */
+export function keepaTokenStatus() {
+  loadBucket();
+  return { tokensLeft: projectedTokens(Date.now()), refillRate: bucket.refillRate };
+}
+
+/** /product 1回分のコスト見積もり */
+export function estimateProductCost(asinCount, options = {}) {
+  const perAsin =
+    TOKEN_COST.product +
+    ((options.statsDays ?? 7) ? TOKEN_COST.stats : 0) +
+    (options.buybox ? TOKEN_COST.buybox : 0) +
+    (options.offers ? Math.ceil(options.offers / 10) * TOKEN_COST.offersPage : 0);
+  return asinCount * perAsin;
+}
+
+/** /query 1回分のコスト見積もり（perPage 件返ってくる想定） */
+export function estimateQueryCost(perPage = 100) {
+  return TOKEN_COST.query + Math.ceil(perPage / 100) * TOKEN_COST.queryPer100;
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// 同一プロセス内の呼び出しは順番に予約（並行呼び出しでも二重に使わない）
+let reserveChain = Promise.resolve();
+
+function reserve(cost, label) {
+  const run = async () => {
+    loadBucket();
+    if (bucket.refillRate && cost > bucket.refillRate * 60) {
+      throw new Error(`Keepa ${label}: needs ${cost} tokens, more than the bucket can hold (${bucket.refillRate * 60})`);
+    }
+    const wait = waitForTokens(cost, Date.now());
+    if (wait > MAX_WAIT_MS) {
+      throw new Error(
+        `Keepa ${label}: needs ${cost} tokens, ${projectedTokens(Date.now())} left; ` +
+          `refill takes ${Math.ceil(wait / 1000)}s (> KEEPA_MAX_WAIT_MS)`
+      );
+    }
+    if (wait > 0) {
+      console.log(`[keepa] ${label}: need ${cost} tokens, ${projectedTokens(Date.now())} left -> wait ${Math.ceil(wait / 1000)}s`);
+      await sleep(wait);
+    }
+    // レスポンスで正しい値に置き換わるまでの仮の差し引き
+    if (bucket.tokensLeft != null) {
+      const now = Date.now();
+      bucket.tokensLeft = projectedTokens(now) - cost;
+      bucket.refillIn = nextRefillAt(now) - now;
+      bucket.at = now;
+    }
+  };
+  const p = reserveChain.then(run);
+  reserveChain = p.catch(() => {});
+  return p;
+}
+
+async function request(url, init, { cost, label }) {
+  for (let attempt = 0; ; attempt += 1) {
+    await reserve(cost, label);
+
+    let res;
+    let text = "";
+    try {
+      res = await fetch(url, { ...init, signal: AbortSignal.timeout(TIMEOUT_MS) });
+      text = await res.text();
+      recordKeepa({ method: init.method || "GET", url, body: init.body }, { status: res.status, text });
+    } catch (e) {
+      if (attempt >= MAX_RETRIES) throw e;
+      const backoff = Math.min(500 * 2 ** attempt, 10_000);
+      console.log(`[keepa] ${label}: ${e?.message || e} -> retry ${attempt + 1}/${MAX_RETRIES} in ${backoff}ms`);
+      await sleep(backoff);
+      continue;
+    }
+
+    let body = null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch {
+      // HTML のエラーページなど
+    }
+    updateBucket(body);
+
+    if (res.ok) return body;
+
+    if (res.status === 429 && attempt < MAX_RETRIES) {
+      const wait = Math.min((bucket.refillIn ?? 1000) + 500, MAX_WAIT_MS);
+      console.log(`[keepa] ${label}: 429 (tokensLeft=${bucket.tokensLeft}) -> retry ${attempt + 1}/${MAX_RETRIES} in ${wait}ms`);
+      await sleep(wait);
+      continue;
+    }
+    if (res.status >= 500 && attempt < MAX_RETRIES) {
+      const backoff = Math.min(500 * 2 ** attempt, 10_000);
+      console.log(`[keepa] ${label}: ${res.status} -> retry ${attempt + 1}/${MAX_RETRIES} in ${backoff}ms`);
+      await sleep(backoff);
+      continue;
+    }
+    throw new Error(`Keepa ${res.status} ${res.statusText} - ${text.slice(0, 500)}`);
+  }
+}
+
+const domainOf = (options) => Number(options?.domain ?? DOMAIN);
+
 /**
  * Finder: POST /query
  * payload は Keepa Finder の JSON をそのまま渡す想定
+ *  - options.domain: Keepa の domain 番号（既定 KEEPA_DOMAIN）
  */
-export async function keepaQuery(payload) {
-  const url = `${API}/query?key=${encodeURIComponent(KEY)}&domain=${DOMAIN}`;
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { "content-type": "application/json" },
-    body: JSON.stringify(payload),
+export async function keepaQuery(payload, options = {}) {
+  const url = `${API}/query?key=${encodeURIComponent(KEY)}&domain=${domainOf(options)}`;
+  const perPage = payload?.selection?.perPage ?? payload?.perPage ?? 100;
+  return request(
+    url,
+    {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(payload),
+    },
+    { cost: estimateQueryCost(perPage), label: "/query" }
+  );
+}
+
+// ─────────────────────────────────────────────
+// /product のディスクキャッシュ（KEEPA_CACHE_TTL_MIN > 0 で有効）
+// - 1 ASIN 1ファイル: <KEEPA_CACHE_DIR>/<domain>/<ASIN>.s<statsDays>[.bb][.o<offers>].json
+// - TTL 内の ASIN は Keepa に問い合わせない（トークン消費 0）
+// ─────────────────────────────────────────────
+const CACHE_TTL_MS = num(process.env.KEEPA_CACHE_TTL_MIN, 0) * MINUTE_MS;
+const CACHE_DIR = process.env.KEEPA_CACHE_DIR
+  ? path.resolve(process.env.KEEPA_CACHE_DIR)
+  : path.join(DATA_DIR, "cache", "keepa");
+
+const cacheSwept = new Set();
+
+function cacheFile(asin, options) {
+  const variant = [
+    `s${options.statsDays ?? 7}`,
+    options.buybox ? "bb" : "",
+    options.offers ? `o${options.offers}` : "",
+  ].filter(Boolean).join(".");
+  return path.join(CACHE_DIR, String(domainOf(options)), `${String(asin).replace(/[^\w-]/g, "")}.${variant}.json`);
+}
+
+// 期限切れファイルをまとめて削除（プロセス・domain ごとに1回）
+function sweepCache(domain, now) {
+  if (cacheSwept.has(domain)) return;
+  cacheSwept.add(domain);
+  const dir = path.join(CACHE_DIR, String(domain));
+  if (!fs.existsSync(dir)) return;
+  for (const f of fs.readdirSync(dir)) {
+    const file = path.join(dir, f);
+    try {
+      if (now - fs.statSync(file).mtimeMs > CACHE_TTL_MS) fs.unlinkSync(file);
+    } catch {
+      // 他プロセスが消した等は無視
+    }
+  }
+}
+
+function readCached(asin, options, now) {
+  try {
+    const hit = JSON.parse(fs.readFileSync(cacheFile(asin, options), "utf-8"));
+    return hit && now - hit.t <= CACHE_TTL_MS ? hit.product : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeCached(product, options, now) {
+  const file = cacheFile(product.asin, options);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ t: now, product }), "utf-8");
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    console.log(`[keepa] cache write failed for ${product.asin}: ${e?.message || e}`);
+  }
+}
+
+// by: "asin"（ASIN で引く）/ "code"（EAN / UPC / ISBN で引く）
+async function fetchProducts(asins, options, by = "asin") {
+  const statsDays = options.statsDays ?? 7;
+
+  const params = new URLSearchParams({
+    key: KEY,
+    domain: String(domainOf(options)),
+    [by]: asins.join(","), // カンマ区切り ASIN / コード
+    stats: String(statsDays),
   });
-  return toJson(res);
+
+  if (options.buybox) {
+    params.set("buybox", "1");
+  }
+  if (options.offers) {
+    params.set("offers", String(options.offers));
+  }
+
+  const url = `${API}/product?${params.toString()}`;
+  const label = `/product${by === "code" ? " (code)" : ""} x${asins.length}`;
+  const res = await request(url, {}, { cost: estimateProductCost(asins.length, options), label });
+  // 通貨・URL は product.domainId で決まる（lib/item.js）。無い応答にも付けておく
+  // statsDays は stats.minInInterval などの期間（lib/lows.js）
+  for (const p of res?.products || []) {
+    if (p && p.domainId == null) p.domainId = domainOf(options);
+    if (p) p.statsDays = statsDays;
+  }
+  return res;
 }
 
 /**
@@ -40,38 +308,65 @@ export async function keepaQuery(payload) {
  *  - asins: string[]
  *  - options.statsDays: statsDays（例：7, 30, 90）
  *  - options.buybox: true のときだけ buybox=1 を付与
+ *  - options.offers: 取得するオファー数（指定時のみ、10件ごとに追加コスト）
+ *  - options.cache: false でキャッシュを使わない（KEEPA_CACHE_TTL_MIN 未設定時は常に不使用）
+ *  - options.domain: Keepa の domain 番号（既定 KEEPA_DOMAIN）
+ * products は asins の順（どれも domainId 付き）。キャッシュから返した件数は cachedCount
  */
 export async function keepaProduct(asins, options = {}) {
   if (!asins?.length) return { products: [] };
+  // 記録中はキャッシュを通さない（再生時と同じ単位でリクエストを残す）
+  if (!(CACHE_TTL_MS > 0) || options.cache === false || RECORDING) return fetchProducts(asins, options);
 
-  const statsDays = options.statsDays ?? 7;
+  const now = Date.now();
+  sweepCache(domainOf(options), now);
 
-  const params = new URLSearchParams({
-    key: KEY,
-    domain: String(DOMAIN),
-    asin: asins.join(","), // カンマ区切り ASIN
-    stats: String(statsDays),
-  });
+  const byAsin = new Map();
+  const missing = [];
+  for (const asin of asins) {
+    const hit = readCached(asin, options, now);
+    if (hit) byAsin.set(asin, hit);
+    else missing.push(asin);
+  }
 
-  if (options.buybox) {
-    params.set("buybox", "1");
+  let res = {};
+  if (missing.length) {
+    res = await fetchProducts(missing, options);
+    for (const p of res?.products || []) {
+      if (!p?.asin) continue;
+      byAsin.set(p.asin, p);
+      writeCached(p, options, now);
+    }
   }
 
-  const url = `${API}/product?${params.toString()}`;
-  const res = await fetch(url);
-  return toJson(res);
+  return {
+    ...res,
+    products: asins.map((a) => byAsin.get(a)).filter(Boolean),
+    cachedCount: asins.length - missing.length,
+  };
+}
+
+/**
+ * Product: GET /product?code=（EAN / UPC / ISBN で引く。別の国で同じ商品を探す用）
+ *  - codes: string[]（1回 100 件まで）
+ *  - options は keepaProduct と同じ（キャッシュは使わない）
+ * products は見つかった商品（1つのコードに複数の ASIN が返ることもある）。どのコードかは各 product の eanList / upcList
+ */
+export async function keepaProductByCode(codes, options = {}) {
+  if (!codes?.length) return { products: [] };
+  return fetchProducts(codes, options, "code");
 }
 
 /**
  * Keepaグラフ画像URL生成（Slack用）
  * - width / height は Keepa の仕様に合わせて 300〜1000px にクランプ
- * - domain は co.jp 固定
+ * - domain は Keepa の domain 番号（既定 KEEPA_DOMAIN）。グラフ側の表記（co.jp / com ...）にして渡す
  */
-export function buildKeepaGraphUrl({ asin, rangeDays, width, height }) {
+export function buildKeepaGraphUrl({ asin, rangeDays, width, height, domain = DOMAIN }) {
   const url = new URL("https://graph.keepa.com/pricehistory.png");
 
   url.searchParams.set("asin", asin);
-  url.searchParams.set("domain", "co.jp");
+  url.searchParams.set("domain", (marketplaceOf(domain) ?? defaultMarketplace()).graphDomain);
 
   const w = Math.max(300, Math.min(width, 1000));
   const h = Math.max(150, Math.min(height, 1000));
@@ -88,7 +383,7 @@ export function buildKeepaGraphUrl({ asin, rangeDays, width, height }) {
   return url.toString();
 }
 
-/** Keepa商品ページURL */
-export function keepaProductPageUrl(asin) {
-  return `https://keepa.com/#!product/${DOMAIN}-${asin}`;
+/** Keepa商品ページURL（domain は Keepa の domain 番号） */
+export function keepaProductPageUrl(asin, domain = DOMAIN) {
+  return `https://keepa.com/#!product/${domain}-${asin}`;
 }
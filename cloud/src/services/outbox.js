@@ -0,0 +1,143 @@
+// src/services/outbox.js
+// 通知の再試行と送信待ち（storage/outbox.js）。送り先の種類ごとの送信は services/channels.js
+// - deliver(): その場で SLACK_MAX_RETRIES 回まで再試行（Retry-After を守る。待ちが SLACK_RETRY_MAX_WAIT_MS を超えるなら待たない）
+//   それでも届かず、再送できる失敗（429 / 5xx / 通信エラー / SMTP の 4xx）なら送信待ちに積む
+// - notify(): プロファイルの notify（Slack / Discord / メール / Webhook）それぞれに deliver() する
+// - flushOutbox(job): ジョブの開始時に、時刻の来た送信待ちを送る。届いたものを返すので、ジョブが state に反映する
+//   （クールダウンや通知済みの記録は実際に届いてから）
+// - OUTBOX_MAX_AGE_HOURS（既定 24）を過ぎたもの / OUTBOX_MAX_ATTEMPTS（既定 10）回届かなかったものは捨てる
+// - Slack で 50 ブロックを超える payload は先に分けて（services/blockkit.js）1通ずつ送る。途中で止まったら残りを積む
+//   meta は1通目にだけ付ける（届いた通数ぶん反映されないように。スレッドなどは1通目の結果で決まる）
+import "dotenv/config";
+import { sendTo, channelType, storableDest, resolveDest } from "./channels.js";
+import { splitPayload } from "./blockkit.js";
+import { queueMessage, queuedMessages, removeMessage, rescheduleMessage } from "../storage/outbox.js";
+
+const MAX_RETRIES = Number(process.env.SLACK_MAX_RETRIES || 3);
+const MAX_WAIT_MS = Number(process.env.SLACK_RETRY_MAX_WAIT_MS || 30_000);
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 10);
+const MAX_AGE_MS = Number(process.env.OUTBOX_MAX_AGE_HOURS || 24) * 60 * 60 * 1000;
+const RETRY_BASE_MS = 1000;
+const QUEUE_BASE_MS = 60_000;
+const QUEUE_MAX_MS = 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const log = (...args) => console.log(new Date().toISOString(), "[outbox]", ...args);
+
+// 送信待ちの次の時刻（Retry-After があればそれより前にはしない）
+const queueDelay = (attempts, err) =>
+  Math.max(err?.retryAfterMs ?? 0, Math.min(QUEUE_BASE_MS * 2 ** (attempts - 1), QUEUE_MAX_MS));
+
+async function sendNow(payload, dest) {
+  for (let i = 0; ; i++) {
+    try {
+      return { ok: true, result: await sendTo(payload, dest) };
+    } catch (err) {
+      const wait = err.retryAfterMs ?? RETRY_BASE_MS * 2 ** i;
+      if (!err.retryable || i + 1 >= MAX_RETRIES || wait > MAX_WAIT_MS) return { ok: false, error: err };
+      log(`retry in ${wait}ms: ${err.message}`);
+      await sleep(wait);
+    }
+  }
+}
+
+/**
+ * 1つの通知先へ送る。届かなければ（再送できる失敗なら）送信待ちに積む
+ * @param {{ text?: string, blocks?: any[], data?: any }} payload
+ * @param {object} dest 通知先（プロファイルの notify の1件。type の無いものは Slack: slack + threadTs など）
+ * @param {{ job?: string, meta?: object }} [queue] job を省略すると積まない
+ * @returns {Promise<{ ok: true, result: object, queued?: true } | { ok: false, queued: boolean, error: Error, sent: number }>}
+ *   分けて送ったときの result は最初の1通のもの。sent は失敗までに届いた通数
+ *   1通目が届いて残りを積んだときは ok: true, queued: true（meta は呼び出し側がこの result で反映する。積んだ分には付けない）
+ */
+export async function deliver(payload, dest = {}, { job, meta } = {}) {
+  // Discord / メール / Webhook は各自で変換・分割する
+  const { parts, notes } = channelType(dest) === "slack" ? splitPayload(payload) : { parts: [payload], notes: [] };
+  for (const n of notes) log(`blocks: ${n}`);
+
+  let first = null;
+  for (let i = 0; i < parts.length; i++) {
+    const r = await sendNow(parts[i], dest);
+    if (r.ok) {
+      first ??= r;
+      continue;
+    }
+
+    const stored = job && r.error.retryable ? storableDest(dest) : null;
+    if (!stored) return { ok: false, queued: false, error: r.error, sent: i };
+
+    // 届かなかった1通と、その後ろの分を順に積む（meta は1通目の entry だけ）
+    for (const [j, part] of parts.slice(i).entries()) {
+      const entry = queueMessage({
+        job,
+        payload: part,
+        dest: stored,
+        meta: i + j === 0 ? meta ?? null : null,
+        nextAt: Date.now() + queueDelay(1, r.error),
+        lastError: r.error.message,
+      });
+      log(`queued ${entry.id} (${job}): ${r.error.message}`);
+    }
+    if (first) return { ...first, queued: true };
+    return { ok: false, queued: true, error: r.error, sent: i };
+  }
+  return first;
+}
+
+/**
+ * job の送信待ちのうち時刻の来たものを送る
+ * @returns {Promise<Array<object>>} 届いた entry（result に送信結果、meta はそのまま。分けた2通目以降などは meta: null）
+ */
+export async function flushOutbox(job, now = Date.now()) {
+  const delivered = [];
+
+  for (const e of queuedMessages(job)) {
+    if (now - e.createdAt > MAX_AGE_MS) {
+      removeMessage(e.id);
+      log(`dropped ${e.id} (${job}): older than ${MAX_AGE_MS / 3600000}h, last error: ${e.lastError}`);
+      continue;
+    }
+    if (e.nextAt > now) continue;
+
+    const r = await sendNow(e.payload, resolveDest(e.dest));
+    if (r.ok) {
+      removeMessage(e.id);
+      delivered.push({ ...e, result: r.result });
+      continue;
+    }
+
+    const attempts = e.attempts + 1;
+    if (!r.error.retryable || attempts >= MAX_ATTEMPTS) {
+      removeMessage(e.id);
+      log(`dropped ${e.id} (${job}) after ${attempts} attempts: ${r.error.message}`);
+      continue;
+    }
+    rescheduleMessage(e.id, { attempts, nextAt: Date.now() + queueDelay(attempts, r.error), lastError: r.error.message });
+    // まだ制限中なら残りも次回に回す
+    if (r.error.status === 429) break;
+  }
+
+  if (delivered.length) log(`${job}: delivered ${delivered.length} queued message(s)`);
+  return delivered;
+}
+
+/**
+ * 通知先すべてへ送る（1件目が主: 戻り値と meta はその分。スレッド返信・クールダウンは主の結果で決める）
+ * 2件目以降も届かなければ積むが、meta は付けない（同じ通知を二重に state へ反映しない）
+ * @param {{ text?: string, blocks?: any[], data?: any }} payload
+ * @param {object[]} targets プロファイルの notify（config/notify.js）
+ * @param {{ job?: string, meta?: object }} [queue]
+ * @returns {Promise<ReturnType<typeof deliver>>} 1件目の deliver() の結果
+ */
+export async function notify(payload, targets, { job, meta } = {}) {
+  if (!targets?.length) throw new Error("notify: no targets");
+  let primary = null;
+  for (const dest of targets) {
+    const r = await deliver(payload, dest, primary ? { job } : { job, meta });
+    if (!r.ok) log(`${channelType(dest)}: ${r.error.message}${r.queued ? " (queued)" : ""}`);
+    primary ??= r;
+  }
+  return primary;
+}
+
+export { queuedMessages };
@@ -0,0 +1,59 @@
+// src/storage/curation.js
+// Slack のボタンで付けた「ミュート / スヌーズ / 興味なし」（ドライバ経由: json なら data/curation.json）
+//   muted:     { [asin]: { at, by } }                … 全ジョブで通知しない
+//   snoozed:   { [asin]: { until, by } }             … until まで通知しない
+//   dismissed: { [asin]: { at, by, profiles: [] } }  … そのプロファイルでは通知しない
+// 書くのは interactions サーバだけ、ジョブは読むだけ（state とは別ドキュメントなので実行中のジョブに上書きされない）
+import { getDriver } from "./driver.js";
+
+export function loadCuration() {
+  const c = getDriver().readDoc("curation");
+  const cur = c && typeof c === "object" ? c : {};
+  for (const k of ["muted", "snoozed", "dismissed"]) {
+    if (!cur[k] || typeof cur[k] !== "object") cur[k] = {};
+  }
+  return cur;
+}
+
+export function saveCuration(cur) {
+  cur.updatedAt = Date.now();
+  getDriver().writeDoc("curation", cur);
+}
+
+export function muteAsin(cur, asin, by = null, now = Date.now()) {
+  cur.muted[asin] = { at: now, by };
+}
+
+export function snoozeAsin(cur, asin, hours, by = null, now = Date.now()) {
+  cur.snoozed[asin] = { until: now + hours * 60 * 60 * 1000, by };
+}
+
+export function dismissAsin(cur, asin, profileKey, by = null, now = Date.now()) {
+  const prev = cur.dismissed[asin];
+  const profiles = new Set(prev?.profiles || []);
+  if (profileKey) profiles.add(profileKey);
+  cur.dismissed[asin] = { at: now, by, profiles: [...profiles] };
+}
+
+/** ミュート/スヌーズ/興味なしを解除（どれか外れたら true） */
+export function clearAsin(cur, asin) {
+  let changed = false;
+  for (const k of ["muted", "snoozed", "dismissed"]) {
+    if (cur[k][asin]) {
+      delete cur[k][asin];
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/**
+ * 通知を止める理由（"muted" / "snoozed" / "dismissed"）、止めないなら null
+ * @param {string} [profileKey] 省略時は dismissed を見ない（監視リストなど）
+ */
+export function suppressedBy(cur, asin, profileKey, now = Date.now()) {
+  if (cur.muted[asin]) return "muted";
+  if (cur.snoozed[asin]?.until > now) return "snoozed";
+  if (profileKey && cur.dismissed[asin]?.profiles?.includes(profileKey)) return "dismissed";
+  return null;
+}
@@ -0,0 +1,104 @@
+// src/storage/drivers/sqlite.js
+// SQLite ドライバ（Node 22 組み込みの node:sqlite、22.13 以降はフラグ不要）
+// - docs(name, json, updated_at): state / watchlist / seeds などのドキュメント
+// - history(asin, t, json): ASIN ごとの時系列（asin, t にインデックス）
+import path from "path";
+import fs from "fs";
+import { createRequire } from "module";
+import { DATA_DIR } from "./json.js";
+
+const require = createRequire(import.meta.url);
+
+export function sqliteAbsPath() {
+  return process.env.SQLITE_FILE ? path.resolve(process.env.SQLITE_FILE) : path.join(DATA_DIR, "pricewatch.db");
+}
+
+export function createSqliteDriver(file = sqliteAbsPath()) {
+  // 使うときだけ読み込む（json ドライバの利用者に ExperimentalWarning を出さない）
+  const { DatabaseSync } = require("node:sqlite");
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new DatabaseSync(file);
+  db.exec(`
+    PRAGMA journal_mode = WAL;
+    CREATE TABLE IF NOT EXISTS docs (
+      name TEXT PRIMARY KEY,
+      json TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS history (
+      asin TEXT NOT NULL,
+      t INTEGER NOT NULL,
+      json TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS history_asin_t ON history (asin, t);
+  `);
+
+  const q = {
+    readDoc: db.prepare("SELECT json FROM docs WHERE name = ?"),
+    writeDoc: db.prepare(
+      "INSERT INTO docs (name, json, updated_at) VALUES (?, ?, ?) " +
+        "ON CONFLICT(name) DO UPDATE SET json = excluded.json, updated_at = excluded.updated_at"
+    ),
+    append: db.prepare("INSERT INTO history (asin, t, json) VALUES (?, ?, ?)"),
+    read: db.prepare("SELECT json FROM history WHERE asin = ? ORDER BY t"),
+    clear: db.prepare("DELETE FROM history WHERE asin = ?"),
+    asins: db.prepare("SELECT DISTINCT asin FROM history"),
+  };
+
+  const tx = (fn) => {
+    db.exec("BEGIN");
+    try {
+      fn();
+      db.exec("COMMIT");
+    } catch (e) {
+      db.exec("ROLLBACK");
+      throw e;
+    }
+  };
+
+  return {
+    name: "sqlite",
+
+    locate() {
+      return file;
+    },
+
+    readDoc(name) {
+      const row = q.readDoc.get(name);
+      if (!row) return null;
+      try {
+        return JSON.parse(row.json);
+      } catch (e) {
+        throw new Error(`${name} in ${file} is not valid JSON: ${e.message}`, { cause: e });
+      }
+    },
+
+    writeDoc(name, value) {
+      q.writeDoc.run(name, JSON.stringify(value), Date.now());
+    },
+
+    appendHistory(asin, row) {
+      q.append.run(String(asin), row.t, JSON.stringify(row));
+    },
+
+    readHistory(asin) {
+      return q.read.all(String(asin)).map((r) => JSON.parse(r.json));
+    },
+
+    replaceHistory(asin, rows) {
+      tx(() => {
+        q.clear.run(String(asin));
+        for (const r of rows) q.append.run(String(asin), r.t, JSON.stringify(r));
+      });
+    },
+
+    historyAsins() {
+      return q.asins.all().map((r) => r.asin);
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,32 @@
+// src/storage/runs.js
+// ジョブごとの直近の実行結果（ドライバ経由: json なら data/runs.json）
+//   { [job]: { startedAt, finishedAt, ok, summary, error } }
+//   job は "monitor" / "monitor_watchlist" / "discover" / "monitor_profile:<key>"
+// /pricewatch last で表示する。state とは別ドキュメント（同時に動くジョブの state 保存とぶつけない）
+import { getDriver } from "./driver.js";
+
+export function loadRuns() {
+  const r = getDriver().readDoc("runs");
+  return r && typeof r === "object" ? r : {};
+}
+
+/**
+ * 実行結果を記録（保存に失敗してもジョブは止めない）
+ * @param {string} job
+ * @param {{ startedAt: number, ok?: boolean, summary?: object, error?: any }} result
+ */
+export function recordRun(job, { startedAt, ok = true, summary = {}, error = null }) {
+  try {
+    const runs = loadRuns();
+    runs[job] = {
+      startedAt,
+      finishedAt: Date.now(),
+      ok,
+      summary,
+      error: error ? String(error?.message || error).slice(0, 300) : null,
+    };
+    getDriver().writeDoc("runs", runs);
+  } catch (e) {
+    console.log(`[runs] record failed: ${e?.message || e}`);
+  }
+}
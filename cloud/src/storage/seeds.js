@@ -0,0 +1,13 @@
+// src/storage/seeds.js
+// 自動取得の種（キーワード/ブランド/Finder上書き等）の読込/保存
+// 保存先はストレージドライバ（json なら data/seeds.json）
+import { getDriver } from "./driver.js";
+
+export function loadSeeds() {
+  const s = getDriver().readDoc("seeds");
+  return s && typeof s === "object" ? s : {};
+}
+
+export function saveSeeds(json) {
+  getDriver().writeDoc("seeds", json);
+}
@@ -1,11 +1,38 @@
-import fs from "fs";
-const FILE = "data/state.json";
+// src/storage/state.js
+// 前回値・クールダウン等の保存/読込（ドライバ経由: json なら data/state.json または STATE_FILE）
+//   products: 監視リスト（monitor_watchlist）の ASIN ごとの前回値
+//   asins:    カテゴリ監視（cloud monitor）の ASIN ごとの前回値
+import { getDriver } from "./driver.js";
+
+export function stateAbsPath() { return getDriver().locate("state"); }
 
 export function loadState() {
-  if (!fs.existsSync(FILE)) return { products: {} };
-  return JSON.parse(fs.readFileSync(FILE, "utf-8"));
+  const s = getDriver().readDoc("state");
+  const st = s && typeof s === "object" ? s : {};
+  if (typeof st.version !== "number") st.version = 1;
+  if (typeof st.updatedAt !== "number") st.updatedAt = 0;
+  if (!st.products || typeof st.products !== "object") st.products = {};
+  if (!st.asins || typeof st.asins !== "object") st.asins = {};
+  return st;
 }
 
 export function saveState(s) {
-  fs.writeFileSync(FILE, JSON.stringify(s, null, 2), "utf-8");
+  s.updatedAt = Date.now();
+  getDriver().writeDoc("state", s);
+}
+
+/**
+ * 種別ごとのクールダウン判定（products[asin].notifiedAt[kind]）
+ * @param {object} entry state.products[asin]
+ * @param {string} kind  "jump" / "amazonOOS" など
+ * @param {number} hours
+ */
+export function inCooldown(entry, kind, hours, now = Date.now()) {
+  const at = entry?.notifiedAt?.[kind];
+  if (!at) return false;
+  return now - at < hours * 60 * 60 * 1000;
+}
+
+export function markNotified(entry, kind, now = Date.now()) {
+  entry.notifiedAt = { ...(entry.notifiedAt || {}), [kind]: now };
 }
@@ -1,30 +1,103 @@
 // src/storage/watchlist.js
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
+// asinList の要素は "ASIN" 文字列、または目標価格つきのオブジェクト
+//   { "asin": "B0...", "target": { "price": 3000, "field": "landed", "direction": "below" }, "note": "..." }
+//   field:     landed（カート価格+送料、既定）/ new（新品最安）/ amazon（Amazon本体）
+//   direction: below（この価格以下で通知＝仕入れ）/ above（この価格以上で通知＝売り）
+//   cost:      仕入れ値（任意。通知の利益の見込みに使う。無ければ below の目標価格）
+// 保存先はストレージドライバ（json なら data/watchlist.json）
+import { getDriver } from "./driver.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const FILE = path.resolve(__dirname, "../../data/watchlist.json");
+export const TARGET_FIELDS = ["landed", "new", "amazon"];
+export const TARGET_DIRECTIONS = ["below", "above"];
 
-export function watchlistAbsPath() { return FILE; }
+export function watchlistAbsPath() { return getDriver().locate("watchlist"); }
 
 export function loadWatchlist() {
-  if (!fs.existsSync(FILE)) return { asinList: [] };
-  try { return JSON.parse(fs.readFileSync(FILE, "utf-8")); }
-  catch { return { asinList: [] }; }
+  const w = getDriver().readDoc("watchlist");
+  return w && typeof w === "object" ? w : { asinList: [] };
 }
 
 export function saveWatchlist(json) {
-  fs.mkdirSync(path.dirname(FILE), { recursive: true });
-  fs.writeFileSync(FILE, JSON.stringify(json, null, 2), "utf-8");
+  getDriver().writeDoc("watchlist", json);
 }
 
+/** 要素（文字列 or オブジェクト）から ASIN を取り出す */
+export function asinOf(entry) {
+  const raw = typeof entry === "string" ? entry : entry?.asin;
+  return raw ? String(raw).trim() : "";
+}
+
+function normalizeTarget(t, asin) {
+  if (t == null) return null;
+  const price = Number(t.price);
+  const field = t.field ?? "landed";
+  const direction = t.direction ?? "below";
+  if (!(price > 0) || !TARGET_FIELDS.includes(field) || !TARGET_DIRECTIONS.includes(direction)) {
+    console.warn(`watchlist: invalid target for ${asin} (ignored)`, JSON.stringify(t));
+    return null;
+  }
+  return { price, field, direction };
+}
+
+function normalizeCost(c, asin) {
+  if (c == null) return null;
+  const cost = Number(c);
+  if (!(cost > 0)) {
+    console.warn(`watchlist: invalid cost for ${asin} (ignored)`, JSON.stringify(c));
+    return null;
+  }
+  return cost;
+}
+
+/**
+ * asinList を { asin, target, cost, note } の配列に正規化（ASIN 重複は後勝ち）
+ * @param {{ asinList?: any[] }} [w]
+ */
+export function watchEntries(w = loadWatchlist()) {
+  const byAsin = new Map();
+  for (const e of w.asinList || []) {
+    const asin = asinOf(e);
+    if (!asin) continue;
+    const obj = typeof e === "string" ? {} : e;
+    byAsin.set(asin, { ...obj, asin, target: normalizeTarget(obj.target, asin), cost: normalizeCost(obj.cost, asin) });
+  }
+  return [...byAsin.values()];
+}
+
+/**
+ * ASIN を追加（文字列 / 目標価格つきオブジェクトどちらも可）
+ * 既存の要素はそのまま残し、オブジェクトで渡した ASIN は上書きする
+ */
 export function addAsins(asins) {
   const w = loadWatchlist();
-  const set = new Set(w.asinList || []);
-  for (const a of asins) if (a) set.add(String(a).trim());
-  const next = { asinList: [...set] };
+  const list = [...(w.asinList || [])];
+  const index = new Map(list.map((e, i) => [asinOf(e), i]));
+
+  for (const a of asins) {
+    const asin = asinOf(a);
+    if (!asin) continue;
+    const item = typeof a === "string" ? asin : { ...a, asin };
+    if (!index.has(asin)) {
+      index.set(asin, list.length);
+      list.push(item);
+    } else if (typeof item !== "string") {
+      list[index.get(asin)] = item;
+    }
+  }
+
+  const next = { ...w, asinList: list };
   saveWatchlist(next);
   return next;
 }
+
+/** ASIN を削除（実際に消した ASIN の配列を返す） */
+export function removeAsins(asins) {
+  const drop = new Set(asins.map(asinOf).filter(Boolean));
+  const w = loadWatchlist();
+  const list = w.asinList || [];
+  const removed = [...new Set(list.map(asinOf).filter((a) => drop.has(a)))];
+  if (removed.length) {
+    saveWatchlist({ ...w, asinList: list.filter((e) => !drop.has(asinOf(e))) });
+  }
+  return removed;
+}
@@ -0,0 +1,98 @@
+// scripts/smoke.js
+// 記録済みのフィクスチャ（test/fixtures/smoke）を再生して、Slack に送る内容を確かめる
+//   npm run smoke
+// - test/fixtures/smoke/profiles.json の smoke プロファイルを monitor_profile.js で1回実行（scripts/standin.js --run）
+// - Keepa は test/fixtures/smoke/keepa/ の /query 1ページと /product 1回分を返す（API キーは含まない）
+// - スタンドインが受け取った Slack ペイロードを、記録時の test/fixtures/smoke/slack.jsonl と比べる
+//   （投稿数と載った ASIN の並び。価格の推移などは実行した日で変わるので比べない）
+// 作業用のファイルは一時ディレクトリに置く（data/ と test/fixtures/ は変えない）
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const FIXTURES = path.join(ROOT, "test", "fixtures", "smoke");
+const MAX_BLOCKS = 50;
+
+function readJsonl(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf-8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+// 投稿に載った ASIN（商品リンクの順）
+function asinsOf(payload) {
+  const out = [];
+  for (const [, asin] of JSON.stringify(payload).matchAll(/amazon\.[a-z.]+\/dp\/([A-Z0-9]{10})/g)) {
+    if (!out.includes(asin)) out.push(asin);
+  }
+  return out;
+}
+
+// 記録したときと同じリクエストになるよう、Finder / 取得の設定は既定値に固定する（.env の値を使わない）
+function smokeEnv(dir) {
+  return {
+    ...process.env,
+    FIXTURES_DIR: dir,
+    PROFILES_FILE: path.join(FIXTURES, "profiles.json"),
+    DATA_DIR: path.join(dir, "data"),
+    FINDER_MAX_PAGES: "1",
+    FINDER_PER_PAGE: "100",
+    STRICT_FINDER: "on",
+    STRICT_CATEGORY_MATCH: "on",
+    LOW_STATS_DAYS: "180",
+    SLACK_TRANSPORT: "webhook",
+    // standin.js の data/ の一時コピーもこのディレクトリの中に作らせる（終わったらまとめて消す）
+    TMPDIR: dir,
+  };
+}
+
+function check(expected, got) {
+  const errors = [];
+  if (got.length !== expected.length) errors.push(`posts: expected ${expected.length}, got ${got.length}`);
+  got.forEach((payload, i) => {
+    if (!payload?.text) errors.push(`posts[${i}]: no text`);
+    if (!Array.isArray(payload?.blocks) || !payload.blocks.length) errors.push(`posts[${i}]: no blocks`);
+    else if (payload.blocks.length > MAX_BLOCKS) errors.push(`posts[${i}]: ${payload.blocks.length} blocks (max ${MAX_BLOCKS})`);
+  });
+  const want = expected.flatMap(asinsOf).join(",");
+  const have = got.flatMap(asinsOf).join(",");
+  if (want !== have) errors.push(`ASINs: expected ${want || "(none)"}, got ${have || "(none)"}`);
+  return errors;
+}
+
+async function main() {
+  const expected = readJsonl(path.join(FIXTURES, "slack.jsonl")).map((e) => e.payload);
+  if (!expected.length) throw new Error(`no recorded Slack payloads in ${path.join(FIXTURES, "slack.jsonl")}`);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pricewatch-smoke-"));
+  try {
+    fs.cpSync(path.join(FIXTURES, "keepa"), path.join(dir, "keepa"), { recursive: true });
+    fs.mkdirSync(path.join(dir, "data"));
+
+    const child = spawn(
+      process.execPath,
+      [path.join(ROOT, "scripts", "standin.js"), "--run", "src/jobs/monitor_profile.js", "smoke"],
+      { cwd: ROOT, stdio: "inherit", env: smokeEnv(dir) }
+    );
+    const code = await new Promise((r) => child.on("exit", (c) => r(c ?? 1)));
+    if (code !== 0) throw new Error(`replay exited with ${code}`);
+
+    const got = readJsonl(path.join(dir, "replay", "slack.jsonl")).map((e) => e.payload);
+    const errors = check(expected, got);
+    if (errors.length) throw new Error(`Slack payload mismatch\n  - ${errors.join("\n  - ")}`);
+    console.log(`[smoke] OK posts=${got.length} asins=${got.flatMap(asinsOf).join(",")}`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch((e) => {
+  console.error("[smoke] FAILED:", e?.message || e);
+  process.exit(1);
+});
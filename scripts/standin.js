@@ -0,0 +1,392 @@
+// scripts/standin.js
+// Keepa / Slack / Discord / 汎用 Webhook / SMTP のローカルスタンドイン（FIXTURES=record で記録したフィクスチャを返す）
+//   npm run standin                                 … http://127.0.0.1:8787 で待ち受け（STANDIN_PORT）、SMTP は 2525（STANDIN_SMTP_PORT）
+//   npm run replay -- src/jobs/monitor.js           … スタンドインを立ててジョブを1回実行して終了
+//   npm run replay -- src/jobs/monitor_profile.js toys
+// 待ち受けだけの場合はジョブ側で KEEPA_API_BASE=http://127.0.0.1:8787 / SLACK_WEBHOOK_URL=http://127.0.0.1:8787/slack
+//   （bot 送信なら SLACK_API_BASE=http://127.0.0.1:8787/api）を指定
+//   Discord: DISCORD_WEBHOOK_URL=http://127.0.0.1:8787/discord / Webhook: NOTIFY_WEBHOOK_URL=http://127.0.0.1:8787/hook
+//   メール: SMTP_HOST=127.0.0.1 SMTP_PORT=2525 SMTP_FROM=... EMAIL_TO=...
+// replay は上記に加え、data/ の一時コピー（DATA_DIR）で動かすので本物の state / 履歴は変わらない
+// 受け取ったものは <FIXTURES_DIR>/replay/ の slack.jsonl / discord.jsonl / webhook.jsonl / email.jsonl に追記
+// Webhook の署名は STANDIN_WEBHOOK_SECRET（既定 NOTIFY_WEBHOOK_SECRET）で照合し、合わなければ 401 を返す
+import "dotenv/config";
+import fs from "fs";
+import os from "os";
+import net from "net";
+import path from "path";
+import http from "http";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { fixturesDir, keepaFixtureName, requestParams } from "../src/services/fixtures.js";
+import { DATA_DIR } from "../src/storage/drivers/json.js";
+import { loadProfiles } from "../src/config/profiles.js";
+import { verifySignature, SIGNATURE_HEADER, TIMESTAMP_HEADER } from "../src/services/webhook.js";
+
+const PORT = Number(process.env.STANDIN_PORT || 8787);
+const SMTP_PORT = Number(process.env.STANDIN_SMTP_PORT || 2525);
+const WEBHOOK_SECRET = process.env.STANDIN_WEBHOOK_SECRET || process.env.NOTIFY_WEBHOOK_SECRET || "";
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+// /product の記録を ASIN 単位にも引けるようにしておく（チャンクの切り方が変わっても返せる）
+function indexProducts(dir) {
+  const byAsin = new Map();
+  if (!fs.existsSync(dir)) return byAsin;
+  for (const f of fs.readdirSync(dir)) {
+    const fx = readJson(path.join(dir, f));
+    if (fx?.request?.path !== "/product" || !Array.isArray(fx.response?.body?.products)) continue;
+    const { asin, ...rest } = fx.request.params;
+    for (const p of fx.response.body.products) {
+      if (p?.asin) byAsin.set(`${JSON.stringify(rest)}|${p.asin}`, { product: p, body: fx.response.body });
+    }
+  }
+  return byAsin;
+}
+
+// 記録時の残量は関係ないので、常に満タンで返す（トークン待ちを起こさない）
+function withFullBucket(body) {
+  if (!body || typeof body !== "object" || typeof body.refillRate !== "number") return body;
+  return { ...body, tokensLeft: body.refillRate * 60, refillIn: 60_000, timestamp: Date.now() };
+}
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let s = "";
+    req.setEncoding("utf-8");
+    req.on("data", (c) => (s += c));
+    req.on("end", () => resolve(s));
+    req.on("error", reject);
+  });
+
+const parseJson = (s) => {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return s;
+  }
+};
+
+function appendLog(file, entry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, `${JSON.stringify({ t: Date.now(), ...entry })}\n`, "utf-8");
+}
+
+const oneLine = (s) => String(s ?? "").replace(/\s+/g, " ").slice(0, 80);
+
+export function createStandin(dir = fixturesDir()) {
+  const keepaDir = path.join(dir, "keepa");
+  const slackLog = path.join(dir, "replay", "slack.jsonl");
+  const discordLog = path.join(dir, "replay", "discord.jsonl");
+  const webhookLog = path.join(dir, "replay", "webhook.jsonl");
+  const products = indexProducts(keepaDir);
+  const counts = { hit: 0, assembled: 0, miss: 0, slack: 0, discord: 0, webhook: 0 };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { "content-type": "application/json" });
+    res.end(typeof body === "string" ? body : JSON.stringify(body));
+  };
+
+  function keepa(req, u, body) {
+    const params = requestParams(u.searchParams);
+    const name = keepaFixtureName({ method: req.method, path: u.pathname, params, body });
+    const fx = readJson(path.join(keepaDir, name));
+    if (fx) {
+      counts.hit += 1;
+      return [fx.response.status, withFullBucket(fx.response.body), "hit"];
+    }
+
+    if (u.pathname === "/product") {
+      const { asin = "", ...rest } = params;
+      const found = asin
+        .split(",")
+        .filter(Boolean)
+        .map((a) => products.get(`${JSON.stringify(rest)}|${a}`))
+        .filter(Boolean);
+      if (found.length) {
+        counts.assembled += 1;
+        return [200, withFullBucket({ ...found[0].body, products: found.map((f) => f.product) }), `assembled ${found.length}`];
+      }
+    }
+
+    counts.miss += 1;
+    return [404, { error: { type: "fixtureMissing", message: `no fixture for ${req.method} ${u.pathname} (${name})` } }, "miss"];
+  }
+
+  function slack(u, body) {
+    counts.slack += 1;
+    const payload = parseJson(body);
+    appendLog(slackLog, { path: u.pathname, payload });
+    console.log(`[standin] slack ${u.pathname} ${oneLine(payload?.text)}`);
+  }
+
+  // Discord の Incoming Webhook: wait=true ならメッセージ（id 付き）、無ければ 204
+  let discordSeq = 0;
+  function discord(u, body) {
+    const payload = parseJson(body);
+    if (!payload || typeof payload !== "object" || (!payload.content && !payload.embeds?.length)) {
+      return [400, { message: "Cannot send an empty message", code: 50006 }];
+    }
+    counts.discord += 1;
+    appendLog(discordLog, { path: u.pathname, payload });
+    console.log(`[standin] discord ${u.pathname} embeds=${payload.embeds?.length ?? 0} ${oneLine(payload.content)}`);
+    discordSeq += 1;
+    const id = String(Date.now() * 1000 + discordSeq);
+    return u.searchParams.get("wait") === "true" ? [200, { id, ...payload }] : [204, ""];
+  }
+
+  // 汎用 Webhook: 秘密鍵があれば署名を照合する
+  function hook(req, u, body) {
+    const timestamp = req.headers[TIMESTAMP_HEADER];
+    const signature = req.headers[SIGNATURE_HEADER];
+    const verified = WEBHOOK_SECRET ? verifySignature(WEBHOOK_SECRET, timestamp, body, signature) : null;
+    if (verified === false) {
+      console.log(`[standin] webhook ${u.pathname} -> 401 (bad signature)`);
+      return [401, { error: "bad signature" }];
+    }
+    counts.webhook += 1;
+    const payload = parseJson(body);
+    appendLog(webhookLog, { path: u.pathname, timestamp, signature: signature ?? null, verified, payload });
+    console.log(`[standin] webhook ${u.pathname} verified=${verified} ${oneLine(payload?.plain)}`);
+    return [200, { ok: true }];
+  }
+
+  // Slack Web API（chat.postMessage / chat.update）: ts は投稿ごとに一意
+  let seq = 0;
+  function slackApi(req, u, body) {
+    if (!/^Bearer \S+/.test(req.headers.authorization || "")) return { ok: false, error: "not_authed" };
+    const method = u.pathname.slice("/api/".length);
+    let payload = {};
+    try {
+      payload = JSON.parse(body || "{}");
+    } catch {
+      return { ok: false, error: "invalid_json" };
+    }
+    if (!payload.channel) return { ok: false, error: "channel_not_found" };
+    if (method === "chat.postMessage") {
+      slack(u, body);
+      seq += 1;
+      const ts = `${Math.floor(Date.now() / 1000)}.${String(seq).padStart(6, "0")}`;
+      return { ok: true, channel: payload.channel, ts, message: { ...payload, ts } };
+    }
+    if (method === "chat.update") {
+      if (!payload.ts) return { ok: false, error: "message_not_found" };
+      slack(u, body);
+      return { ok: true, channel: payload.channel, ts: payload.ts, text: payload.text };
+    }
+    return { ok: false, error: "unknown_method" };
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const u = new URL(req.url, "http://standin");
+    const body = await readBody(req).catch(() => "");
+
+    if (u.pathname.startsWith("/slack")) {
+      slack(u, body);
+      return send(res, 200, "ok");
+    }
+    if (u.pathname.startsWith("/api/")) {
+      return send(res, 200, slackApi(req, u, body));
+    }
+    if (u.pathname.startsWith("/discord")) {
+      return send(res, ...discord(u, body));
+    }
+    if (u.pathname.startsWith("/hook")) {
+      return send(res, ...hook(req, u, body));
+    }
+    if (u.pathname === "/query" || u.pathname === "/product") {
+      const [status, out, how] = keepa(req, u, body);
+      console.log(`[standin] keepa ${req.method} ${u.pathname} -> ${status} (${how})`);
+      return send(res, status, out);
+    }
+    send(res, 404, { error: { type: "notFound", message: u.pathname } });
+  });
+
+  return { server, counts, slackLog };
+}
+
+// 件名（=?UTF-8?B?...?=、折り返しと複数の encoded-word を含む）を読める形に
+const decodeHeader = (v) =>
+  String(v || "")
+    .replace(/\r\n[ \t]/g, " ")
+    .replace(/(\?=)\s+(?==\?UTF-8\?B\?)/gi, "$1")
+    .replace(/=\?UTF-8\?B\?([^?]+)\?=/gi, (_, b) => Buffer.from(b, "base64").toString("utf-8"));
+
+/**
+ * SMTP のスタンドイン（認証は何でも通す。STARTTLS は出さない）
+ * 受け取ったメールは <FIXTURES_DIR>/replay/email.jsonl に { from, to, subject, data } で追記
+ */
+export function createSmtpStandin(dir = fixturesDir()) {
+  const emailLog = path.join(dir, "replay", "email.jsonl");
+  const counts = { email: 0 };
+
+  const server = net.createServer((socket) => {
+    socket.setEncoding("utf-8");
+    const reply = (line) => socket.write(`${line}\r\n`);
+    let buf = "";
+    let mail = { from: null, to: [] };
+    let inData = false;
+    let data = "";
+
+    const received = () => {
+      const message = data.replace(/^\.\./gm, ".");
+      const subject = decodeHeader(message.match(/^Subject: (.*(?:\r\n[ \t].*)*)/m)?.[1]);
+      counts.email += 1;
+      appendLog(emailLog, { from: mail.from, to: mail.to, subject, data: message });
+      console.log(`[standin] email to=${mail.to.join(",")} ${oneLine(subject)}`);
+      mail = { from: null, to: [] };
+      data = "";
+    };
+
+    const onLine = (line) => {
+      if (inData) {
+        if (line === ".") {
+          inData = false;
+          received();
+          return reply("250 OK queued");
+        }
+        data += `${line}\r\n`;
+        return;
+      }
+      const [verb] = line.split(" ");
+      switch (verb.toUpperCase()) {
+        case "EHLO":
+        case "HELO":
+          return reply("250-standin\r\n250 AUTH PLAIN");
+        case "AUTH":
+          return reply("235 Authentication successful");
+        case "MAIL":
+          mail.from = line.match(/<([^>]*)>/)?.[1] ?? null;
+          return reply("250 OK");
+        case "RCPT":
+          mail.to.push(line.match(/<([^>]*)>/)?.[1] ?? "");
+          return reply("250 OK");
+        case "DATA":
+          if (!mail.from || !mail.to.length) return reply("503 need MAIL and RCPT first");
+          inData = true;
+          return reply("354 End data with <CR><LF>.<CR><LF>");
+        case "RSET":
+          mail = { from: null, to: [] };
+          return reply("250 OK");
+        case "NOOP":
+          return reply("250 OK");
+        case "QUIT":
+          reply("221 Bye");
+          return socket.end();
+        default:
+          return reply("502 Command not implemented");
+      }
+    };
+
+    socket.on("data", (chunk) => {
+      buf += chunk;
+      let i;
+      while ((i = buf.indexOf("\r\n")) >= 0) {
+        const line = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+        onLine(line);
+      }
+    });
+    socket.on("error", () => {});
+    reply("220 standin ESMTP");
+  });
+
+  return { server, counts, emailLog };
+}
+
+// data/ の JSON ドキュメントを一時ディレクトリにコピー（Keepa トークン残量は持ち込まない）
+function sandboxDataDir() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "pricewatch-replay-"));
+  if (fs.existsSync(DATA_DIR)) {
+    for (const f of fs.readdirSync(DATA_DIR)) {
+      if (f.endsWith(".json") && f !== "keepa_tokens.json") fs.copyFileSync(path.join(DATA_DIR, f), path.join(tmp, f));
+    }
+  }
+  return tmp;
+}
+
+function replayEnv(base, smtpPort, dataDir) {
+  const env = {
+    ...process.env,
+    KEEPA_API_BASE: base,
+    KEEPA_API_KEY: process.env.KEEPA_API_KEY || "replay",
+    KEEPA_CACHE_TTL_MIN: "0",
+    FIXTURES: "off",
+    STORAGE_DRIVER: "json",
+    DATA_DIR: dataDir,
+    STATE_FILE: path.join(dataDir, "state.json"),
+    HISTORY_DIR: path.join(dataDir, "history"),
+    SLACK_WEBHOOK_URL: `${base}/slack`,
+    SLACK_API_BASE: `${base}/api`,
+    SMTP_HOST: "127.0.0.1",
+    SMTP_PORT: String(smtpPort),
+    SMTP_SECURE: "off",
+    // スタンドインは STARTTLS を出さないので、SMTP_USER があっても平文で AUTH させる
+    SMTP_ALLOW_PLAIN_AUTH: "on",
+    SMTP_FROM: process.env.SMTP_FROM || "pricewatch@localhost",
+  };
+  // 設定済みの Discord / Webhook もスタンドインへ（未設定のものは有効にしない）
+  if (env.DISCORD_WEBHOOK_URL) env.DISCORD_WEBHOOK_URL = `${base}/discord`;
+  if (env.NOTIFY_WEBHOOK_URL) env.NOTIFY_WEBHOOK_URL = `${base}/hook`;
+  // プロファイル別の投稿先もすべてスタンドインへ
+  for (const p of loadProfiles()) {
+    env[p.slack.webhookEnv] = `${base}/slack/${p.key}`;
+    for (const t of p.notify) {
+      if (t.type === "slack") env[t.webhookEnv] = `${base}/slack/${p.key}`;
+      if (t.type === "discord") env[t.webhookEnv] = `${base}/discord/${p.key}`;
+      if (t.type === "webhook") env[t.urlEnv] = `${base}/hook/${p.key}`;
+    }
+  }
+  return env;
+}
+
+async function main() {
+  const runAt = process.argv.indexOf("--run");
+  const { server, counts, slackLog } = createStandin();
+  const smtp = createSmtpStandin();
+
+  if (runAt < 0) {
+    server.listen(PORT, "127.0.0.1", () => {
+      console.log(`[standin] listening on http://127.0.0.1:${PORT} (fixtures: ${fixturesDir()})`);
+    });
+    smtp.server.listen(SMTP_PORT, "127.0.0.1", () => {
+      console.log(`[standin] SMTP listening on 127.0.0.1:${SMTP_PORT}`);
+    });
+    return;
+  }
+
+  const [script, ...args] = process.argv.slice(runAt + 1);
+  if (!script) {
+    console.error("usage: npm run replay -- <job script> [args...]");
+    process.exit(1);
+  }
+
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  await new Promise((r) => smtp.server.listen(0, "127.0.0.1", r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const dataDir = sandboxDataDir();
+  console.log(`[standin] replay ${script} against ${base} (data: ${dataDir})`);
+
+  const env = replayEnv(base, smtp.server.address().port, dataDir);
+  const child = spawn(process.execPath, [script, ...args], { stdio: "inherit", env });
+  const code = await new Promise((r) => child.on("exit", (c) => r(c ?? 1)));
+
+  server.close();
+  smtp.server.close();
+  console.log(`[standin] done exit=${code}`, { ...counts, ...smtp.counts }, `logs: ${path.dirname(slackLog)}`);
+  process.exitCode = code;
+}
+
+// test/ から createStandin / createSmtpStandin を読み込むときはサーバーを起動しない
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((e) => {
+    console.error("standin failed:", e?.message || e);
+    process.exit(1);
+  });
+}
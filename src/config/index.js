@@ -1,11 +1,12 @@
 import dotenv from "dotenv";
 dotenv.config();
+import { defaultMarketplace } from "./marketplaces.js";
 
 const num = (v, def) => (v === undefined ? def : Number(v));
 
 export const cfg = {
   keepaKey: process.env.KEEPA_API_KEY,
-  keepaDomain: num(process.env.KEEPA_DOMAIN, 5),
+  keepaDomain: defaultMarketplace().domainId,
   slackWebhookUrl: process.env.SLACK_WEBHOOK_URL,
   priceJumpPct: num(process.env.PRICE_JUMP_PCT, 5),
   checkIntervalMin: num(process.env.CHECK_INTERVAL_MIN, 10),
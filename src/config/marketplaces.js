@@ -0,0 +1,92 @@
+// src/config/marketplaces.js
+// Amazon のマーケットプレイス（Keepa の domain）ごとの値
+// - プロファイルの marketplace: "jp" / "us" / "uk" / "de" …（未指定は KEEPA_DOMAIN の国、既定 JP）
+// - KEEPA_DOMAIN は Keepa の domain 番号（5）でもコード（"jp"）でもよい
+// - 商品 URL のホスト / Keepa グラフの domain / 通貨（Keepa の価格の単位）/ 表示の書式 / 時刻のタイムゾーン
+//   表示の文言は日本語のまま。価格は各国の通貨の書式（JP だけ従来どおり "1,234円"）、時刻はその国の現地時刻
+
+/** code → 値（domainId は Keepa の domain 番号） */
+export const MARKETPLACES = Object.fromEntries(
+  [
+    { code: "us", domainId: 1, host: "www.amazon.com", graphDomain: "com", currency: "USD", locale: "en-US", timeZone: "America/New_York" },
+    { code: "uk", domainId: 2, host: "www.amazon.co.uk", graphDomain: "co.uk", currency: "GBP", locale: "en-GB", timeZone: "Europe/London" },
+    { code: "de", domainId: 3, host: "www.amazon.de", graphDomain: "de", currency: "EUR", locale: "de-DE", timeZone: "Europe/Berlin" },
+    { code: "fr", domainId: 4, host: "www.amazon.fr", graphDomain: "fr", currency: "EUR", locale: "fr-FR", timeZone: "Europe/Paris" },
+    { code: "jp", domainId: 5, host: "www.amazon.co.jp", graphDomain: "co.jp", currency: "JPY", locale: "ja-JP", timeZone: "Asia/Tokyo" },
+    { code: "ca", domainId: 6, host: "www.amazon.ca", graphDomain: "ca", currency: "CAD", locale: "en-CA", timeZone: "America/Toronto" },
+    { code: "it", domainId: 8, host: "www.amazon.it", graphDomain: "it", currency: "EUR", locale: "it-IT", timeZone: "Europe/Rome" },
+    { code: "es", domainId: 9, host: "www.amazon.es", graphDomain: "es", currency: "EUR", locale: "es-ES", timeZone: "Europe/Madrid" },
+    { code: "in", domainId: 10, host: "www.amazon.in", graphDomain: "in", currency: "INR", locale: "en-IN", timeZone: "Asia/Kolkata" },
+    { code: "mx", domainId: 11, host: "www.amazon.com.mx", graphDomain: "com.mx", currency: "MXN", locale: "es-MX", timeZone: "America/Mexico_City" },
+    { code: "br", domainId: 12, host: "www.amazon.com.br", graphDomain: "com.br", currency: "BRL", locale: "pt-BR", timeZone: "America/Sao_Paulo" },
+  ].map((m) => [m.code, Object.freeze(m)])
+);
+
+export const MARKETPLACE_CODES = Object.keys(MARKETPLACES);
+
+// "uk" は Keepa / Amazon の表記揺れ（gb）も受ける
+const ALIASES = { gb: "uk" };
+
+/**
+ * コード（"us"）か Keepa の domain 番号（1）からマーケットプレイスを引く（知らないものは null）
+ * @param {string|number|null|undefined} v
+ */
+export function marketplaceOf(v) {
+  if (v == null || v === "") return null;
+  const s = String(v).trim().toLowerCase();
+  if (/^\d+$/.test(s)) return Object.values(MARKETPLACES).find((m) => m.domainId === Number(s)) ?? null;
+  return MARKETPLACES[ALIASES[s] ?? s] ?? null;
+}
+
+const DEFAULT = marketplaceOf(process.env.KEEPA_DOMAIN || "jp");
+if (!DEFAULT) {
+  throw new Error(`KEEPA_DOMAIN "${process.env.KEEPA_DOMAIN}" is not a supported marketplace (${MARKETPLACE_CODES.join(" / ")} or its Keepa domain id)`);
+}
+
+/** KEEPA_DOMAIN のマーケットプレイス（プロファイルで指定が無いときと、監視リスト / コマンド） */
+export const defaultMarketplace = () => DEFAULT;
+
+/** Keepa の product（domainId 付き）のマーケットプレイス。分からなければ既定 */
+export const marketplaceForProduct = (product) => marketplaceOf(product?.domainId) ?? DEFAULT;
+
+/** Keepa の価格の単位（JP = 円そのまま、その他 = 1/100） */
+export const priceUnitOf = (m = DEFAULT) => (m.currency === "JPY" ? 1 : 100);
+
+const currencyFormats = new Map();
+
+function currencyFormat(m, signed) {
+  const key = `${m.code}:${signed}`;
+  if (!currencyFormats.has(key)) {
+    currencyFormats.set(
+      key,
+      new Intl.NumberFormat(m.locale, { style: "currency", currency: m.currency, signDisplay: signed ? "exceptZero" : "auto" })
+    );
+  }
+  return currencyFormats.get(key);
+}
+
+/**
+ * 価格を通貨の書式で（値が無ければ "-"）。JP は "1,234円"、それ以外は "$12.34" / "12,34 €" など
+ * @param {number|null} v
+ * @param {object} [m] MARKETPLACES の値
+ * @param {{ signed?: boolean }} [options] signed で "+" / "-" を付ける（差額用）
+ */
+export function formatPrice(v, m = DEFAULT, { signed = false } = {}) {
+  if (v == null || !Number.isFinite(v)) return "-";
+  if (m.currency === "JPY") {
+    const sign = signed && v > 0 ? "+" : "";
+    return `${sign}${Math.round(v).toLocaleString("ja-JP")}円`;
+  }
+  return currencyFormat(m, signed).format(v);
+}
+
+/**
+ * 時刻をそのマーケットプレイスの現地時刻で（JP 以外はタイムゾーン名を添える）
+ * @param {number|Date} t
+ * @param {object} [m]
+ * @param {Intl.DateTimeFormatOptions} [options] 省略時は日付 + 時刻
+ */
+export function formatTime(t, m = DEFAULT, options = {}) {
+  const zone = m.timeZone === "Asia/Tokyo" ? {} : { timeZoneName: "short" };
+  return new Date(t).toLocaleString("ja-JP", { ...options, ...zone, timeZone: m.timeZone });
+}
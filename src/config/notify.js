@@ -0,0 +1,89 @@
+// src/config/notify.js
+// プロファイルの通知先（notify）の検証と既定値
+//   "notify": [
+//     { "type": "slack" },                                         … プロファイルの slack（webhookEnv / channel で上書き可）
+//     { "type": "discord", "webhookEnv": "DISCORD_WEBHOOK_TOYS" },  … 既定 DISCORD_WEBHOOK_URL
+//     { "type": "email", "to": ["me@example.com"] },               … 既定 EMAIL_TO（SMTP_* は共通）
+//     { "type": "webhook", "urlEnv": "HOOK_URL", "secretEnv": "HOOK_SECRET" } … 既定 NOTIFY_WEBHOOK_URL / NOTIFY_WEBHOOK_SECRET
+//   ]
+// - notify を書かなければ Slack + 環境変数で有効なもの（DISCORD_WEBHOOK_URL / EMAIL_TO / NOTIFY_WEBHOOK_URL）
+// - Slack があれば先頭に並べる（スレッド返信・クールダウンは先頭の結果で決まる: services/outbox.js の notify()）
+// - 秘密（URL / 秘密鍵）は環境変数名で持つ。送信待ちにもその名前で積む
+import { CHANNEL_TYPES } from "../services/channels.js";
+import { parseRecipients } from "../services/email.js";
+import { isObj } from "./parse.js";
+
+const isEnvName = (v) => typeof v === "string" && /^[A-Za-z_][A-Za-z0-9_]*$/.test(v);
+const EMAIL_RE = /^[^@\s<>]+@[^@\s<>]+$/;
+
+// 種類ごとの「環境変数名」項目
+const ENV_KEYS = { slack: ["webhookEnv"], discord: ["webhookEnv"], email: [], webhook: ["urlEnv", "secretEnv"] };
+
+const slackFirst = (list) => [...list.filter((t) => t.type === "slack"), ...list.filter((t) => t.type !== "slack")];
+
+/**
+ * notify を書かないときの通知先
+ * @param {object} [slackDest] プロファイルの slack（{ webhookEnv, webhookUrl, channel }）。省略時は既定の Slack
+ */
+export function defaultNotify(slackDest = {}) {
+  const out = [{ type: "slack", ...slackDest }];
+  if (process.env.DISCORD_WEBHOOK_URL) out.push({ type: "discord", webhookEnv: "DISCORD_WEBHOOK_URL" });
+  if (process.env.EMAIL_TO) out.push({ type: "email", to: null });
+  if (process.env.NOTIFY_WEBHOOK_URL) out.push({ type: "webhook", urlEnv: "NOTIFY_WEBHOOK_URL", secretEnv: null });
+  return out;
+}
+
+/**
+ * プロファイルの notify を検証して正規化（問題は errors に積む）
+ * @param {any} raw profiles.json の notify
+ * @param {object} slackDest 正規化済みのプロファイルの slack
+ * @param {string} at エラー文言の位置（例: "profiles[0].notify"）
+ * @param {string[]} errors
+ */
+export function parseNotify(raw, slackDest, at, errors) {
+  if (raw == null) return defaultNotify(slackDest);
+  if (!Array.isArray(raw) || !raw.length) {
+    errors.push(`${at} must be a non-empty array of { "type": ${CHANNEL_TYPES.join(" / ")} }`);
+    return [];
+  }
+
+  const out = raw.map((t, i) => {
+    const where = `${at}[${i}]`;
+    if (!isObj(t) || !CHANNEL_TYPES.includes(t.type)) {
+      errors.push(`${where}.type must be one of ${CHANNEL_TYPES.join(" / ")}`);
+      return null;
+    }
+    for (const k of ENV_KEYS[t.type]) {
+      if (t[k] != null && !isEnvName(t[k])) errors.push(`${where}.${k} must be an env var name`);
+    }
+
+    switch (t.type) {
+      case "slack": {
+        if (t.channel != null && (typeof t.channel !== "string" || !t.channel.trim())) {
+          errors.push(`${where}.channel must be a channel name or ID`);
+        }
+        const webhookEnv = t.webhookEnv || slackDest.webhookEnv;
+        return {
+          type: "slack",
+          webhookEnv,
+          webhookUrl: process.env[webhookEnv] || process.env.SLACK_WEBHOOK_URL || "",
+          channel: t.channel?.trim() || slackDest.channel,
+        };
+      }
+      case "discord":
+        return { type: "discord", webhookEnv: t.webhookEnv || "DISCORD_WEBHOOK_URL" };
+      case "email": {
+        const to = t.to == null ? null : parseRecipients(t.to);
+        if (to && (!to.length || !to.every((a) => EMAIL_RE.test(a)))) {
+          errors.push(`${where}.to must be an email address or a list of them`);
+        }
+        return { type: "email", to };
+      }
+      case "webhook":
+        return { type: "webhook", urlEnv: t.urlEnv || "NOTIFY_WEBHOOK_URL", secretEnv: t.secretEnv || null };
+      default:
+        return null;
+    }
+  });
+  return slackFirst(out.filter(Boolean));
+}
@@ -0,0 +1,240 @@
+// src/config/profiles.js
+// カテゴリ監視プロファイル（data/profiles.json）の読込/バリデーション
+// - PROFILES_FILE で別ファイルを指定可能
+// - 全ジョブ（monitor / runProfile / cloud monitor）がここから読む
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { compileRule } from "../jobs/lib/rules.js";
+import { VIEW_FIELDS } from "../jobs/lib/view.js";
+import { parseDaily, parseWeekly } from "../jobs/lib/schedule.js";
+import { loadTemplate, templateErrors } from "../jobs/lib/templates.js";
+import { parseNotify } from "./notify.js";
+import { parseSeverity } from "../jobs/lib/severity.js";
+import { MARKETPLACE_CODES, defaultMarketplace, marketplaceOf } from "./marketplaces.js";
+import { parseArbitrage } from "./arbitrage.js";
+import { parseProfit } from "../jobs/lib/profit.js";
+import { isObj, isNum } from "./parse.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_FILE = path.resolve(__dirname, "../../data/profiles.json");
+
+const KEY_RE = /^[a-z0-9_-]+$/;
+const DIGEST_MODES = ["off", "digest", "both"];
+const DEFAULT_DIGEST_DAILY = "20:00";
+
+export function profilesAbsPath() {
+  const raw = process.env.PROFILES_FILE;
+  return raw ? path.resolve(raw) : DEFAULT_FILE;
+}
+
+/**
+ * rule 未指定のプロファイル用に filters / excludeDigital から同等のルール式を作る
+ */
+export function ruleFromFilters(filters = {}, excludeDigital = false) {
+  const parts = [];
+  if (excludeDigital) parts.push("!digital");
+  if (filters.excludeAmazonInStock ?? true) parts.push("!amazonInStock");
+  if (filters.minSellers != null) parts.push(`sellers >= ${filters.minSellers}`);
+  if (filters.minPrice != null) parts.push(`price >= ${filters.minPrice}`);
+  return parts.join(" && ");
+}
+
+/**
+ * profiles.json の中身を検証して正規化したプロファイル配列を返す
+ * 問題はまとめて1つの Error で投げる
+ * @param {{ profiles: any[] }} json
+ */
+export function validateProfiles(json) {
+  const list = Array.isArray(json?.profiles) ? json.profiles : null;
+  if (!list) throw new Error("profiles.json: `profiles` array is required");
+
+  const errors = [];
+  const seen = new Set();
+
+  const out = list.map((p, i) => {
+    const at = `profiles[${i}]`;
+    if (!isObj(p)) {
+      errors.push(`${at} must be an object`);
+      return null;
+    }
+
+    const key = String(p.key ?? "").trim().toLowerCase();
+    if (!KEY_RE.test(key)) errors.push(`${at}.key must match ${KEY_RE}`);
+    else if (seen.has(key)) errors.push(`${at}.key "${key}" is duplicated`);
+    seen.add(key);
+
+    if (typeof p.name !== "string" || !p.name.trim()) errors.push(`${at}.name is required`);
+
+    const rootCategory = Number(p.rootCategory);
+    if (!Number.isInteger(rootCategory) || rootCategory <= 0) {
+      errors.push(`${at}.rootCategory must be a positive integer`);
+    }
+
+    if (p.query !== undefined && !isObj(p.query)) errors.push(`${at}.query must be an object`);
+
+    // マーケットプレイス（"jp" / "us" / "uk" / "de" …、Keepa の domain 番号も可）。未指定は KEEPA_DOMAIN
+    const marketplace = p.marketplace == null ? defaultMarketplace() : marketplaceOf(p.marketplace);
+    if (!marketplace) errors.push(`${at}.marketplace must be one of ${MARKETPLACE_CODES.join(" / ")}`);
+
+    const filters = p.filters ?? {};
+    if (!isObj(filters)) errors.push(`${at}.filters must be an object`);
+    for (const k of ["minPrice", "minSellers"]) {
+      if (filters[k] != null && !isNum(filters[k])) errors.push(`${at}.filters.${k} must be a number`);
+    }
+
+    const limits = p.limits ?? {};
+    if (!isObj(limits)) errors.push(`${at}.limits must be an object`);
+    for (const k of ["notify", "candidates"]) {
+      if (limits[k] != null && !(Number.isInteger(limits[k]) && limits[k] > 0)) {
+        errors.push(`${at}.limits.${k} must be a positive integer`);
+      }
+    }
+
+    const slack = p.slack ?? {};
+    if (!isObj(slack)) errors.push(`${at}.slack must be an object`);
+    if (slack.webhookEnv != null && typeof slack.webhookEnv !== "string") {
+      errors.push(`${at}.slack.webhookEnv must be an env var name`);
+    }
+
+    if (slack.channel != null && (typeof slack.channel !== "string" || !slack.channel.trim())) {
+      errors.push(`${at}.slack.channel must be a channel name or ID`);
+    }
+
+    const webhookEnv = slack.webhookEnv || "SLACK_WEBHOOK_URL";
+    const slackDest = {
+      webhookEnv,
+      webhookUrl: process.env[webhookEnv] || process.env.SLACK_WEBHOOK_URL || "",
+      // bot 送信時のチャンネル（未指定なら SLACK_CHANNEL）
+      channel: slack.channel?.trim() || process.env.SLACK_CHANNEL || "",
+    };
+
+    // 通知先（Slack / Discord / メール / 汎用 Webhook）。未指定は Slack + 環境変数で有効なもの（config/notify.js）
+    const notify = parseNotify(p.notify, slackDest, `${at}.notify`, errors);
+    // 重要度のルールと、重要度ごとのメンション / 色 / 通知先（jobs/lib/severity.js）。未指定は従来どおり
+    const severity = parseSeverity(p.severity, notify, slackDest, `${at}.severity`, errors);
+
+    // 利益の見込み（手数料 / 手取り / 利益 / ROI、jobs/lib/profit.js）。未指定は仕入れ値なし（手数料と手取りだけ）
+    const profit = parseProfit(p.profit, `${at}.profit`, errors);
+
+    // 国をまたいだ価格差（jobs/arbitrage.js）。買うのはこのプロファイルの marketplace、未指定は比較しない
+    const arbitrage = parseArbitrage(p.arbitrage, marketplace, `${at}.arbitrage`, errors);
+
+    // ダイジェスト（時刻はマーケットプレイスの現地時刻）。mode が off 以外で daily / weekly どちらも無ければ毎日 20:00
+    const digest = p.digest ?? {};
+    if (!isObj(digest)) errors.push(`${at}.digest must be an object`);
+    const digestMode = digest.mode ?? "off";
+    if (!DIGEST_MODES.includes(digestMode)) errors.push(`${at}.digest.mode must be one of ${DIGEST_MODES.join(" / ")}`);
+    if (digest.daily != null && parseDaily(digest.daily) == null) errors.push(`${at}.digest.daily must be "HH:MM" (local time)`);
+    if (digest.weekly != null && !parseWeekly(digest.weekly)) {
+      errors.push(`${at}.digest.weekly must be "<sun..sat> HH:MM" (local time)`);
+    }
+    const digestDaily = digest.daily ?? (digestMode !== "off" && digest.weekly == null ? DEFAULT_DIGEST_DAILY : null);
+
+    // 通知の Block Kit テンプレート（組み込み名 / data/templates/<名前>.json / { blocks } を直接）。未指定はジョブごとの既定
+    let template = null;
+    if (typeof p.template === "string" && p.template.trim()) {
+      template = p.template.trim().toLowerCase();
+      try {
+        loadTemplate(template);
+      } catch (e) {
+        errors.push(`${at}.template: ${e.message}`);
+      }
+    } else if (isObj(p.template)) {
+      template = p.template;
+      for (const e of templateErrors(template)) errors.push(`${at}.template ${e}`);
+    } else if (p.template != null) {
+      errors.push(`${at}.template must be a template name or { "blocks": [...] }`);
+    }
+
+    // 通知条件: rule があればそれ、無ければ filters から組み立てる（excludeDigital はどちらにも効く）
+    if (p.rule != null && typeof p.rule !== "string") errors.push(`${at}.rule must be a string`);
+    const ruleSource =
+      typeof p.rule === "string" && p.rule.trim()
+        ? (p.excludeDigital ? `!digital && (${p.rule})` : p.rule)
+        : ruleFromFilters(isObj(filters) ? filters : {}, p.excludeDigital);
+    let rule = null;
+    try {
+      rule = compileRule(ruleSource, { fields: VIEW_FIELDS });
+    } catch (e) {
+      errors.push(`${at}.${e.message}`);
+    }
+
+    return {
+      key,
+      name: String(p.name || "").trim(),
+      tag: p.tag || p.name,
+      rootCategory,
+      marketplace,
+      excludeDigital: !!p.excludeDigital,
+      query: { ...(p.query || {}) },
+      filters: {
+        excludeAmazonInStock: filters.excludeAmazonInStock ?? true,
+        minSellers: filters.minSellers ?? null,
+        minPrice: filters.minPrice ?? null,
+      },
+      rule,
+      limits: {
+        notify: limits.notify ?? null,
+        candidates: limits.candidates ?? null,
+      },
+      slack: slackDest,
+      notify,
+      severity,
+      profit,
+      arbitrage,
+      template,
+      digest: {
+        mode: digestMode,
+        daily: digestDaily,
+        weekly: digest.weekly ? String(digest.weekly).trim().toLowerCase() : null,
+      },
+    };
+  });
+
+  if (errors.length) {
+    throw new Error(`profiles.json is invalid:\n  - ${errors.join("\n  - ")}`);
+  }
+  return out;
+}
+
+/** data/profiles.json を読み込んで検証済みプロファイルを返す */
+export function loadProfiles(file = profilesAbsPath()) {
+  if (!fs.existsSync(file)) throw new Error(`profiles file not found: ${file}`);
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    throw new Error(`profiles file is not valid JSON: ${file} (${e.message})`);
+  }
+  return validateProfiles(json);
+}
+
+/** key 指定で1件取得（見つからなければ Error） */
+export function getProfile(key, profiles = loadProfiles()) {
+  const k = String(key || "").trim().toLowerCase();
+  const hit = profiles.find((p) => p.key === k);
+  if (!hit) {
+    throw new Error(`profile "${key}" not found (available: ${profiles.map((p) => p.key).join(", ")})`);
+  }
+  return hit;
+}
+
+/**
+ * ONLY_PROFILE 形式（"all" / "toys" / "toys,games"）で絞り込み
+ * 存在しない key が含まれる場合は Error（打ち間違いで全件や一部だけが走らないように）
+ */
+export function selectProfiles(only = "all", profiles = loadProfiles()) {
+  const keys = String(only || "all")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  if (!keys.length || keys.includes("all")) return profiles;
+  const unknown = keys.filter((k) => !profiles.some((p) => p.key === k));
+  if (unknown.length) {
+    throw new Error(`unknown profile: ${unknown.join(", ")} (available: all, ${profiles.map((p) => p.key).join(", ")})`);
+  }
+  return profiles.filter((p) => keys.includes(p.key));
+}
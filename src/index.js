@@ -1,6 +1,6 @@
 // src/index.js
 // 定期実行ランナー（monitor/discover を子プロセスとして起動）
-// - .env の CHECK_INTERVAL_MIN / AUTO_DISCOVERY / DISCOVERY_INTERVAL_MIN を使用
+// - .env の CHECK_INTERVAL_MIN / AUTO_DISCOVERY / DISCOVERY_INTERVAL_MIN / WATCHLIST_MONITOR を使用
 // - 1回分の実行は子プロセスで完結（export の有無に依存しない）
 // - 同時実行ガード（前回が終わってなければスキップ）
 // - 次回実行までのカウントダウンをログ表示
@@ -14,6 +14,7 @@ import { spawn } from "node:child_process";
 const CHECK_INTERVAL_MIN = Number(process.env.CHECK_INTERVAL_MIN || 10);     // 監視ジョブの間隔（分）
 const AUTO_DISCOVERY = String(process.env.AUTO_DISCOVERY || "off").toLowerCase() === "on";
 const DISCOVERY_INTERVAL_MIN = Number(process.env.DISCOVERY_INTERVAL_MIN || 60); // ディスカバリ間隔（分）
+const WATCHLIST_MONITOR = String(process.env.WATCHLIST_MONITOR || "on").toLowerCase() === "on"; // 監視リストも毎回チェック
 const TZ = "Asia/Tokyo";
 
 // ─────────────────────────────────────────────
@@ -36,6 +37,7 @@ function spawnNode(scriptPath, args = []) {
 // 同時実行ガード
 // ─────────────────────────────────────────────
 let monitorChild = null;
+let watchlistChild = null;
 let discoverChild = null;
 
 function isRunning(child) {
@@ -57,6 +59,18 @@ function runOnceMonitor() {
   });
 }
 
+function runOnceWatchlist() {
+  if (isRunning(watchlistChild)) {
+    console.log(`[${jpNow()}] watchlist skipped (previous run still in progress)`);
+    return;
+  }
+  console.log(`[${jpNow()}] watchlist tick`);
+  watchlistChild = spawnNode("src/jobs/monitor_watchlist.js");
+  watchlistChild.on("exit", (code, signal) => {
+    console.log(`[${jpNow()}] watchlist exit code=${code}${signal ? ` signal=${signal}` : ""}`);
+  });
+}
+
 function runOnceDiscover() {
   if (isRunning(discoverChild)) {
     console.log(`[${jpNow()}] discover skipped (previous run still in progress)`);
@@ -73,6 +87,7 @@ function runOnceDiscover() {
 // 起動直後のキック
 // ─────────────────────────────────────────────
 runOnceMonitor();
+if (WATCHLIST_MONITOR) runOnceWatchlist();
 scheduleLog("monitor", CHECK_INTERVAL_MIN);
 
 if (AUTO_DISCOVERY) {
@@ -85,6 +100,7 @@ if (AUTO_DISCOVERY) {
 // ─────────────────────────────────────────────
 setInterval(() => {
   runOnceMonitor();
+  if (WATCHLIST_MONITOR) runOnceWatchlist();
   scheduleLog("monitor", CHECK_INTERVAL_MIN);
 }, Math.max(CHECK_INTERVAL_MIN, 0.05) * 60 * 1000); // 最小3秒相当の下限
 
@@ -103,6 +119,9 @@ function shutdown(sig = "SIGTERM") {
   if (isRunning(monitorChild)) {
     try { monitorChild.kill("SIGTERM"); } catch {}
   }
+  if (isRunning(watchlistChild)) {
+    try { watchlistChild.kill("SIGTERM"); } catch {}
+  }
   if (isRunning(discoverChild)) {
     try { discoverChild.kill("SIGTERM"); } catch {}
   }
@@ -0,0 +1,155 @@
+// src/interactions/server.js
+// Slack からのリクエストを受けるローカル HTTP エンドポイント
+//   POST /slack/actions  … ボタン（Interactivity の Request URL に設定）
+//   POST /slack/commands … /pricewatch（Slash Commands の Request URL に設定）
+//   GET  /healthz
+// - 署名（X-Slack-Signature / X-Slack-Request-Timestamp）を SLACK_SIGNING_SECRET で検証、5分より古いものは拒否（signature.js）
+//   ボディは署名の検証前に読むので INTERACTIONS_MAX_BODY_BYTES（既定 1MB）まで。超えたら 413 で切る
+// - 処理結果は response_url にエフェメラルで返す（押した人にだけ見える）
+// 起動: npm run interactions（INTERACTIONS_PORT、既定 3000）
+
+import "dotenv/config";
+import http from "http";
+import { applyAction } from "./actions.js";
+import { runCommand } from "./commands.js";
+import { verifySlackSignature } from "./signature.js";
+
+const PORT = Number(process.env.INTERACTIONS_PORT || 3000);
+const SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET;
+const MAX_BODY_BYTES = Number(process.env.INTERACTIONS_MAX_BODY_BYTES || 1024 * 1024);
+
+const log = (...args) => console.log(`[${new Date().toISOString()}]`, ...args);
+
+// 上限を超えたら読むのをやめて status 413 の Error（content-length で分かるものは読まずに）
+function readBody(req, limit = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => Object.assign(new Error(`body over ${limit} bytes`), { status: 413 });
+    if (Number(req.headers["content-length"]) > limit) return reject(tooLarge());
+
+    const chunks = [];
+    let size = 0;
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > limit) {
+        req.pause();
+        return reject(tooLarge());
+      }
+      chunks.push(c);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf-8")));
+    req.on("error", reject);
+  });
+}
+
+async function respond(responseUrl, text) {
+  if (!responseUrl) return;
+  try {
+    await fetch(responseUrl, {
+      method: "POST",
+      headers: { "content-type": "application/json; charset=utf-8" },
+      body: JSON.stringify({ response_type: "ephemeral", replace_original: false, text }),
+      signal: AbortSignal.timeout(10_000),
+    });
+  } catch (e) {
+    log("response_url failed:", e?.message || e);
+  }
+}
+
+// block_actions: 対象のボタンを反映して結果を返す
+async function handleActions(params) {
+  let payload;
+  try {
+    payload = JSON.parse(params.get("payload") || "");
+  } catch {
+    return 400;
+  }
+  if (payload?.type !== "block_actions") return 200;
+
+  const user = payload.user?.username || payload.user?.name || payload.user?.id || null;
+  for (const action of payload.actions || []) {
+    let text;
+    try {
+      text = applyAction(action, user);
+    } catch (e) {
+      log(`action ${action.action_id} failed:`, e?.message || e);
+      text = `⚠️ 反映できませんでした: ${e?.message || e}`;
+    }
+    if (!text) continue;
+    log(`action ${action.action_id} by ${user}: ${text}`);
+    void respond(payload.response_url, text); // 3秒以内に 200 を返すため待たない
+  }
+  return 200;
+}
+
+// スラッシュコマンド: すぐ返す文言はレスポンスで、時間のかかる結果は response_url へ
+async function handleCommands(params) {
+  if (params.get("ssl_check")) return 200;
+
+  const user = params.get("user_name") || params.get("user_id");
+  const text = params.get("text") || "";
+  const responseUrl = params.get("response_url");
+  log(`command ${params.get("command") || "/pricewatch"} ${text} by ${user}`);
+
+  let out;
+  try {
+    out = runCommand(text, (later) => void respond(responseUrl, later));
+  } catch (e) {
+    log(`command failed: ${text}`, e?.message || e);
+    out = `⚠️ ${e?.message || e}`;
+  }
+  return [200, { response_type: "ephemeral", text: out }];
+}
+
+const ROUTES = {
+  "/slack/actions": handleActions,
+  "/slack/commands": handleCommands,
+};
+
+function createServer() {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    if (req.method === "GET" && url.pathname === "/healthz") {
+      res.writeHead(200, { "content-type": "text/plain" });
+      return res.end("ok");
+    }
+
+    const handler = ROUTES[url.pathname];
+    if (req.method !== "POST" || !handler) {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    let raw;
+    try {
+      raw = await readBody(req);
+    } catch (e) {
+      log(`rejected ${url.pathname}: ${e?.message || e}`);
+      // 残りは読まずに接続ごと閉じる
+      res.writeHead(e.status === 413 ? 413 : 400, { connection: "close" });
+      return res.end(e.status === 413 ? "payload too large" : "bad request", () => req.destroy());
+    }
+    if (!verifySlackSignature(raw, req.headers)) {
+      log(`rejected ${url.pathname}: bad signature`);
+      res.writeHead(401);
+      return res.end("invalid signature");
+    }
+
+    try {
+      const out = await handler(new URLSearchParams(raw));
+      const [status, body] = Array.isArray(out) ? out : [out, ""];
+      res.writeHead(status, { "content-type": typeof body === "string" ? "text/plain" : "application/json" });
+      res.end(typeof body === "string" ? body : JSON.stringify(body));
+    } catch (e) {
+      log(`${url.pathname} failed:`, e?.message || e);
+      res.writeHead(500);
+      res.end();
+    }
+  });
+}
+
+if (!SIGNING_SECRET) {
+  console.error("SLACK_SIGNING_SECRET is required");
+  process.exit(1);
+}
+createServer().listen(PORT, () => log(`interactions listening on :${PORT}`));
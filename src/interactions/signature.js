@@ -0,0 +1,28 @@
+// src/interactions/signature.js
+// Slack リクエストの署名検証（interactions/server.js から使う。サーバーを起動せずに読み込める）
+// - X-Slack-Signature / X-Slack-Request-Timestamp を SLACK_SIGNING_SECRET で検証、5分より古いものは拒否
+import crypto from "crypto";
+
+const MAX_SKEW_SEC = 5 * 60;
+
+/**
+ * Slack の署名検証（v0=HMAC-SHA256(secret, "v0:<timestamp>:<body>")）
+ * @param {string} rawBody 受け取ったままのボディ
+ * @param {Record<string, string|undefined>} headers 小文字キー
+ */
+export function verifySlackSignature(
+  rawBody,
+  headers,
+  secret = process.env.SLACK_SIGNING_SECRET,
+  nowSec = Math.floor(Date.now() / 1000)
+) {
+  const timestamp = Number(headers["x-slack-request-timestamp"]);
+  const signature = String(headers["x-slack-signature"] || "");
+  if (!secret || !Number.isFinite(timestamp) || !signature.startsWith("v0=")) return false;
+  if (Math.abs(nowSec - timestamp) > MAX_SKEW_SEC) return false;
+
+  const expected = `v0=${crypto.createHmac("sha256", secret).update(`v0:${timestamp}:${rawBody}`).digest("hex")}`;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(signature);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,196 @@
+// src/jobs/arbitrage.js
+// 国をまたいだ価格差の比較（profiles.json の arbitrage があるプロファイルだけ）
+//   node src/jobs/arbitrage.js [key,...]   … 省略時は ONLY_PROFILE（既定 all）
+// 1. 買う国（プロファイルの marketplace）で Finder → /product
+// 2. 売る国（arbitrage.sellIn）で同じ ASIN を /product（match: ean なら、見つからない分を EAN で /product?code=）
+// 3. data/fx_rates.json のレートで換算して利ざやを計算（lib/arbitrage.js）、しきい値を超えたものを通知
+// - 同じ商品は ARBITRAGE_COOLDOWN_HOURS（既定 24）の間は通知しない（利ざやが前回より大きくなっていても）
+// - Slack のボタンでミュート / スヌーズ / 興味なしにした ASIN は通知しない
+
+import "dotenv/config";
+import { keepaQuery, keepaProduct, keepaProductByCode, keepaTokenStatus } from "../services/keepa.js";
+import { notify, flushOutbox } from "../services/outbox.js";
+import { selectProfiles } from "../config/profiles.js";
+import { loadRates } from "../config/fx.js";
+import { pairProducts, spreadOf, worthAlert, codesOf, buildSpreadBlocks } from "./lib/arbitrage.js";
+import { loadArbitrage, lastAlert, markAlerted } from "../storage/arbitrage.js";
+import { loadCuration, suppressedBy } from "../storage/curation.js";
+import { recordRun } from "../storage/runs.js";
+
+// ===== env =====
+const FINDER_PER_PAGE = numEnv("FINDER_PER_PAGE", 100);
+const FINDER_MAX_PAGES = numEnv("FINDER_MAX_PAGES", 5);
+const CANDIDATES = numEnv("ARBITRAGE_CANDIDATES", 100); // limits.candidates が無いプロファイルの候補数
+const COOLDOWN_HOURS = numEnv("ARBITRAGE_COOLDOWN_HOURS", 24);
+const SLACK_BATCH = Math.max(1, numEnv("SLACK_BATCH", 5));
+const CHUNK = 20;
+const JOB = "arbitrage";
+
+const only = process.argv[2] || process.env.ONLY_PROFILE || "all";
+const startedAt = Date.now();
+
+// ===== util =====
+function numEnv(key, def) {
+  const v = process.env[key];
+  const n = v != null ? Number(v) : NaN;
+  return Number.isFinite(n) ? n : def;
+}
+
+function log(...args) {
+  console.log(new Date().toISOString(), "[arbitrage]", ...args);
+}
+
+function chunk(array, size) {
+  const out = [];
+  for (let i = 0; i < array.length; i += size) out.push(array.slice(i, i + size));
+  return out;
+}
+
+// ===== Keepa =====
+async function fetchAsins(profile) {
+  const domain = profile.marketplace.domainId;
+  const max = profile.limits.candidates ?? CANDIDATES;
+  const asins = [];
+  for (let page = 0; page < FINDER_MAX_PAGES && asins.length < max; page += 1) {
+    const payload = {
+      sort: [["current_SALES", "asc"]],
+      productType: [0, 1, 2],
+      ...profile.query,
+      domainId: domain,
+      rootCategory: profile.rootCategory,
+      page,
+      perPage: FINDER_PER_PAGE,
+    };
+    const res = await keepaQuery(payload, { domain });
+    const list = Array.isArray(res?.asinList) ? res.asinList : [];
+    for (const asin of list) if (!asins.includes(asin)) asins.push(asin);
+    if (list.length < FINDER_PER_PAGE) break;
+  }
+  return asins.slice(0, max);
+}
+
+async function fetchProducts(asins, domain) {
+  const out = [];
+  for (const ch of chunk(asins, CHUNK)) {
+    try {
+      const res = await keepaProduct(ch, { domain });
+      out.push(...(res?.products || []).filter((p) => p?.asin));
+    } catch (e) {
+      log(`keepaProduct failed (domain=${domain}, continue)`, e?.message || e);
+    }
+  }
+  return out;
+}
+
+async function fetchByCode(codes, domain) {
+  const out = [];
+  for (const ch of chunk(codes, CHUNK)) {
+    try {
+      const res = await keepaProductByCode(ch, { domain });
+      out.push(...(res?.products || []).filter((p) => p?.asin));
+    } catch (e) {
+      log(`keepaProductByCode failed (domain=${domain}, continue)`, e?.message || e);
+    }
+  }
+  return out;
+}
+
+// ===== main per profile =====
+async function processProfile(profile, rates, doc, curation) {
+  const { arbitrage: config, marketplace: buyIn } = profile;
+  const sellIn = config.sellIn;
+  log(`profile START ${profile.key} ${buyIn.code} -> ${sellIn.code}`);
+
+  const asins = await fetchAsins(profile);
+  const buyProducts = await fetchProducts(asins, buyIn.domainId);
+  const sellProducts = await fetchProducts(
+    buyProducts.map((p) => p.asin),
+    sellIn.domainId
+  );
+
+  // 売る国に同じ ASIN が無い（価格が取れない）ものは EAN で探す
+  if (config.match === "ean") {
+    const found = new Set(pairProducts(buyProducts, sellProducts, "asin").map((m) => m.buy.asin));
+    const codes = [...new Set(buyProducts.filter((p) => !found.has(p.asin)).flatMap((p) => codesOf(p).slice(0, 1)))];
+    if (codes.length) sellProducts.push(...(await fetchByCode(codes, sellIn.domainId)));
+  }
+
+  const pairs = pairProducts(buyProducts, sellProducts, config.match);
+  const now = Date.now();
+  const cooldownMs = COOLDOWN_HOURS * 60 * 60 * 1000;
+  let cooldownSkip = 0;
+  let curatedSkip = 0;
+
+  const items = [];
+  for (const pair of pairs) {
+    const it = spreadOf(pair, config, buyIn, rates);
+    if (!it || !worthAlert(it, config)) continue;
+    if (suppressedBy(curation, it.asin, profile.key)) {
+      curatedSkip += 1;
+      continue;
+    }
+    const last = lastAlert(doc, profile.key, it.asin);
+    if (last && now - last.at < cooldownMs) {
+      cooldownSkip += 1;
+      continue;
+    }
+    items.push(it);
+  }
+  items.sort((a, b) => b.spread - a.spread);
+  const top = items.slice(0, profile.limits.notify ?? 10);
+
+  let sent = 0;
+  for (const group of chunk(top, SLACK_BATCH)) {
+    const res = await notify(
+      {
+        text: `${profile.name}: 価格差 ${buyIn.code.toUpperCase()} → ${sellIn.code.toUpperCase()} ${group.length}件`,
+        blocks: buildSpreadBlocks(profile, group, rates),
+        data: { profile: profile.key, buyIn: buyIn.code, sellIn: sellIn.code, items: group },
+      },
+      profile.notify,
+      { job: JOB }
+    );
+    if (!res.ok && !res.queued) {
+      log(`post failed (${profile.key}, size=${group.length})`, res.error.message);
+      continue;
+    }
+    // 積んだ分も次回送られるので、通知済みとして扱う
+    markAlerted(doc, profile.key, group, now);
+    sent += group.length;
+  }
+
+  log(
+    `profile DONE ${profile.key} notified=${sent} pairs=${pairs.length} over=${items.length} buy=${buyProducts.length} sell=${sellProducts.length} cooldownSkip=${cooldownSkip} curatedSkip=${curatedSkip}`
+  );
+  return sent;
+}
+
+async function main() {
+  const profiles = selectProfiles(only).filter((p) => p.arbitrage);
+  log(`START profiles=${profiles.map((p) => p.key).join(",") || "(none with arbitrage)"}`);
+  await flushOutbox(JOB);
+  if (!profiles.length) return;
+
+  const rates = loadRates();
+  const doc = loadArbitrage();
+  const curation = loadCuration();
+  const notified = {};
+  for (const profile of profiles) {
+    try {
+      notified[profile.key] = await processProfile(profile, rates, doc, curation);
+    } catch (e) {
+      log(`profile FAILED ${profile.key}`, e?.message || e);
+      notified[profile.key] = 0;
+    }
+  }
+
+  const keepaTokensLeft = keepaTokenStatus().tokensLeft;
+  log("DONE", { notified, keepaTokensLeft });
+  recordRun(JOB, { startedAt, summary: { notified, keepaTokensLeft } });
+}
+
+main().catch((e) => {
+  console.error("FATAL arbitrage:", e?.message || e);
+  recordRun(JOB, { startedAt, ok: false, error: e });
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+// src/jobs/digest.js
+// ダイジェストの投稿（溜めるのは monitor / cloud monitor、時刻が来た分はそれらのジョブの最後にも投稿される）
+//   node src/jobs/digest.js                  … 予定時刻を過ぎた分だけ投稿
+//   node src/jobs/digest.js --daily [key]    … 直近24時間分を今すぐ投稿（key でプロファイルを絞り込み）
+//   node src/jobs/digest.js --weekly [key]   … 直近7日分を今すぐ投稿
+
+import "dotenv/config";
+import { selectProfiles } from "../config/profiles.js";
+import { postDueDigests } from "./lib/digest.js";
+import { ts } from "./lib/core.js";
+
+const args = process.argv.slice(2);
+const force = args.includes("--weekly") ? "weekly" : args.includes("--daily") ? "daily" : undefined;
+const only = args.find((a) => !a.startsWith("--")) || process.env.ONLY_PROFILE || "all";
+
+async function main() {
+  console.log(ts(), `digest START ${force ? `(force ${force}) ` : ""}profiles=${only}`);
+  const posted = await postDueDigests(selectProfiles(only), { force });
+  console.log(ts(), `digest DONE posted=${posted}`);
+}
+
+main().catch((e) => {
+  console.error("FATAL digest:", e?.message || e);
+  process.exit(1);
+});
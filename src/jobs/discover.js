@@ -1,72 +1,50 @@
 // src/jobs/discover.js
 // 指定の Keepa Product Finder クエリで取得 → そのまま（整形せず）Slackへ投稿
-// 必要な .env: KEEPA_API_KEY / KEEPA_DOMAIN(=5) / SLACK_WEBHOOK_URL
+// 必要な .env: KEEPA_API_KEY / KEEPA_DOMAIN(=5) / SLACK_WEBHOOK_URL（bot 送信なら SLACK_BOT_TOKEN + SLACK_CHANNEL）
+// 任意: DISCOVER_PROFILE（data/profiles.json の key、既定 toys）
 
 import "dotenv/config";
-import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { getProfile } from "../config/profiles.js";
+import { loadSeeds } from "../storage/seeds.js";
+import { recordRun } from "../storage/runs.js";
+import { keepaQuery } from "../services/keepa.js";
+import { slack, slackTransport } from "../services/slack.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname  = path.dirname(__filename);
 const ROOT       = path.resolve(__dirname, "../../");
-const SEEDS_PATH = path.join(ROOT, "data/seeds.json"); // 任意：finderの上書きに使える
 
-const API_KEY = process.env.KEEPA_API_KEY;
-const DOMAIN  = Number(process.env.KEEPA_DOMAIN || 5);
-const WEBHOOK = process.env.SLACK_WEBHOOK_URL || "";
+// ▼Finder クエリ・投稿先は data/profiles.json のプロファイルから（DISCOVER_PROFILE、既定 toys）
+const PROFILE = getProfile(process.env.DISCOVER_PROFILE || "toys");
+const DEST    = PROFILE.slack; // { webhookUrl, channel }
 
-if (!API_KEY) { console.error("❌ KEEPA_API_KEY 未設定"); process.exit(1); }
-if (!WEBHOOK) { console.error("❌ SLACK_WEBHOOK_URL 未設定"); process.exit(1); }
+if (slackTransport() === "webhook" && !DEST.webhookUrl) { console.error("❌ SLACK_WEBHOOK_URL 未設定"); process.exit(1); }
 
-const BASE = "https://api.keepa.com";
 const now  = () => new Date().toISOString();
 
-// ▼あなたが指定した Finder クエリ（page はループで上書き）
 const BASE_QUERY = {
-  current_SALES_gte: 1,
-  current_SALES_lte: 10000,
-  rootCategory: ["13299531"],                // おもちゃ
-  deltaPercent7_BUY_BOX_SHIPPING_gte: -1000, // 7日で値下がり（送料込み）
-  deltaPercent7_BUY_BOX_SHIPPING_lte: -15,
-  buyBoxStatsAmazon365_gte: 1,
-  buyBoxStatsAmazon365_lte: 100,
-  current_AMAZON_gte: -1,                    // -1 = データ無し（在庫切れ）
-  current_AMAZON_lte: -1,
-  current_NEW_gte: 1000,                     // 新品価格 >= 1000（1/100通貨単位）
-  sort: [
-    ["current_SALES", "asc"],
-    ["monthlySold", "desc"]
-  ],
-  productType: [0, 1, 2],
+  ...PROFILE.query,
+  rootCategory: [PROFILE.rootCategory],
   perPage: 100,
   page: 0
 };
 
-// 任意：data/seeds.json に { "finder": { ... } } を置けば、上のクエリを上書きできます
+// 任意：seeds（data/seeds.json など）に { "finder": { ... } } を置けば、上のクエリを上書きできます
 function loadFinderOverride() {
-  try {
-    if (!fs.existsSync(SEEDS_PATH)) return {};
-    const j = JSON.parse(fs.readFileSync(SEEDS_PATH, "utf-8"));
-    return (j && typeof j.finder === "object") ? j.finder : {};
-  } catch {
-    return {};
-  }
+  const j = loadSeeds();
+  return (j.finder && typeof j.finder === "object") ? j.finder : {};
 }
 
 // Slack: テキスト分割（整形なしでそのまま投げる）
 const SLACK_TEXT_LIMIT = 3500;
 
 async function postSlackText(text) {
-  const res = await fetch(WEBHOOK, {
-    method: "POST",
-    headers: { "content-type": "application/json" },
-    body: JSON.stringify({ text }),
-    signal: AbortSignal.timeout(15000),
-  });
-  if (!res.ok) {
-    const er = await res.text().catch(() => "");
-    console.error(now(), "Slack post failed:", res.status, er);
+  try {
+    await slack({ text }, DEST);
+  } catch (e) {
+    console.error(now(), "Slack post failed:", e?.message || e);
   }
 }
 
@@ -81,17 +59,9 @@ async function postSlackJSON(obj, prefix = "") {
   }
 }
 
-// Keepa Finder呼び出し
+// Keepa Finder呼び出し（トークン待ち/429 再試行は services/keepa.js 側）
 async function finderQuery(query) {
-  const url = `${BASE}/query?key=${encodeURIComponent(API_KEY)}&domain=${DOMAIN}`;
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { "content-type": "application/json" },
-    body: JSON.stringify(query),
-    signal: AbortSignal.timeout(60000),
-  });
-  if (!res.ok) throw new Error(`Keepa /query HTTP ${res.status}`);
-  const data = await res.json();
+  const data = await keepaQuery(query);
   if (data?.error) throw new Error(`Keepa /query error ${JSON.stringify(data.error)}`);
   return data;
 }
@@ -103,6 +73,8 @@ function toAsins(data) {
   return [];
 }
 
+const startedAt = Date.now();
+
 (async () => {
   console.log(now(), "discover (finder->slack) START");
   console.log("ROOT:", ROOT);
@@ -139,11 +111,12 @@ function toAsins(data) {
 
     if (got < perPage) break; // 最終ページ
     page += 1;
-    await new Promise(r => setTimeout(r, 250)); // レート緩和
   }
 
   console.log(now(), "discover (finder->slack) DONE:", "sent=", sentAcc);
+  recordRun("discover", { startedAt, summary: { asins: sentAcc, pages: page - q0.page + 1 } });
 })().catch(e => {
   console.error("致命的エラー:", e?.message || e);
+  recordRun("discover", { startedAt, ok: false, error: e });
   process.exit(1);
 });
@@ -0,0 +1,210 @@
+// src/jobs/lib/digest.js
+// ダイジェスト: 検知した変化をプロファイルごとに溜めて、決まった時刻に1通にまとめて投稿
+// - 時刻・価格・URL はプロファイルのマーケットプレイス（現地時刻 / 通貨。config/marketplaces.js）
+// - profiles.json の digest: { mode, daily, weekly }
+//     mode: off（既定、従来どおり1件ずつ）/ digest（ダイジェストだけ）/ both（1件ずつ + ダイジェスト）
+// - 溜めるのは cloud monitor（前回値との差分）と monitor（Finder の該当）、保存先は storage/digest.js
+// - 各ジョブの最後に postDueDigests() が予定時刻を過ぎた分を投稿（npm run digest で手動投稿も可）
+// - 載せるもの: 値下がり上位 / 記録開始以来の最安値 / 新規 / Amazon 在庫復活 / ランキング上昇上位（各 DIGEST_TOP_N 件、既定 5）
+//   記録開始以来の最安値は自前の履歴（storage/history.js の lowestSince）から。溜める側が curr.prevLowest を渡したものだけ
+import "dotenv/config";
+import { notify, flushOutbox } from "../../services/outbox.js";
+import { loadDigest, addDigestEvents, markDigestSent } from "../../storage/digest.js";
+import { lastSlot } from "./schedule.js";
+import { urlOf, keepaUrl } from "./core.js";
+import { defaultMarketplace, formatPrice, formatTime } from "../../config/marketplaces.js";
+
+const TOP_N = Number(process.env.DIGEST_TOP_N || 5);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JOB = "digest";
+
+const PERIODS = {
+  daily: { label: "日次ダイジェスト", windowMs: DAY_MS, lastKey: "lastDailyAt" },
+  weekly: { label: "週次ダイジェスト", windowMs: 7 * DAY_MS, lastKey: "lastWeeklyAt" },
+};
+
+const log = (...args) => console.log(new Date().toISOString(), "[digest]", ...args);
+const marketOf = (profile) => profile.marketplace || defaultMarketplace();
+const at = (t, market) => formatTime(t, market, { month: "numeric", day: "numeric", hour: "2-digit", minute: "2-digit" });
+const short = (s, n = 40) => {
+  const t = String(s || "").replace(/\s+/g, " ").trim();
+  return t.length > n ? `${t.slice(0, n)}…` : t || "(no title)";
+};
+
+export const digestEnabled = (profile) => (profile.digest?.mode ?? "off") !== "off";
+/** 1件ずつの通知も出すか（mode: digest のときだけ出さない） */
+export const instantEnabled = (profile) => profile.digest?.mode !== "digest";
+
+/**
+ * 溜める1件分
+ * @param {{ asin: string, title?: string, price?: number|null, rank?: number|null, amazonInStock?: boolean|null, prevLowest?: number|null }} curr
+ *   prevLowest は今回より前の履歴の最安値
+ * @param {object|null} prev 前回値（同じ形、無ければ新規）
+ */
+export function digestEvent(curr, prev, t = Date.now()) {
+  return {
+    t,
+    asin: curr.asin,
+    title: curr.title || "",
+    price: curr.price ?? null,
+    prevPrice: prev?.price ?? null,
+    rank: curr.rank ?? null,
+    prevRank: prev?.rank ?? null,
+    amazonInStock: curr.amazonInStock ?? null,
+    prevAmazonInStock: prev?.amazonInStock ?? null,
+    isNew: !prev,
+    prevLowest: curr.prevLowest ?? null,
+    recordLow: curr.price != null && curr.prevLowest != null && curr.price < curr.prevLowest,
+  };
+}
+
+/** 溜める（digest 無効のプロファイルは何もしない）。直近に溜めた ASIN は新規扱いしない */
+export function recordDigest(profile, events, now = Date.now()) {
+  if (!digestEnabled(profile) || !events.length) return;
+  const known = new Set((loadDigest().profiles[profile.key]?.events || []).map((e) => e.asin));
+  addDigestEvents(
+    profile.key,
+    events.map((e) => (e.isNew && known.has(e.asin) ? { ...e, isNew: false } : e)),
+    now
+  );
+}
+
+/** 期間内の変化を ASIN ごとにまとめて、カテゴリ別の上位を返す */
+export function summarizeDigest(events) {
+  const byAsin = new Map();
+  for (const e of [...events].sort((a, b) => a.t - b.t)) {
+    if (!byAsin.has(e.asin)) byAsin.set(e.asin, []);
+    byAsin.get(e.asin).push(e);
+  }
+
+  const drops = [];
+  const lows = [];
+  const fresh = [];
+  const amazonBack = [];
+  const rankUps = [];
+
+  for (const [asin, list] of byAsin) {
+    const first = list[0];
+    const last = list[list.length - 1];
+    const title = last.title || first.title;
+
+    const fromPrice = first.prevPrice ?? first.price;
+    if (fromPrice > 0 && last.price > 0 && last.price < fromPrice) {
+      drops.push({ asin, title, from: fromPrice, to: last.price, pct: (last.price - fromPrice) / fromPrice });
+    }
+
+    // 期間中に記録最安を更新して、最後もその値以下のもの（比べるのは期間前の最安）
+    const low = list.find((e) => e.recordLow);
+    if (low && last.price > 0 && last.price < low.prevLowest) {
+      lows.push({ asin, title, price: last.price, prevLowest: low.prevLowest, pct: (last.price - low.prevLowest) / low.prevLowest });
+    }
+
+    if (list.some((e) => e.isNew)) fresh.push({ asin, title, price: last.price, rank: last.rank, t: first.t });
+
+    const back = list.find((e) => e.prevAmazonInStock === false && e.amazonInStock === true);
+    if (back && last.amazonInStock !== false) amazonBack.push({ asin, title, price: last.price, t: back.t });
+
+    const fromRank = first.prevRank ?? first.rank;
+    if (fromRank > 0 && last.rank > 0 && last.rank < fromRank) {
+      rankUps.push({ asin, title, from: fromRank, to: last.rank, diff: fromRank - last.rank });
+    }
+  }
+
+  return {
+    asins: byAsin.size,
+    events: events.length,
+    drops: drops.sort((a, b) => a.pct - b.pct),
+    lows: lows.sort((a, b) => a.pct - b.pct),
+    fresh: fresh.sort((a, b) => a.t - b.t),
+    amazonBack: amazonBack.sort((a, b) => a.t - b.t),
+    rankUps: rankUps.sort((a, b) => b.diff - a.diff),
+  };
+}
+
+const link = (it, market) => `<${urlOf(it.asin, market)}|${short(it.title)}>  <${keepaUrl(it.asin, market)}|Keepa>`;
+
+function section(title, items, line, market) {
+  if (!items.length) return [];
+  const lines = items.slice(0, TOP_N).map((it) => `• ${link(it, market)}  ${line(it)}`);
+  if (items.length > TOP_N) lines.push(`…ほか${items.length - TOP_N}件`);
+  return [{ type: "section", text: { type: "mrkdwn", text: `*${title}*\n${lines.join("\n")}` } }];
+}
+
+export function buildDigestBlocks(profile, period, summary, since, until) {
+  const market = marketOf(profile);
+  const yen = (v) => formatPrice(v, market);
+  return [
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: `*📰 ${profile.name} ${PERIODS[period].label}*  ${at(since, market)} 〜 ${at(until, market)}` },
+    },
+    {
+      type: "context",
+      elements: [{ type: "mrkdwn", text: `変化 ${summary.events}件 / ${summary.asins} ASIN` }],
+    },
+    { type: "divider" },
+    ...section("📉 値下がり", summary.drops, (it) => `${yen(it.from)} → *${yen(it.to)}*（${(it.pct * 100).toFixed(1)}%）`, market),
+    ...section("🏷 記録開始以来の最安値", summary.lows, (it) => `*${yen(it.price)}*（これまで ${yen(it.prevLowest)}）`, market),
+    ...section("🆕 新規", summary.fresh, (it) => `${yen(it.price)}${it.rank ? ` ／ ${it.rank.toLocaleString("ja-JP")}位` : ""}`, market),
+    ...section("📦 Amazon 在庫復活", summary.amazonBack, (it) => yen(it.price), market),
+    ...section(
+      "📈 ランキング上昇",
+      summary.rankUps,
+      (it) => `${it.from.toLocaleString("ja-JP")}位 → *${it.to.toLocaleString("ja-JP")}位*`,
+      market
+    ),
+  ];
+}
+
+/**
+ * 予定時刻を過ぎたダイジェストを投稿して、投稿した数を返す
+ * 変化が無かった回は投稿せずに済んだことにする。送れなかった（積めなかった）回は次のジョブで再挑戦
+ * @param {object[]} profiles
+ * @param {{ now?: number, force?: "daily"|"weekly" }} [options] force は予定時刻に関係なく今すぐ投稿
+ */
+export async function postDueDigests(profiles, { now = Date.now(), force } = {}) {
+  await flushOutbox(JOB);
+  const doc = loadDigest();
+  let posted = 0;
+
+  for (const profile of profiles) {
+    if (!digestEnabled(profile) && !force) continue;
+    const entry = doc.profiles[profile.key] || { events: [] };
+
+    for (const [period, p] of Object.entries(PERIODS)) {
+      if (force ? force !== period : !profile.digest?.[period]) continue;
+      const last = entry[p.lastKey] || 0;
+      const slot = force ? now : lastSlot(period, profile.digest[period], now, marketOf(profile).timeZone);
+      if (!force && last >= slot) continue;
+
+      // 予定時刻の分は前回の続きから、今すぐ投稿（force）は前回に関係なく直近 windowMs 分
+      const since = force ? now - p.windowMs : Math.max(last, slot - p.windowMs);
+      const events = (entry.events || []).filter((e) => e.t > since && e.t <= now);
+      if (!events.length) {
+        log(`${profile.key} ${period}: no changes since ${at(since, marketOf(profile))}`);
+        markDigestSent(profile.key, period, now);
+        continue;
+      }
+
+      const summary = summarizeDigest(events);
+      const res = await notify(
+        {
+          text: `${profile.name} ${p.label}: 変化 ${summary.events}件 / ${summary.asins} ASIN`,
+          blocks: buildDigestBlocks(profile, period, summary, since, now),
+          data: { profile: profile.key, period, since, until: now, ...summary },
+        },
+        profile.notify,
+        { job: JOB }
+      );
+      if (!res.ok && !res.queued) {
+        log(`${profile.key} ${period} failed (retry next run):`, res.error.message);
+        continue;
+      }
+      markDigestSent(profile.key, period, now);
+      posted += 1;
+      log(`${profile.key} ${period} ${res.ok ? "posted" : "queued"} events=${summary.events} asins=${summary.asins}`);
+    }
+  }
+
+  return posted;
+}
@@ -0,0 +1,122 @@
+// src/jobs/lib/item.js
+// 通知1件分の正規化ビュー（Keepa product → テンプレートに渡す値）
+// - productView（ルール評価用）に カート価格（送料込）/ URL / 画像 / グラフ を足したもの
+// - 全ジョブ（runProfile / monitor / cloud monitor）がこれを lib/templates.js に渡して Block Kit にする
+// - 表示用の文字列（円・%・あり/なし）はテンプレート側で作る。ここは数値のまま
+// - 価格の通貨と URL / グラフの国は product.domainId のマーケットプレイス（config/marketplaces.js）
+import "dotenv/config";
+import { productView } from "./view.js";
+import { currentValue, valueDaysAgo, priceUnit } from "./keepa_csv.js";
+import { buildKeepaGraphUrl, keepaProductPageUrl } from "../../services/keepa.js";
+import { marketplaceForProduct } from "../../config/marketplaces.js";
+
+const GRAPH_IMAGE = (process.env.KEEPA_GRAPH_IMAGE || "on").toLowerCase() === "on";
+const GRAPH_RANGE = Number(process.env.KEEPA_GRAPH_RANGE || 3);
+const GRAPH_THUMB_WIDTH = Number(process.env.KEEPA_GRAPH_THUMB_WIDTH || 720);
+const GRAPH_THUMB_HEIGHT = Number(process.env.KEEPA_GRAPH_THUMB_HEIGHT || 360);
+const GRAPH_FULL_WIDTH = Number(process.env.KEEPA_GRAPH_FULL_WIDTH || 1600);
+const GRAPH_FULL_HEIGHT = Number(process.env.KEEPA_GRAPH_FULL_HEIGHT || 800);
+
+// カート価格（送料込）が無いときに順に見る系列
+const LANDED_SERIES = ["BUY_BOX_SHIPPING", "NEW", "AMAZON", "USED"];
+
+const positive = (v) => (v != null && v > 0 ? v : null);
+
+/** 現在のカート価格（送料込）。buybox=1 で取得していれば stats.buyBoxPrice / buyBoxShipping を優先 */
+export function landedPrice(p) {
+  const price = p?.stats?.buyBoxPrice;
+  const ship = p?.stats?.buyBoxShipping;
+  if (price > 0 && Number.isFinite(ship) && ship >= 0) return (price + ship) / priceUnit(marketplaceForProduct(p).domainId);
+  for (const t of LANDED_SERIES) {
+    const v = positive(currentValue(p, t));
+    if (v != null) return v;
+  }
+  return null;
+}
+
+/** days 日前のカート価格（送料込） */
+export function landedPriceDaysAgo(p, days) {
+  for (const t of LANDED_SERIES) {
+    const v = positive(valueDaysAgo(p, t, days));
+    if (v != null) return v;
+  }
+  return null;
+}
+
+/** 商品画像（imagesCSV の先頭1枚。要素は "51abc.jpg" のように拡張子付き） */
+export function mainImageUrl(product = {}) {
+  const csv = product.imagesCSV;
+  if (!csv || typeof csv !== "string") return null;
+  const first = csv.split(",")[0].trim();
+  if (!first) return null;
+  return `https://m.media-amazon.com/images/I/${/\.\w+$/.test(first) ? first : `${first}.jpg`}`;
+}
+
+const graphUrl = (asin, domain, width, height) =>
+  GRAPH_IMAGE ? buildKeepaGraphUrl({ asin, rangeDays: GRAPH_RANGE, width, height, domain }) : null;
+
+const ratio = (now, past) => (now != null && past > 0 ? (now - past) / past : null);
+
+/** タイトルを Slack 向けに安全化（改行・タブ等を潰す） */
+export const normalizeTitle = (rawTitle) => (rawTitle || "(no title)").replace(/\s+/g, " ").trim();
+
+/**
+ * @param {object} product Keepa /product の1件
+ * @param {object} [extra] ジョブ側の値（diff: 前回との差分 / lowest: 記録最安 / note: 注記 / severity: 重要度 など）をそのまま足す
+ * @param {object} [options] productView() の options（profit: プロファイルの profit）
+ */
+export function itemView(product, extra = {}, options = {}) {
+  const v = productView(product, options);
+  const asin = v.asin;
+  const market = marketplaceForProduct(product);
+  const buyBox = landedPrice(product);
+  const buyBox7dAgo = landedPriceDaysAgo(product, 7);
+  const buyBox30dAgo = landedPriceDaysAgo(product, 30);
+  const newPrice = positive(v.newPrice);
+  const amazonPrice = positive(v.amazonPrice);
+
+  return {
+    asin,
+    title: normalizeTitle(product?.title),
+    price: newPrice ?? amazonPrice,
+    newPrice,
+    amazonPrice,
+    buyBox,
+    buyBox7dAgo,
+    delta7: ratio(buyBox, buyBox7dAgo),
+    delta30: ratio(buyBox, buyBox30dAgo),
+    sellers: v.sellers,
+    rank: positive(v.rank),
+    sold30: v.sold30,
+    amazonInStock: amazonPrice != null,
+    buyBoxIsAmazon: v.buyBoxIsAmazon ?? (typeof product?.buyBoxIsAmazon === "boolean" ? product.buyBoxIsAmazon : null),
+    lowDays: v.lowDays,
+    lowAll: v.lowAll,
+    low: v.lowAll ? "all" : v.lowDays, // テンプレートの {{low}}（"all" = 過去最安値 / 日数）
+    // 利益の見込み（lib/profit.js。仕入れ値が無ければ cost / profit / margin / roi は null）
+    fee: v.fee,
+    net: v.net,
+    cost: v.cost,
+    profit: v.profit,
+    margin: v.margin,
+    roi: v.roi,
+    image: mainImageUrl(product),
+    graph: graphUrl(asin, market.domainId, GRAPH_THUMB_WIDTH, GRAPH_THUMB_HEIGHT),
+    graphFull: graphUrl(asin, market.domainId, GRAPH_FULL_WIDTH, GRAPH_FULL_HEIGHT),
+    amazonUrl: `https://${market.host}/dp/${asin}`,
+    keepaUrl: keepaProductPageUrl(asin, market.domainId),
+    marketplace: market.code,
+    currency: market.currency,
+    diff: null,
+    lowest: null,
+    note: null,
+    severity: null,
+    ...extra,
+  };
+}
+
+// 汎用 Webhook（services/webhook.js）の data に載せる値（画像・グラフ URL など表示用のものは除く）
+const DATA_FIELDS = ["asin", "title", "price", "buyBox", "delta7", "delta30", "sellers", "rank", "sold30", "amazonInStock", "lowDays", "lowAll", "fee", "net", "cost", "profit", "margin", "roi", "amazonUrl", "keepaUrl", "marketplace", "currency", "diff", "severity"];
+
+/** itemView() → Webhook 用の構造化データ */
+export const itemData = (view) => Object.fromEntries(DATA_FIELDS.map((k) => [k, view[k] ?? null]));
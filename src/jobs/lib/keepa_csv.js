@@ -0,0 +1,203 @@
+// src/jobs/lib/keepa_csv.js
+// Keepa product.csv / stats.current のデコーダ
+// - 系列はインデックスではなく名前（"AMAZON" / "NEW" / "BUY_BOX_SHIPPING" ...）で指定
+// - 時刻は Date、価格は通貨の単位（JP=円、その他=1/100 を戻す）、RATING は 4.5 のような値
+// - *_SHIPPING 系列は [time, price, shipping] の3つ組。既定は送料込み（{ shipping: false } で本体のみ）
+// - -1 / -2（在庫なし・データなし）は value: null
+// - 価格の単位は options.domain → product.domainId → KEEPA_DOMAIN の順で決める
+import { defaultMarketplace, marketplaceOf, priceUnitOf } from "../../config/marketplaces.js";
+
+// Keepa time = 2011-01-01 UTC からの経過分
+const KEEPA_EPOCH_MS = Date.UTC(2011, 0, 1);
+const MINUTE_MS = 60_000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/** csv / stats.current のインデックス（Keepa の CsvType） */
+export const SERIES = {
+  AMAZON: 0,
+  NEW: 1,
+  USED: 2,
+  SALES: 3,
+  LISTPRICE: 4,
+  COLLECTIBLE: 5,
+  REFURBISHED: 6,
+  NEW_FBM_SHIPPING: 7,
+  LIGHTNING_DEAL: 8,
+  WAREHOUSE: 9,
+  NEW_FBA: 10,
+  COUNT_NEW: 11,
+  COUNT_USED: 12,
+  COUNT_REFURBISHED: 13,
+  COUNT_COLLECTIBLE: 14,
+  EXTRA_INFO_UPDATES: 15,
+  RATING: 16,
+  COUNT_REVIEWS: 17,
+  BUY_BOX_SHIPPING: 18,
+  USED_NEW_SHIPPING: 19,
+  USED_VERY_GOOD_SHIPPING: 20,
+  USED_GOOD_SHIPPING: 21,
+  USED_ACCEPTABLE_SHIPPING: 22,
+  COLLECTIBLE_NEW_SHIPPING: 23,
+  COLLECTIBLE_VERY_GOOD_SHIPPING: 24,
+  COLLECTIBLE_GOOD_SHIPPING: 25,
+  COLLECTIBLE_ACCEPTABLE_SHIPPING: 26,
+  REFURBISHED_SHIPPING: 27,
+  EBAY_NEW_SHIPPING: 28,
+  EBAY_USED_SHIPPING: 29,
+  TRADE_IN: 30,
+  RENT: 31,
+  BUY_BOX_USED_SHIPPING: 32,
+  PRIME_EXCL: 33,
+};
+
+// 価格ではない系列（ランキング/件数/評価）
+const NON_PRICE = new Set(["SALES", "COUNT_NEW", "COUNT_USED", "COUNT_REFURBISHED", "COUNT_COLLECTIBLE", "EXTRA_INFO_UPDATES", "RATING", "COUNT_REVIEWS"]);
+
+/** Keepa の価格は最小通貨単位（JP=円、その他=1/100） */
+export function priceUnit(domain = defaultMarketplace().domainId) {
+  return priceUnitOf(marketplaceOf(domain) ?? defaultMarketplace());
+}
+
+// options.domain が無ければ product の domainId
+const withDomain = (product, options) =>
+  options.domain == null && product?.domainId != null ? { ...options, domain: product.domainId } : options;
+
+export const keepaTimeToDate = (min) => new Date(KEEPA_EPOCH_MS + min * MINUTE_MS);
+export const dateToKeepaTime = (at) => Math.floor((toMs(at) - KEEPA_EPOCH_MS) / MINUTE_MS);
+
+const toMs = (at) => (at instanceof Date ? at.getTime() : Number(at));
+
+function indexOf(type) {
+  const index = SERIES[type];
+  if (index === undefined) throw new Error(`unknown Keepa csv series "${type}"`);
+  return index;
+}
+
+/** [time, price, shipping] の3つ組で入っている系列か */
+export const isShippingSeries = (type) => type.endsWith("_SHIPPING");
+
+// 生の値 → 単位付きの値（負数は null）
+function decodeValue(type, raw, options) {
+  if (typeof raw !== "number" || raw < 0) return null;
+  if (type === "RATING") return raw / 10;
+  if (NON_PRICE.has(type)) return raw;
+  return raw / priceUnit(options.domain);
+}
+
+/**
+ * 系列を古い順の点列にする
+ * @param {object} product Keepa /product の1件
+ * @param {string} type SERIES のキー
+ * @param {{ shipping?: boolean, domain?: number }} [options] shipping=false で送料を足さない
+ * @returns {{ t: Date, value: number|null, price?: number|null, shipping?: number|null }[]}
+ */
+export function decodeSeries(product, type, options = {}) {
+  const arr = product?.csv?.[indexOf(type)];
+  if (!Array.isArray(arr)) return [];
+  options = withDomain(product, options);
+
+  const triple = isShippingSeries(type);
+  const step = triple ? 3 : 2;
+  const out = [];
+  for (let i = 0; i + step - 1 < arr.length; i += step) {
+    const t = keepaTimeToDate(arr[i]);
+    if (!triple) {
+      out.push({ t, value: decodeValue(type, arr[i + 1], options) });
+      continue;
+    }
+    const price = decodeValue(type, arr[i + 1], options);
+    const shipping = price == null ? null : decodeValue(type, Math.max(arr[i + 2], 0), options);
+    const value = price == null ? null : options.shipping === false ? price : price + shipping;
+    out.push({ t, value, price, shipping });
+  }
+  return out;
+}
+
+/** at 時点（以前で最新の点）の値。at より前に点が無ければ null */
+export function valueAt(product, type, at, options = {}) {
+  const target = toMs(at);
+  let last = null;
+  for (const p of decodeSeries(product, type, options)) {
+    if (p.t.getTime() > target) break;
+    last = p.value;
+  }
+  return last;
+}
+
+/** days 日前の値 */
+export function valueDaysAgo(product, type, days, options = {}) {
+  return valueAt(product, type, Date.now() - days * DAY_MS, options);
+}
+
+/**
+ * 期間内の min / max / 時間加重 avg（値が null の区間は除く）
+ * @param {{ days?: number, from?: Date|number, to?: Date|number, shipping?: boolean }} [window] 既定は直近30日
+ * @returns {{ min: number|null, max: number|null, avg: number|null, points: number }}
+ */
+export function windowStats(product, type, window = {}) {
+  const to = window.to != null ? toMs(window.to) : Date.now();
+  const from = window.from != null ? toMs(window.from) : to - (window.days ?? 30) * DAY_MS;
+
+  const series = decodeSeries(product, type, window);
+  let min = null;
+  let max = null;
+  let weighted = 0;
+  let span = 0;
+  let points = 0;
+
+  for (let i = 0; i < series.length; i += 1) {
+    const start = Math.max(series[i].t.getTime(), from);
+    const end = Math.min(series[i + 1]?.t.getTime() ?? to, to);
+    const v = series[i].value;
+    if (end <= start || v == null) continue;
+    // 期間開始時点で有効だった値も含める
+    min = min == null ? v : Math.min(min, v);
+    max = max == null ? v : Math.max(max, v);
+    weighted += v * (end - start);
+    span += end - start;
+    points += 1;
+  }
+
+  return { min, max, avg: span > 0 ? weighted / span : null, points };
+}
+
+/**
+ * 現在値（stats.current があればそれ、無ければ csv の最後の点）
+ * BUY_BOX_SHIPPING など3つ組系列の stats.current は送料込み
+ */
+export function currentValue(product, type, options = {}) {
+  const cur = product?.stats?.current;
+  if (Array.isArray(cur) && cur[indexOf(type)] !== undefined) {
+    return decodeValue(type, cur[indexOf(type)], withDomain(product, options));
+  }
+  const series = decodeSeries(product, type, options);
+  return series.length ? series[series.length - 1].value : null;
+}
+
+// stats.min / stats.max の1要素（[keepaTime, 値]）→ 値
+const statsPairValue = (type, pair, options) => (Array.isArray(pair) ? decodeValue(type, pair[1], options) : null);
+const lowest = (...vs) => vs.reduce((a, v) => (v == null ? a : a == null ? v : Math.min(a, v)), null);
+const highest = (...vs) => vs.reduce((a, v) => (v == null ? a : a == null ? v : Math.max(a, v)), null);
+
+/**
+ * /product の stats（stats=<日数> で付く）から最安 / 最高
+ * - "all": stats.min / stats.max（記録開始以来）
+ * - "interval": stats.minInInterval / maxInInterval に stats.atIntervalStart（期間の始まりで有効だった値）を足したもの
+ *   期間は stats=<日数>（services/keepa.js が product.statsDays に残す）
+ * 値が無ければ { min: null, max: null }
+ * @param {"all"|"interval"} scope
+ * @returns {{ min: number|null, max: number|null }}
+ */
+export function statsRange(product, type, scope = "all", options = {}) {
+  const stats = product?.stats;
+  const i = indexOf(type);
+  options = withDomain(product, options);
+  if (scope === "all") {
+    return { min: statsPairValue(type, stats?.min?.[i], options), max: statsPairValue(type, stats?.max?.[i], options) };
+  }
+  const start = decodeValue(type, stats?.atIntervalStart?.[i], options);
+  const min = statsPairValue(type, stats?.minInInterval?.[i], options);
+  const max = statsPairValue(type, stats?.maxInInterval?.[i], options);
+  if (min == null && max == null) return { min: null, max: null };
+  return { min: lowest(min, start), max: highest(max, start) };
+}
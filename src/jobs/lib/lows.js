@@ -0,0 +1,60 @@
+// src/jobs/lib/lows.js
+// 期間最安値（現在のカート価格（送料込）が直近 30 / 90 / 180 日、または記録開始以来で一番安いか）
+// - 記録開始以来: Keepa の stats.min
+// - LOW_STATS_DAYS 日（既定 180）: stats.minInInterval / atIntervalStart（/product を stats=LOW_STATS_DAYS で取る）
+// - それ以外の期間・stats が無いとき: product.csv の系列（keepa_csv.js の windowStats）
+// - 期間中ずっと同じ価格（最高 = 最安）のものは最安値扱いしない（値動きの無い商品が毎回当たらないよう）
+// ルール式では lowDays（当てはまった一番長い日数、無ければ null）/ lowAll（記録開始以来の最安）
+import { currentValue, windowStats, statsRange } from "./keepa_csv.js";
+
+const TYPE = "BUY_BOX_SHIPPING";
+
+/** 判定する期間（日、短い順） */
+export const LOW_WINDOWS = [30, 90, 180];
+
+/** /product に付ける stats の日数（その期間だけ Keepa の stats で判定する） */
+export const LOW_STATS_DAYS = (() => {
+  const n = Number(process.env.LOW_STATS_DAYS || 180);
+  return Number.isInteger(n) && n > 0 ? n : 180;
+})();
+
+// 現在値が期間の最安で、期間中に値動きがあったか
+const hitsLow = (cur, { min, max }) => min != null && cur <= min && !(max != null && max <= cur);
+
+function rangeOf(product, days) {
+  if (product?.statsDays === days) {
+    const r = statsRange(product, TYPE, "interval");
+    if (r.min != null) return r;
+  }
+  const w = windowStats(product, TYPE, { days });
+  return { min: w.min, max: w.max };
+}
+
+/**
+ * @param {object} product Keepa /product の1件
+ * @returns {{ lowDays: number|null, lowAll: boolean }}
+ */
+export function lowOf(product) {
+  const cur = currentValue(product, TYPE);
+  if (cur == null) return { lowDays: null, lowAll: false };
+
+  const lowAll = hitsLow(cur, statsRange(product, TYPE, "all"));
+  let lowDays = null;
+  for (const days of [...LOW_WINDOWS].reverse()) {
+    if (hitsLow(cur, rangeOf(product, days))) {
+      lowDays = days;
+      break;
+    }
+  }
+  return { lowDays, lowAll };
+}
+
+/** 通知に出す文言（当てはまらなければ null） */
+export function lowLabel({ lowDays, lowAll }) {
+  if (lowAll) return "🏆 過去最安値";
+  if (lowDays != null) return `📉 ${lowDays}日最安値`;
+  return null;
+}
+
+/** 比べるための順位（過去最安 > 180 日 > 90 日 > 30 日 > なし） */
+export const lowRank = (v) => (v?.lowAll ? Infinity : v?.lowDays ?? 0);
@@ -0,0 +1,299 @@
+// src/jobs/lib/templates.js
+// 通知の Block Kit テンプレート（1商品分）と、その描画
+// - プロファイルの template: 組み込み名（compact / detailed / card）/ data/templates/<名前>.json / { "blocks": [...] } を直接
+//   未指定ならジョブごとの従来の形（runProfile = compact / monitor = detailed / cloud monitor = card）
+// - 文字列中の {{name}} を lib/item.js のビューの値で置き換える（円・%・位などはここで整形、値が無ければ "-"）
+//   価格は商品のマーケットプレイスの通貨で（JP は "1,234円"、US は "$12.34" など。config/marketplaces.js）
+// - "if": "name"（"!name" で否定）を付けたオブジェクトは、値が空なら丸ごと落とす（画像アクセサリなど）
+// - { "type": "curate" } はキュレーション用ボタンに展開（actions の elements 内ならボタン、blocks 直下なら actions ブロック）
+// - 要素が空になった actions / context ブロックは落とす
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { curateBlocks, curateButtons } from "../../interactions/actions.js";
+import { severityLabel } from "./severity.js";
+import { lowLabel } from "./lows.js";
+import { marketplaceOf, formatPrice } from "../../config/marketplaces.js";
+import { isObj } from "../../config/parse.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DIR = path.resolve(__dirname, "../../../data/templates");
+const NAME_RE = /^[a-z0-9_-]+$/;
+const PLACEHOLDER_RE = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+export function templatesDir() {
+  const raw = process.env.TEMPLATES_DIR;
+  return raw ? path.resolve(raw) : DEFAULT_DIR;
+}
+
+// ===== 値の整形 =====
+const num = (v) => (v != null && Number.isFinite(v) ? Math.round(v).toLocaleString("ja-JP") : "-");
+const money = (v, values) => formatPrice(v, marketplaceOf(values.marketplace) ?? undefined);
+const pct = (v) => {
+  if (v == null || !Number.isFinite(v)) return "-";
+  const p = Math.round(v * 1000) / 10;
+  return `${p > 0 ? "+" : ""}${p}%`;
+};
+const yesNo = (yes, no) => (v) => (v == null ? "-" : v ? yes : no);
+
+/** テンプレートで使える {{name}}（lib/item.js のビュー + profile / alt）と整形（(値, ビュー全体)） */
+const FORMATS = {
+  asin: String,
+  title: String,
+  alt: String,
+  profile: String,
+  price: money,
+  newPrice: money,
+  amazonPrice: money,
+  buyBox: money,
+  buyBox7dAgo: money,
+  delta7: pct,
+  delta30: pct,
+  sellers: num,
+  rank: num,
+  sold30: num,
+  amazonInStock: yesNo("あり", "なし"),
+  buyBoxIsAmazon: yesNo("Amazon", "3P"),
+  image: String,
+  graph: String,
+  graphFull: String,
+  amazonUrl: String,
+  keepaUrl: String,
+  marketplace: (v) => String(v).toUpperCase(),
+  currency: String,
+  diff: String,
+  lowest: money,
+  low: (v, values) => lowLabel(values) ?? "-",
+  lowDays: (v) => `${v}日`,
+  fee: money,
+  net: money,
+  cost: money,
+  profit: (v, values) => formatPrice(v, marketplaceOf(values.marketplace) ?? undefined, { signed: true }),
+  margin: pct,
+  roi: pct,
+  note: String,
+  severity: severityLabel,
+};
+
+export const TEMPLATE_FIELDS = Object.keys(FORMATS);
+
+const isEmpty = (v) => v == null || v === "" || v === false;
+
+function format(name, v, values) {
+  if (v == null || v === "") return "-";
+  return FORMATS[name](v, values);
+}
+
+// ===== 組み込みテンプレート =====
+const mrkdwn = (text) => ({ type: "mrkdwn", text });
+const button = (text, url) => ({ type: "button", text: { type: "plain_text", text }, url });
+const imageAccessory = { if: "image", type: "image", image_url: "{{image}}", alt_text: "{{alt}}" };
+// 利益の見込み（lib/profit.js。仕入れ値が無いプロファイルは手数料と手取りだけ）
+const profitContext = {
+  type: "context",
+  elements: [
+    { if: "net", ...mrkdwn("見込み: 手数料 {{fee}} ／ 手取り {{net}}") },
+    { if: "cost", ...mrkdwn("仕入れ {{cost}} ／ 利益 {{profit}}（利益率 {{margin}} ／ ROI {{roi}}）") },
+  ],
+};
+
+export const BUILTIN_TEMPLATES = {
+  // runProfile（1行ずつのテキスト）
+  compact: {
+    blocks: [
+      {
+        type: "section",
+        text: mrkdwn(
+          [
+            "*{{title}}*  <{{amazonUrl}}|Amazon> ・ <{{keepaUrl}}|Keepa>  ({{asin}})",
+            "ランキング: *{{rank}}*",
+            "現在価格(送料込): {{buyBox}}（7日前: {{buyBox7dAgo}}）",
+            "7日変化: {{delta7}}",
+            "Amazon在庫: {{amazonInStock}} ｜ BuyBox: {{buyBoxIsAmazon}}",
+          ].join("\n")
+        ),
+      },
+      { if: "low", type: "context", elements: [mrkdwn("*{{low}}*")] },
+      profitContext,
+      { if: "note", type: "context", elements: [mrkdwn("_(注: {{note}})_")] },
+      { type: "curate" },
+      { type: "divider" },
+    ],
+  },
+
+  // monitor（見出し付きテキスト + 商品画像 + Keepa グラフ）
+  detailed: {
+    blocks: [
+      {
+        type: "section",
+        text: mrkdwn(
+          [
+            "{{title}}",
+            "",
+            "【新品価格】",
+            "新品価格：{{price}}",
+            "",
+            "【出品者数】",
+            "出品者数：{{sellers}}名",
+            "",
+            "【ランキング】",
+            "ランキング順位：{{rank}}位",
+            "直近30日販売数：{{sold30}}個",
+            "",
+            "【Amazon商品URL】",
+            "{{amazonUrl}}",
+            "",
+            "【Keepa詳細URL】",
+            "{{keepaUrl}}",
+          ].join("\n")
+        ),
+        accessory: imageAccessory,
+      },
+      { if: "low", type: "context", elements: [mrkdwn("*{{low}}*")] },
+      profitContext,
+      { type: "curate" },
+      { if: "graph", type: "image", image_url: "{{graph}}", alt_text: "{{alt}}" },
+      { type: "divider" },
+    ],
+  },
+
+  // cloud monitor（項目を並べたカード + 変更検知）
+  card: {
+    blocks: [
+      { type: "section", text: mrkdwn("*{{title}}*"), accessory: imageAccessory },
+      {
+        type: "section",
+        fields: [
+          mrkdwn("*価格*\n{{price}}"),
+          mrkdwn("*出品者*\n{{sellers}}人"),
+          mrkdwn("*ランキング*\n{{rank}}位"),
+          mrkdwn("*30日販売数*\n{{sold30}}個"),
+          mrkdwn("*記録最安*\n{{lowest}}"),
+        ],
+      },
+      profitContext,
+      { if: "diff", type: "context", elements: [mrkdwn("変更検知: *{{diff}}*")] },
+      { type: "actions", elements: [button("Amazon", "{{amazonUrl}}"), button("Keepa", "{{keepaUrl}}"), { type: "curate" }] },
+      { type: "context", elements: [mrkdwn("カテゴリ: *{{profile}}* / ASIN: `{{asin}}`")] },
+      { type: "divider" },
+    ],
+  },
+};
+
+// ===== 読込 / 検証 =====
+// テンプレート中の {{name}} と if の名前を集める
+function namesIn(node, out = new Set()) {
+  if (typeof node === "string") {
+    for (const m of node.matchAll(PLACEHOLDER_RE)) out.add(m[1]);
+  } else if (Array.isArray(node)) {
+    node.forEach((n) => namesIn(n, out));
+  } else if (isObj(node)) {
+    for (const [k, v] of Object.entries(node)) {
+      if (k === "if") out.add(String(v).replace(/^!/, ""));
+      else namesIn(v, out);
+    }
+  }
+  return out;
+}
+
+/**
+ * テンプレート定義の問題を文言の配列で返す（問題なければ []）
+ * @param {any} tpl { blocks: [...] }
+ */
+export function templateErrors(tpl) {
+  if (!isObj(tpl) || !Array.isArray(tpl.blocks) || !tpl.blocks.length) return ["must have a non-empty `blocks` array"];
+  const errors = [];
+  tpl.blocks.forEach((b, i) => {
+    if (!isObj(b) || typeof b.type !== "string") errors.push(`blocks[${i}] must be an object with a type`);
+  });
+  const unknown = [...namesIn(tpl.blocks)].filter((n) => !(n in FORMATS));
+  if (unknown.length) errors.push(`unknown placeholder(s): ${unknown.join(", ")} (available: ${TEMPLATE_FIELDS.join(", ")})`);
+  return errors;
+}
+
+const fileCache = new Map();
+
+/** 名前からテンプレートを返す（組み込み → data/templates/<名前>.json）。無い / 壊れていれば Error */
+export function loadTemplate(name) {
+  if (BUILTIN_TEMPLATES[name]) return BUILTIN_TEMPLATES[name];
+  if (!NAME_RE.test(name)) throw new Error(`template name must match ${NAME_RE}`);
+  const file = path.join(templatesDir(), `${name}.json`);
+  if (fileCache.has(file)) return fileCache.get(file);
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`template "${name}" not found (built-in: ${Object.keys(BUILTIN_TEMPLATES).join(", ")} / file: ${file})`);
+  }
+  let tpl;
+  try {
+    tpl = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    throw new Error(`template file is not valid JSON: ${file} (${e.message})`);
+  }
+  const errors = templateErrors(tpl);
+  if (errors.length) throw new Error(`template "${name}" ${errors.join("; ")}`);
+  fileCache.set(file, tpl);
+  return tpl;
+}
+
+/**
+ * プロファイルの template を解決（未指定なら fallback の組み込み名）
+ * @param {{ template?: string|{ blocks: any[] }|null }} profile
+ * @param {keyof BUILTIN_TEMPLATES} fallback
+ */
+export function templateFor(profile, fallback) {
+  const t = profile?.template;
+  if (isObj(t)) return t;
+  return loadTemplate(t || fallback);
+}
+
+// ===== 描画 =====
+function test(cond, values) {
+  const c = String(cond);
+  const neg = c.startsWith("!");
+  const hit = !isEmpty(values[neg ? c.slice(1) : c]);
+  return neg ? !hit : hit;
+}
+
+const DROP = Symbol("drop");
+
+function render(node, values, ctx) {
+  if (typeof node === "string") return node.replace(PLACEHOLDER_RE, (_, name) => format(name, values[name], values));
+  if (Array.isArray(node)) {
+    return node.flatMap((n) => {
+      if (isObj(n) && n.type === "curate") {
+        return ctx.elements
+          ? curateButtons(values.asin, values.profileKey)
+          : curateBlocks(values.asin, values.profileKey);
+      }
+      const r = render(n, values, { elements: false });
+      return r === DROP ? [] : [r];
+    });
+  }
+  if (!isObj(node)) return node;
+  if ("if" in node && !test(node.if, values)) return DROP;
+
+  const out = {};
+  for (const [k, v] of Object.entries(node)) {
+    if (k === "if") continue;
+    const r = render(v, values, { elements: k === "elements" });
+    if (r !== DROP) out[k] = r;
+  }
+  if ((out.type === "actions" || out.type === "context") && Array.isArray(out.elements) && !out.elements.length) return DROP;
+  return out;
+}
+
+/**
+ * 1商品分の blocks を作る
+ * @param {{ blocks: any[] }} tpl templateFor() の戻り値
+ * @param {object} view lib/item.js の itemView()
+ * @param {{ key?: string, name?: string }} [profile]
+ */
+export function renderItem(tpl, view, profile = {}) {
+  const values = {
+    ...view,
+    alt: String(view.title || view.asin || "").slice(0, 80) || "product image",
+    profile: profile.name ?? "",
+    profileKey: profile.key ?? null,
+  };
+  return render(tpl.blocks, values, { elements: false });
+}
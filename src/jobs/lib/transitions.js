@@ -0,0 +1,57 @@
+// src/jobs/lib/transitions.js
+// Amazon 本体の在庫とカート（BuyBox）の持ち主の変化（前回の state と今回を比べる）
+// - 値は lib/core.js の amazonOOS / buyBoxInStock / buyBoxIsAmazon から作る（stockOf）
+// - state に残すのは amazonInStock / buyBoxOwner（"amazon" / "3p" / null = カートなし）
+// - 前回の値が無い（新規・この機能より前の state）ものは変化なし扱い
+// 使うのは monitor_watchlist（監視リスト）と cloud monitor
+import { amazonOOS, buyBoxInStock, buyBoxIsAmazon, currentAmazonPrice, currentLandedPrice } from "./core.js";
+
+/**
+ * 今回の在庫とカートの状態
+ * @param {object} product Keepa /product の1件
+ * @returns {{ amazonInStock: boolean, amazonPrice: number|null, buyBoxInStock: boolean, buyBoxOwner: "amazon"|"3p"|null, buyBoxPrice: number|null }}
+ */
+export function stockOf(product) {
+  const hasBuyBox = buyBoxInStock(product);
+  return {
+    amazonInStock: !amazonOOS(product),
+    amazonPrice: currentAmazonPrice(product),
+    buyBoxInStock: hasBuyBox,
+    buyBoxOwner: hasBuyBox ? (buyBoxIsAmazon(product) ? "amazon" : "3p") : null,
+    buyBoxPrice: hasBuyBox ? currentLandedPrice(product) : null,
+  };
+}
+
+/**
+ * 前回と今回を比べて変化を列挙（通知するかどうかは呼び出し側）
+ * @param {object|null} prev state の前回値（amazonInStock / buyBoxOwner）
+ * @param {object} curr stockOf() の戻り値
+ * @param {(v: number|null) => string} money 価格の表示（ジョブの通貨表示に合わせる）
+ * @returns {Array<{ kind: string, label: string }>} kind: amazonBack / amazonOOS / buyBoxLost / buyBoxAmazon
+ */
+export function detectTransitions(prev, curr, money) {
+  const events = [];
+  if (!prev) return events;
+
+  if (prev.amazonInStock === false && curr.amazonInStock === true) {
+    events.push({ kind: "amazonBack", label: `📦 Amazon本体が在庫復活（Amazon ${money(curr.amazonPrice)}）` });
+  }
+  if (prev.amazonInStock === true && curr.amazonInStock === false) {
+    events.push({ kind: "amazonOOS", label: "🚫 Amazon本体が在庫切れ" });
+  }
+
+  if (prev.buyBoxOwner === "amazon" && curr.buyBoxOwner !== "amazon") {
+    events.push({
+      kind: "buyBoxLost",
+      label:
+        curr.buyBoxOwner === "3p"
+          ? `⚠️ Amazon がカートを失い、3P が ${money(curr.buyBoxPrice)} で獲得`
+          : "⚠️ Amazon がカートを失った（カートなし）",
+    });
+  }
+  if (prev.buyBoxOwner === "3p" && curr.buyBoxOwner === "amazon") {
+    events.push({ kind: "buyBoxAmazon", label: `🛒 Amazon がカートを獲得（${money(curr.buyBoxPrice)}）` });
+  }
+
+  return events;
+}
@@ -0,0 +1,97 @@
+// src/jobs/lib/view.js
+// Keepa product → ルール評価/通知用の正規化ビュー
+// 価格は通貨の単位（JP=円）、delta は比率（-0.15 = -15%）
+
+import { currentValue, valueDaysAgo } from "./keepa_csv.js";
+import { lowOf } from "./lows.js";
+import { profitOf } from "./profit.js";
+
+// DL版っぽいタイトルを弾くためのキーワード
+const DIGITAL_KEYWORDS = [
+  "オンラインコード",
+  "オンライン コード",
+  "ダウンロード",
+  "download",
+  "digital code",
+  "ダウンロード版",
+];
+
+/** ルール式で使えるフィールド名 */
+export const VIEW_FIELDS = [
+  "asin", "title", "rootCategory",
+  "price", "newPrice", "amazonPrice", "usedPrice", "buyBox",
+  "sellers", "newOffers", "rank", "sold30", "rating", "reviews",
+  "amazonInStock", "buyBoxIsAmazon", "digital",
+  "lowDays", "lowAll",
+  "fee", "net", "cost", "profit", "margin", "roi",
+  ...["delta7", "delta30"].flatMap((d) => ["buyBox", "new", "amazon", "rank"].map((k) => `${d}.${k}`)),
+];
+
+export function isDigitalTitle(title = "") {
+  const lower = String(title || "").toLowerCase();
+  return DIGITAL_KEYWORDS.some((kw) => lower.includes(kw.toLowerCase()));
+}
+
+function deltaRatio(now, past) {
+  if (now == null || past == null || past <= 0) return null;
+  return (now - past) / past;
+}
+
+const DELTA_SERIES = [["buyBox", "BUY_BOX_SHIPPING"], ["new", "NEW"], ["amazon", "AMAZON"], ["rank", "SALES"]];
+
+function deltas(product, current, days) {
+  const out = {};
+  for (const [key, type] of DELTA_SERIES) {
+    out[key] = deltaRatio(current[key], valueDaysAgo(product, type, days));
+  }
+  return out;
+}
+
+/**
+ * @param {object} product Keepa /product の1件
+ * @param {{ profit?: object, cost?: number|null }} [options] profit: プロファイルの profit（lib/profit.js）/ cost: ASIN ごとの仕入れ値
+ */
+export function productView(product, options = {}) {
+  const stats = product?.stats || {};
+
+  const amazonPrice = currentValue(product, "AMAZON");
+  const newPrice = currentValue(product, "NEW");
+  const usedPrice = currentValue(product, "USED");
+  const buyBox = currentValue(product, "BUY_BOX_SHIPPING");
+  const rank = currentValue(product, "SALES");
+
+  const sellers = typeof stats.totalOfferCount === "number" && stats.totalOfferCount >= 0 ? stats.totalOfferCount : null;
+  const sold30 = stats.salesRankDrops30 ?? stats.salesRankDrops90 ?? stats.salesRankDrops180 ?? null;
+
+  let buyBoxIsAmazon = null;
+  if (typeof stats.buyBoxIsAmazon === "boolean") buyBoxIsAmazon = stats.buyBoxIsAmazon;
+  else if (amazonPrice != null && buyBox != null) buyBoxIsAmazon = amazonPrice === buyBox;
+
+  const current = { buyBox, new: newPrice, amazon: amazonPrice, rank };
+
+  return {
+    asin: product?.asin ?? null,
+    title: product?.title ?? "",
+    rootCategory: product?.rootCategory ?? null,
+    price: newPrice ?? amazonPrice,
+    newPrice,
+    amazonPrice,
+    usedPrice,
+    buyBox,
+    sellers,
+    newOffers: currentValue(product, "COUNT_NEW"),
+    rank,
+    sold30,
+    rating: currentValue(product, "RATING"),
+    reviews: currentValue(product, "COUNT_REVIEWS"),
+    amazonInStock: amazonPrice != null,
+    buyBoxIsAmazon,
+    digital: isDigitalTitle(product?.title),
+    // 期間最安値（lib/lows.js）
+    ...lowOf(product),
+    // 利益の見込み（lib/profit.js）。販売価格はカート価格、無ければ新品→Amazon
+    ...profitOf(product, buyBox ?? newPrice ?? amazonPrice, options.profit, options.cost),
+    delta7: deltas(product, current, 7),
+    delta30: deltas(product, current, 30),
+  };
+}
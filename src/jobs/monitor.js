@@ -1,65 +1,30 @@
 // src/jobs/monitor.js
 // Keepa Finder → Product → Slack 通知ジョブ
-// カテゴリ: おもちゃ / ゲーム / ホビー
+// カテゴリ: data/profiles.json のプロファイル（ONLY_PROFILE で絞り込み可）
 
 import "dotenv/config";
-import {
-  keepaQuery,
-  keepaProduct,
-  buildKeepaGraphUrl,
-  keepaProductPageUrl,
-} from "../services/keepa.js";
-import { slack } from "../services/slack.js";
+import { keepaQuery, keepaProduct, keepaTokenStatus } from "../services/keepa.js";
+import { deliver, notify, flushOutbox } from "../services/outbox.js";
+import { selectProfiles } from "../config/profiles.js";
+import { productView } from "./lib/view.js";
+import { itemView, itemData, normalizeTitle } from "./lib/item.js";
+import { templateFor, renderItem } from "./lib/templates.js";
+import { severityOf, groupBySeverity, applyRoute } from "./lib/severity.js";
+import { loadCuration, suppressedBy } from "../storage/curation.js";
+import { recordRun } from "../storage/runs.js";
+import { instantEnabled, digestEvent, recordDigest, postDueDigests } from "./lib/digest.js";
+import { LOW_STATS_DAYS } from "./lib/lows.js";
 
 // ===== env =====
 const FINDER_PER_PAGE = numEnv("FINDER_PER_PAGE", 100);
 const FINDER_MAX_PAGES = numEnv("FINDER_MAX_PAGES", 5);
 
-// SLACK_BATCH は 1〜3 に強制キャップ（でかいバッチは Slack が嫌がる）
-const SLACK_BATCH = clamp(numEnv("SLACK_BATCH", 3), 1, 3);
+// 1メッセージに載せる商品数（50 ブロックを超える分は services/blockkit.js が次のメッセージに分ける）
+const SLACK_BATCH = Math.max(1, numEnv("SLACK_BATCH", 3));
 const MAX_NOTIFY = numEnv("MAX_NOTIFY", 50);
 
-const GRAPH_IMAGE =
-  (process.env.KEEPA_GRAPH_IMAGE || "on").toLowerCase() === "on";
-const GRAPH_RANGE = numEnv("KEEPA_GRAPH_RANGE", 3);
-const GRAPH_THUMB_WIDTH = numEnv("KEEPA_GRAPH_THUMB_WIDTH", 720);
-const GRAPH_THUMB_HEIGHT = numEnv("KEEPA_GRAPH_THUMB_HEIGHT", 360);
-const GRAPH_FULL_WIDTH = numEnv("KEEPA_GRAPH_FULL_WIDTH", 1600);
-const GRAPH_FULL_HEIGHT = numEnv("KEEPA_GRAPH_FULL_HEIGHT", 800);
-
-const DOMAIN = Number(process.env.KEEPA_DOMAIN || 5); // 5 = JP
-
-// ===== プロファイル定義 =====
-const PROFILES = [
-  {
-    name: "おもちゃ",
-    rootCategory: 13299531,
-    limit: 10,
-    excludeDigital: false,
-  },
-  {
-    name: "ゲーム",
-    rootCategory: 637394,
-    limit: 10,
-    excludeDigital: true,
-  },
-  {
-    name: "ホビー",
-    rootCategory: 2277721051,
-    limit: 10,
-    excludeDigital: false,
-  },
-];
-
-// DL版っぽいタイトルを弾くためのキーワード
-const DIGITAL_KEYWORDS = [
-  "オンラインコード",
-  "オンライン コード",
-  "ダウンロード",
-  "download",
-  "digital code",
-  "ダウンロード版",
-];
+const ONLY_PROFILE = (process.env.ONLY_PROFILE || "all").trim().toLowerCase();
+const startedAt = Date.now();
 
 // ===== util =====
 function numEnv(key, def) {
@@ -68,20 +33,13 @@ function numEnv(key, def) {
   return Number.isFinite(n) ? n : def;
 }
 
-function clamp(v, min, max) {
-  if (!Number.isFinite(v)) return min;
-  if (v < min) return min;
-  if (v > max) return max;
-  return v;
-}
-
 function log(...args) {
   console.log(new Date().toISOString(), ...args);
 }
 
-function isDigitalTitle(title = "") {
-  const lower = title.toLowerCase();
-  return DIGITAL_KEYWORDS.some((kw) => lower.includes(kw.toLowerCase()));
+// プロファイルの通知上限（limits.notify 未指定なら 10）
+function profileLimit(profile) {
+  return profile.limits.notify ?? 10;
 }
 
 function chunk(array, size) {
@@ -92,107 +50,6 @@ function chunk(array, size) {
   return out;
 }
 
-function yen(v) {
-  if (v == null) return "-";
-  return `¥${Number(v).toLocaleString("ja-JP")}`;
-}
-
-// タイトルを Slack 向けに安全化（改行・タブ等を潰す）
-function normalizeTitle(rawTitle) {
-  return (rawTitle || "(no title)").replace(/\s+/g, " ").trim();
-}
-
-// Keepa stats.current から基本情報を抜く
-function getStatsBasics(stats = {}) {
-  const current = Array.isArray(stats.current) ? stats.current : [];
-  const amazonRaw = current[0];
-  const newRaw = current[1];
-  const rankRaw = current[3];
-
-  const amazonPrice =
-    typeof amazonRaw === "number" && amazonRaw > 0 ? amazonRaw : null;
-  const newPrice =
-    typeof newRaw === "number" && newRaw > 0 ? newRaw : null;
-  const salesRank =
-    typeof rankRaw === "number" && rankRaw > 0 ? rankRaw : null;
-
-  return { amazonPrice, newPrice, salesRank };
-}
-
-// ★ 過去の総出品者数（totalOfferCount）を取得
-function getTotalOfferCount(stats = {}) {
-  const raw = stats.totalOfferCount;
-  if (typeof raw === "number" && raw >= 0) return raw;
-  return null;
-}
-
-// ★ 商品画像URLを取得（imagesCSV → 先頭1枚）
-function getMainImageUrl(product = {}) {
-  const csv = product.imagesCSV;
-  if (!csv || typeof csv !== "string") return null;
-  const firstId = csv.split(",")[0];
-  if (!firstId) return null;
-
-  // m.media-amazon.com の標準画像
-  return `https://m.media-amazon.com/images/I/${firstId}.jpg`;
-}
-
-// Slack 用に整形した 1 アイテム分のビュー
-function buildItemView(product) {
-  const { asin } = product;
-  const rawTitle = product.title || "";
-  const safeTitle = normalizeTitle(rawTitle);
-
-  const stats = product.stats || {};
-  const { amazonPrice, newPrice, salesRank } = getStatsBasics(stats);
-  const monthlySold =
-    stats.salesRankDrops30 ??
-    stats.salesRankDrops90 ??
-    stats.salesRankDrops180 ??
-    null;
-
-  const totalOfferCount = getTotalOfferCount(stats);
-  const offerCount = totalOfferCount; // 表示用も totalOfferCount を採用
-
-  const priceNow = newPrice ?? amazonPrice ?? null;
-
-  const amazonUrl = `https://www.amazon.co.jp/dp/${asin}`;
-  const keepaUrl = keepaProductPageUrl(asin);
-  const imageUrl = getMainImageUrl(product);
-
-  const thumbGraphUrl = GRAPH_IMAGE
-    ? buildKeepaGraphUrl({
-        asin,
-        rangeDays: GRAPH_RANGE,
-        width: GRAPH_THUMB_WIDTH,
-        height: GRAPH_THUMB_HEIGHT,
-      })
-    : null;
-
-  const fullGraphUrl = GRAPH_IMAGE
-    ? buildKeepaGraphUrl({
-        asin,
-        rangeDays: GRAPH_RANGE,
-        width: GRAPH_FULL_WIDTH,
-        height: GRAPH_FULL_HEIGHT,
-      })
-    : null;
-
-  return {
-    asin,
-    title: safeTitle,
-    salesRank,
-    monthlySold,
-    offerCount,
-    priceNow,
-    amazonUrl,
-    keepaUrl,
-    imageUrl, // ★ 追加
-    thumbGraphUrl,
-    fullGraphUrl,
-  };
-}
-
 // ===== Finder: asinList を取得 =====
 async function fetchAsinsForProfile(profile) {
   const asins = [];
@@ -201,15 +58,16 @@ async function fetchAsinsForProfile(profile) {
   // ★ limit に依存せず、「ページ数上限まで」ガッツリ拾う
   while (page < FINDER_MAX_PAGES) {
     const payload = {
-      domainId: DOMAIN,
+      sort: [["current_SALES", "asc"]],
+      productType: [0, 1, 2],
+      ...profile.query,
+      domainId: profile.marketplace.domainId,
       rootCategory: profile.rootCategory,
       page,
       perPage: FINDER_PER_PAGE,
-      sort: [["current_SALES", "asc"]],
-      productType: [0, 1, 2],
     };
 
-    const res = await keepaQuery(payload);
+    const res = await keepaQuery(payload, { domain: profile.marketplace.domainId });
     const list = Array.isArray(res?.asinList) ? res.asinList : [];
 
     if (!list.length) break;
@@ -226,149 +84,75 @@ async function fetchAsinsForProfile(profile) {
   }
 
   // 後段フィルタでガンガン減るので、limitの10倍まで候補を残す
-  const maxCandidates = profile.limit * 10;
+  const maxCandidates = profile.limits.candidates ?? profileLimit(profile) * 10;
   return asins.slice(0, maxCandidates);
 }
 
 // ===== Slack Blocks =====
-function buildBlocksForProfile(profileName, items) {
-  const header = {
-    type: "section",
-    text: {
-      type: "mrkdwn",
-      text: `*${profileName}*`,
-    },
-  };
-
-  const divider = { type: "divider" };
-
-  const blocks = [header, divider];
-
-  for (const item of items) {
-    const lines = [];
-
-    lines.push(item.title || "(no title)");
-    lines.push("");
-
-    // 【新品価格】
-    lines.push("【新品価格】");
-    lines.push(
-      `新品価格：${
-        item.priceNow != null ? yen(item.priceNow) : "-"
-      }`
-    );
-    lines.push("");
-
-    // 【出品者数】
-    lines.push("【出品者数】");
-    lines.push(
-      `出品者数：${
-        item.offerCount != null ? item.offerCount : "-"
-      }名`
-    );
-    lines.push("");
-
-    // 【ランキング】
-    lines.push("【ランキング】");
-    lines.push(`ランキング順位：${item.salesRank ?? "-"}位`);
-    lines.push(
-      `直近30日販売数：${
-        item.monthlySold != null ? item.monthlySold : "-"
-      }個`
-    );
-    lines.push("");
-
-    // 【Amazon商品URL】
-    lines.push("【Amazon商品URL】");
-    lines.push(item.amazonUrl);
-    lines.push("");
-
-    // 【Keepa詳細URL】
-    lines.push("【Keepa詳細URL】");
-    lines.push(item.keepaUrl);
-
-    const section = {
-      type: "section",
-      text: {
-        type: "mrkdwn",
-        text: lines.join("\n"),
-      },
-    };
-
-    // ★ 商品画像をアクセサリとして表示（テキストの右側にサムネ）
-    if (item.imageUrl) {
-      const altText = (item.title || item.asin || "")
-        .replace(/\s+/g, " ")
-        .slice(0, 80);
-
-      section.accessory = {
-        type: "image",
-        image_url: item.imageUrl,
-        alt_text: altText || "product image",
-      };
-    }
-
-    blocks.push(section);
-
-    // Keepaグラフ画像は別の image ブロックで下に表示
-    if (GRAPH_IMAGE && item.thumbGraphUrl) {
-      const altTextGraph = (item.title || item.asin || "")
-        .replace(/\s+/g, " ")
-        .slice(0, 80);
-
-      blocks.push({
-        type: "image",
-        image_url: item.thumbGraphUrl,
-        alt_text: altTextGraph || item.asin || "Keepa graph",
-      });
-    }
+// 商品ごとの部分はプロファイルの template（既定 detailed、lib/templates.js）
+function buildBlocksForProfile(profile, items) {
+  const template = templateFor(profile, "detailed");
+  return [
+    { type: "section", text: { type: "mrkdwn", text: `*${profile.name}*` } },
+    { type: "divider" },
+    ...items.flatMap((item) => renderItem(template, item, profile)),
+  ];
+}
 
-    blocks.push(divider);
+// グループ送信が失敗したら、そのグループを1件ずつに分解して再送
+// 50 ブロックを超えるグループは deliver（services/blockkit.js）が複数メッセージに分けて送る
+// 429 / 5xx などは送信待ち（services/outbox.js）に積まれ、次回の monitor で送られる
+// 送り先はプロファイルの notify（Slack / Discord / メール / Webhook）。1件ずつの再送は失敗した先頭の送り先にだけ
+// 重要度（profile.severity）ごとに分けて高い順に送る（メンション / 色 / 重要度別の通知先は lib/severity.js）
+async function sendProfileToSlack(profile, items) {
+  for (const { route, items: list } of groupBySeverity(profile, items)) {
+    await sendGroupsToSlack(profile, list, route);
   }
-
-  return blocks;
 }
 
-// グループ送信が失敗したら、そのグループを1件ずつに分解して再送
-async function sendProfileToSlack(profileName, items) {
+async function sendGroupsToSlack(profile, items, route) {
+  const profileName = profile.name;
+  const targets = route.notify;
   if (!items.length) return;
 
   const groupChunks = chunk(items, SLACK_BATCH);
 
   for (const group of groupChunks) {
     const firstTitle = normalizeTitle(group[0].title);
-    const blocks = buildBlocksForProfile(profileName, group);
+    const blocks = buildBlocksForProfile(profile, group);
     const textFallback = `${profileName}: ${firstTitle.slice(
       0,
       60
     )} ほか${group.length}件`;
 
-    try {
-      await slack({
-        text: textFallback,
-        blocks,
-      });
-    } catch (err) {
+    const data = { profile: profile.key, items: group.map(itemData) };
+    const res = await notify(applyRoute({ text: textFallback, blocks, data }, route), targets, { job: "monitor" });
+    if (res.queued) {
+      log(`Slack group queued (${profileName}, size=${group.length}):`, res.error.message);
+    } else if (!res.ok && res.sent) {
+      // 分けて送った途中で失敗: 届いた分と重なるので1件ずつには戻さない
+      log(`Slack group post failed after ${res.sent} message(s) (${profileName}):`, res.error.message);
+    } else if (!res.ok) {
       log(
         `Slack group post failed (${profileName}, size=${group.length}):`,
-        err.message || err
+        res.error.message
       );
 
       // フォールバック：1件ずつ送信
       for (const item of group) {
-        const singleBlocks = buildBlocksForProfile(profileName, [item]);
+        const singleBlocks = buildBlocksForProfile(profile, [item]);
         const singleTitle = normalizeTitle(item.title);
         const singleText = `${profileName}: ${singleTitle.slice(0, 60)}`;
 
-        try {
-          await slack({
-            text: singleText,
-            blocks: singleBlocks,
-          });
-        } catch (err2) {
+        const res2 = await deliver(
+          applyRoute({ text: singleText, blocks: singleBlocks, data: { profile: profile.key, items: [itemData(item)] } }, route),
+          targets[0],
+          { job: "monitor" }
+        );
+        if (!res2.ok) {
           log(
-            `Slack single post failed (${profileName}, asin=${item.asin}):`,
-            err2.message || err2
+            `Slack single post ${res2.queued ? "queued" : "failed"} (${profileName}, asin=${item.asin}):`,
+            res2.error.message
           );
         }
       }
@@ -389,13 +173,14 @@ async function processProfile(profile, remainingNotify) {
 
   const asinChunks = chunk(asins, 20);
   const picked = [];
+  const curation = loadCuration();
 
   for (const ch of asinChunks) {
     if (picked.length >= remainingNotify) break;
 
     let res;
     try {
-      res = await keepaProduct(ch, { statsDays: 90 });
+      res = await keepaProduct(ch, { statsDays: LOW_STATS_DAYS, domain: profile.marketplace.domainId });
     } catch (err) {
       log("Product error:", err.message || err);
       continue;
@@ -406,24 +191,17 @@ async function processProfile(profile, remainingNotify) {
     for (const p of products) {
       if (!p || !p.asin) continue;
 
-      // ゲーム: DL版除外
-      if (profile.excludeDigital && isDigitalTitle(p.title)) continue;
-
-      const stats = p.stats || {};
-      const basics = getStatsBasics(stats);
-
-      // Amazon 在庫があるもの（amazonPrice>0）は除外
-      if (basics.amazonPrice && basics.amazonPrice > 0) continue;
-
-      // ★ 過去の総出品者数が 3 未満の商品は除外
-      const totalOfferCount = getTotalOfferCount(stats);
-      if (totalOfferCount == null || totalOfferCount < 3) continue;
+      // 通知条件（profiles.json の rule / filters）
+      const view = productView(p, { profit: profile.profit });
+      if (!profile.rule.test(view)) continue;
+      // Slack のボタンでミュート / スヌーズ / 興味なしにされたもの
+      if (suppressedBy(curation, p.asin, profile.key)) continue;
 
-      const view = buildItemView(p);
-      picked.push(view);
+      const severity = severityOf(profile, view);
+      picked.push(itemView(p, { severity: severity === "normal" ? null : severity }, { profit: profile.profit }));
 
       if (
-        picked.length >= profile.limit ||
+        picked.length >= profileLimit(profile) ||
         picked.length >= remainingNotify
       ) {
         break;
@@ -436,7 +214,18 @@ async function processProfile(profile, remainingNotify) {
     return 0;
   }
 
-  await sendProfileToSlack(profile.name, picked);
+  // ダイジェスト（profile.digest）用に該当を溜める。digest のみのプロファイルは1件ずつは送らない
+  const now = Date.now();
+  recordDigest(
+    profile,
+    picked.map((v) => digestEvent(v, null, now))
+  );
+  if (!instantEnabled(profile)) {
+    log(`profile DONE ${profile.name} digest=${picked.length}`);
+    return 0;
+  }
+
+  await sendProfileToSlack(profile, picked);
 
   log(`profile DONE ${profile.name} notified=${picked.length}`);
   return picked.length;
@@ -444,19 +233,28 @@ async function processProfile(profile, remainingNotify) {
 
 async function main() {
   log("monitor START");
+  await flushOutbox("monitor");
 
   let remaining = MAX_NOTIFY;
+  const notified = {};
+  const profiles = selectProfiles(ONLY_PROFILE);
 
-  for (const profile of PROFILES) {
+  for (const profile of profiles) {
     if (remaining <= 0) break;
     const used = await processProfile(profile, remaining);
+    notified[profile.key] = used;
     remaining -= used;
   }
 
-  log("monitor DONE");
+  const digests = await postDueDigests(profiles);
+
+  const keepaTokensLeft = keepaTokenStatus().tokensLeft;
+  log("monitor DONE", { digests, keepaTokensLeft });
+  recordRun("monitor", { startedAt, summary: { notified, digests, keepaTokensLeft } });
 }
 
 main().catch((err) => {
   console.error("monitor FATAL", err);
+  recordRun("monitor", { startedAt, ok: false, error: err });
   process.exitCode = 1;
 });
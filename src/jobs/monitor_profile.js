@@ -0,0 +1,27 @@
+// src/jobs/monitor_profile.js
+// data/profiles.json の1プロファイルを runProfile で実行
+//   node src/jobs/monitor_profile.js <key>   例: toys / games / hobby
+// 新カテゴリは profiles.json にエントリを足すだけでよい（スクリプトのコピー不要）
+
+import { runProfile, ts } from "./lib/core.js";
+import { getProfile } from "../config/profiles.js";
+import { recordRun } from "../storage/runs.js";
+
+const key = process.argv[2] || process.env.PROFILE;
+const startedAt = Date.now();
+
+async function main() {
+  if (!key) throw new Error("usage: node src/jobs/monitor_profile.js <profile key>");
+  const profile = getProfile(key);
+
+  console.log(ts(), `monitor_profile START ${profile.key}`);
+  const notified = await runProfile(profile);
+  console.log(ts(), `monitor_profile DONE ${profile.key} notified=${notified ?? 0}`);
+  recordRun(`monitor_profile:${profile.key}`, { startedAt, summary: { notified: notified ?? 0 } });
+}
+
+main().catch((e) => {
+  console.error("FATAL monitor_profile:", e?.message || e);
+  if (key) recordRun(`monitor_profile:${key}`, { startedAt, ok: false, error: e });
+  process.exit(1);
+});
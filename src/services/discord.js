@@ -0,0 +1,114 @@
+// src/services/discord.js
+// Discord の Incoming Webhook へ投稿（Slack 用の payload を Markdown + embed に変換して送る）
+// - 1商品分（divider 区切り）を1つの embed に（本文は Markdown、商品画像はサムネイル、グラフは画像）
+// - 1メッセージ embed 10 個 / 合計 6000 字まで。超える分は次のメッセージに分けて順に送る
+// - Webhook URL はプロファイルの notify の webhookEnv（既定 DISCORD_WEBHOOK_URL）
+// - embed の色は payload.color（重要度: lib/severity.js）。メンションは文字として出すだけで通知は飛ばさない
+// 失敗時の Error は services/slack.js と同じく status / retryAfterMs / retryable 付き（再送は services/outbox.js）
+
+import "dotenv/config";
+import { toCards, mrkdwnToMarkdown } from "./blocks_text.js";
+import { truncateText } from "./blockkit.js";
+
+const TIMEOUT_MS = 15_000;
+const MAX_EMBEDS = 10;
+const MAX_CHARS = 6000;
+const CONTENT_LIMIT = 2000;
+const DESCRIPTION_LIMIT = 4096;
+const EMBED_COLOR = 0xff9900;
+
+function discordError(message, { status = null, retryAfterMs = null, cause } = {}) {
+  const err = new Error(message, cause ? { cause } : undefined);
+  err.status = status;
+  err.retryAfterMs = retryAfterMs;
+  err.retryable = status == null || status === 429 || status >= 500;
+  return err;
+}
+
+function cardToEmbed(card, color) {
+  const lines = card.lines.map(mrkdwnToMarkdown);
+  if (card.links.length) lines.push(card.links.map((l) => `[${l.text}](${l.url})`).join(" ・ "));
+  const embed = { description: truncateText(lines.join("\n"), DESCRIPTION_LIMIT), color };
+  if (card.thumb) embed.thumbnail = { url: card.thumb };
+  if (card.image) embed.image = { url: card.image };
+  return embed;
+}
+
+/**
+ * Slack の payload を Discord の webhook メッセージ（複数可）にする
+ * @param {{ text?: string, blocks?: any[], color?: string }} payload
+ */
+export function toDiscordMessages(payload) {
+  const content = truncateText(mrkdwnToMarkdown(payload.text || ""), CONTENT_LIMIT);
+  const color = /^#[0-9a-f]{6}$/i.test(payload.color || "") ? parseInt(payload.color.slice(1), 16) : EMBED_COLOR;
+  const embeds = toCards(payload.blocks || []).map((c) => cardToEmbed(c, color));
+  if (!embeds.length) return [{ content: content || "notification" }];
+
+  const messages = [];
+  let cur = [];
+  let chars = content.length;
+  for (const e of embeds) {
+    if (cur.length && (cur.length >= MAX_EMBEDS || chars + e.description.length > MAX_CHARS)) {
+      messages.push(cur);
+      cur = [];
+      chars = 0;
+    }
+    cur.push(e);
+    chars += e.description.length;
+  }
+  messages.push(cur);
+  return messages.map((es, i) => (i === 0 && content ? { content, embeds: es } : { embeds: es }));
+}
+
+// Retry-After（秒）か、本文の retry_after（秒）
+async function retryAfterMs(res) {
+  const h = Number(res.headers.get("retry-after") ?? NaN);
+  if (h >= 0) return h * 1000;
+  const body = await res.clone().json().catch(() => null);
+  return typeof body?.retry_after === "number" ? body.retry_after * 1000 : null;
+}
+
+async function post(url, message) {
+  let res;
+  try {
+    res = await fetch(`${url}${url.includes("?") ? "&" : "?"}wait=true`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ ...message, allowed_mentions: { parse: [] } }),
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+  } catch (err) {
+    throw discordError(`Discord fetch failed: ${err?.message || err}`, { cause: err });
+  }
+
+  if (!res.ok) {
+    const wait = res.status === 429 ? await retryAfterMs(res) : null;
+    const body = await res.text().catch(() => "");
+    console.error("Discord error", res.status, body.slice(0, 300).replace(/\s+/g, " "));
+    throw discordError(`Discord ${res.status} ${res.statusText}`, { status: res.status, retryAfterMs: wait });
+  }
+  const json = await res.json().catch(() => null);
+  return json?.id ?? null;
+}
+
+/**
+ * Discord へ投稿
+ * @param {{ text?: string, blocks?: any[] }} payload Slack と同じ形
+ * @param {{ webhookEnv?: string, webhookUrl?: string }} [dest]
+ * @returns {Promise<{ ok: true, transport: "discord", channel: null, ts: string|null, parts: number }>} ts は最初のメッセージの id
+ */
+export async function discord(payload, dest = {}) {
+  const env = dest.webhookEnv || "DISCORD_WEBHOOK_URL";
+  const url = dest.webhookUrl || process.env[env];
+  if (!url) {
+    throw discordError(`${env} is required for the discord channel`, { status: 400 });
+  }
+
+  const messages = toDiscordMessages(payload);
+  let first = null;
+  for (const m of messages) {
+    const id = await post(url, m);
+    first ??= id;
+  }
+  return { ok: true, transport: "discord", channel: null, ts: first, parts: messages.length };
+}
@@ -0,0 +1,90 @@
+// src/services/fixtures.js
+// Keepa / Slack の記録（FIXTURES=record）と、スタンドイン（scripts/standin.js）での再生に使うフィクスチャ
+// - 置き場所: FIXTURES_DIR（既定 test/fixtures）
+//     keepa/<endpoint>-<hash>.json … { request: { method, path, params, body }, response: { status, body } }
+//     slack.jsonl                  … 送信した Slack ペイロード（1行1件、投稿先 URL は伏せる）
+// - API キー（key=）は保存しない。同じリクエストは同じファイル名になる
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_DIR = path.resolve(__dirname, "../../test/fixtures");
+
+export const RECORDING = (process.env.FIXTURES || "off").toLowerCase() === "record";
+
+export function fixturesDir() {
+  return process.env.FIXTURES_DIR ? path.resolve(process.env.FIXTURES_DIR) : DEFAULT_DIR;
+}
+
+/** key を除いたクエリパラメータ（キー順） */
+export function requestParams(searchParams) {
+  const out = {};
+  for (const [k, v] of [...searchParams.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    if (k !== "key") out[k] = v;
+  }
+  return out;
+}
+
+/** リクエストの識別子（記録時のファイル名 / 再生時の検索キー） */
+export function keepaFixtureName({ method, path: pathname, params, body }) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(JSON.stringify([method.toUpperCase(), pathname, params, body || ""]))
+    .digest("hex")
+    .slice(0, 16);
+  return `${pathname.replace(/^\//, "").replace(/\W+/g, "_")}-${hash}.json`;
+}
+
+function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(value, null, 2), "utf-8");
+}
+
+/**
+ * Keepa のレスポンスを保存（FIXTURES=record のときだけ）
+ * @param {{ method: string, url: string, body?: string }} req
+ * @param {{ status: number, text: string }} res
+ */
+export function recordKeepa(req, res) {
+  if (!RECORDING) return;
+  const u = new URL(req.url);
+  const request = { method: req.method, path: u.pathname, params: requestParams(u.searchParams), body: req.body || "" };
+  let body;
+  try {
+    body = JSON.parse(res.text);
+  } catch {
+    body = res.text;
+  }
+  const file = path.join(fixturesDir(), "keepa", keepaFixtureName(request));
+  try {
+    writeJson(file, { request, response: { status: res.status, body } });
+  } catch (e) {
+    console.log(`[fixtures] keepa record failed: ${e?.message || e}`);
+  }
+}
+
+// Webhook URL はそれ自体が秘密なので、ホスト以外は伏せる
+const maskTarget = (url) => {
+  try {
+    const u = new URL(url);
+    return `${u.origin}/***`;
+  } catch {
+    return "***";
+  }
+};
+
+/** 送信する Slack ペイロードを追記（FIXTURES=record のときだけ） */
+export function recordSlack(target, payload) {
+  if (!RECORDING) return;
+  const file = path.join(fixturesDir(), "slack.jsonl");
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify({ t: Date.now(), target: maskTarget(target), payload })}\n`, "utf-8");
+  } catch (e) {
+    console.log(`[fixtures] slack record failed: ${e?.message || e}`);
+  }
+}
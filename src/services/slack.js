@@ -1,51 +1,216 @@
 // src/services/slack.js
-// Slack Incoming Webhook 送信用ラッパー（fetch版）
+// Slack 送信ラッパー（fetch版）
+// - webhook: Incoming Webhook に POST（SLACK_WEBHOOK_URL / プロファイル別 webhookEnv）
+// - bot:     Web API の chat.postMessage / chat.update（SLACK_BOT_TOKEN + チャンネル）
+// 切替は SLACK_TRANSPORT=webhook|bot（未指定なら SLACK_BOT_TOKEN があれば bot）
+// SLACK_API_BASE でスタンドイン（scripts/standin.js）に向けられる
+// 失敗時の Error には status / retryAfterMs / retryable を付ける（再送は services/outbox.js）
+// blocks は送る前に services/blockkit.js で上限に収める（50 ブロックを超えたら複数メッセージに分けて順に投稿）
+// invalid_blocks で断られたら（画像を取りに行けなかったときなど）、画像を外して1回だけ送り直す
+// payload.color（lib/severity.js）があれば色帯付きで送る
 
 import "dotenv/config";
+import { recordSlack } from "./fixtures.js";
+import { splitPayload, stripImages } from "./blockkit.js";
 
 const WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL;
+const BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
+const DEFAULT_CHANNEL = process.env.SLACK_CHANNEL;
+const TIMEOUT_MS = 15_000;
+const API_BASE = (process.env.SLACK_API_BASE || "https://slack.com/api").replace(/\/+$/, "");
 
-if (!WEBHOOK_URL) {
-  throw new Error("SLACK_WEBHOOK_URL is required");
+/** 使う送信方式（"webhook" / "bot"） */
+export function slackTransport(options = {}) {
+  const t = String(options.transport || process.env.SLACK_TRANSPORT || (BOT_TOKEN ? "bot" : "webhook")).toLowerCase();
+  if (t !== "webhook" && t !== "bot") throw new Error(`unknown SLACK_TRANSPORT "${t}" (webhook / bot)`);
+  return t;
 }
 
 /**
- * Slack Incoming Webhook へ投稿
- * @param {{ text?: string, blocks?: any[] }} payload
+ * 送信失敗の Error（429 / 5xx / 通信エラーは retryable）
+ * @param {{ status?: number, retryAfterMs?: number|null, code?: string|null, cause?: any }} [info]
+ *   code は Slack のエラー名（invalid_blocks など）
  */
-export async function slack(payload) {
-  const safePayload = {
-    text: payload.text || "[slack-price-watch] notification",
-    ...payload,
-  };
+function slackError(message, { status = null, retryAfterMs = null, code = null, cause } = {}) {
+  const err = new Error(message, cause ? { cause } : undefined);
+  err.status = status;
+  err.code = code;
+  err.retryAfterMs = retryAfterMs;
+  err.retryable = status == null || status === 429 || status >= 500;
+  return err;
+}
+
+// Retry-After は秒数（Slack はこちら）か HTTP 日付
+function retryAfterMs(res) {
+  const v = res.headers.get("retry-after");
+  if (!v) return null;
+  const sec = Number(v);
+  if (Number.isFinite(sec)) return Math.max(0, sec * 1000);
+  const at = Date.parse(v);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+function logFailure(label, status, detail, payload) {
+  console.error("Slack error", label, status, String(detail).slice(0, 500).replace(/\s+/g, " "));
+  console.error("Payload snippet:", JSON.stringify(payload).slice(0, 300));
+}
+
+async function postWebhook(webhookUrl, payload) {
+  if (!webhookUrl) {
+    throw new Error("SLACK_WEBHOOK_URL is required");
+  }
+
+  recordSlack(webhookUrl, payload);
 
   let res;
   try {
-    res = await fetch(WEBHOOK_URL, {
+    res = await fetch(webhookUrl, {
       method: "POST",
       headers: { "content-type": "application/json; charset=utf-8" },
-      body: JSON.stringify(safePayload),
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(TIMEOUT_MS),
     });
   } catch (err) {
-    console.error("Slack fetch error:", err);
-    throw err;
+    console.error("Slack fetch error:", err?.message || err);
+    throw slackError(`Slack fetch failed: ${err?.message || err}`, { cause: err });
   }
 
   const body = await res.text().catch(() => "");
 
   if (!res.ok) {
-    console.error(
-      "Slack error",
-      res.status,
-      res.statusText,
-      body.slice(0, 500).replace(/\s+/g, " ")
-    );
-    console.error(
-      "Payload snippet:",
-      JSON.stringify(safePayload).slice(0, 300)
-    );
-    throw new Error(`Slack ${res.status} ${res.statusText}`);
-  }
-
-  return body;
+    logFailure("webhook", `${res.status} ${res.statusText}`, body, payload);
+    // Webhook はエラー名を本文だけで返す（"invalid_blocks" など）
+    const code = /^[a-z_]+$/.test(body.trim()) ? body.trim() : null;
+    throw slackError(`Slack ${res.status} ${res.statusText}`, { status: res.status, retryAfterMs: retryAfterMs(res), code });
+  }
+
+  return { ok: true, transport: "webhook", channel: null, ts: null };
+}
+
+/**
+ * Web API 呼び出し（ok:false もエラーにする）
+ * @param {string} method 例: "chat.postMessage"
+ */
+export async function slackApi(method, body, options = {}) {
+  const token = options.token || BOT_TOKEN;
+  if (!token) {
+    throw new Error("SLACK_BOT_TOKEN is required");
+  }
+
+  recordSlack(`${API_BASE}/${method}`, body);
+
+  let res;
+  try {
+    res = await fetch(`${API_BASE}/${method}`, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json; charset=utf-8",
+        authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+  } catch (err) {
+    console.error("Slack fetch error:", err?.message || err);
+    throw slackError(`Slack ${method} fetch failed: ${err?.message || err}`, { cause: err });
+  }
+
+  const text = await res.text().catch(() => "");
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // HTML のエラーページなど
+  }
+
+  if (!res.ok || !json?.ok) {
+    const reason = json?.error || `${res.status} ${res.statusText}`;
+    logFailure(method, res.status, text, body);
+    // ok:false は 200 で返る（ratelimited だけは 429 扱い）
+    const status = json?.error === "ratelimited" ? 429 : res.ok ? 400 : res.status;
+    throw slackError(`Slack ${method} failed: ${reason}`, { status, retryAfterMs: retryAfterMs(res), code: json?.error ?? null });
+  }
+
+  return json;
+}
+
+// color があれば blocks を色帯付きの attachment に入れる（block_id "pw-severity" のメンションは通知が飛ぶよう外に残す）
+function withColor({ color, ...payload }) {
+  if (!color || !Array.isArray(payload.blocks)) return payload;
+  const head = payload.blocks.filter((b) => b.block_id === "pw-severity");
+  const body = payload.blocks.filter((b) => b.block_id !== "pw-severity");
+  const out = { ...payload, attachments: [{ color, blocks: body }] };
+  if (head.length) out.blocks = head;
+  else delete out.blocks;
+  return out;
+}
+
+async function postOne(payload, options) {
+  // data / severity は汎用 Webhook 向け（Slack には送らない）
+  const { data: _data, severity: _severity, ...rest } = payload;
+  const safePayload = {
+    text: rest.text || "[slack-price-watch] notification",
+    ...withColor(rest),
+  };
+
+  if (slackTransport(options) === "webhook") {
+    return postWebhook(options.webhookUrl || WEBHOOK_URL, safePayload);
+  }
+
+  const channel = options.channel || DEFAULT_CHANNEL;
+  if (!channel) {
+    throw new Error("SLACK_CHANNEL (or profile slack.channel) is required for the bot transport");
+  }
+
+  const body = { channel, ...safePayload };
+  if (options.threadTs) {
+    body.thread_ts = options.threadTs;
+    if (options.replyBroadcast) body.reply_broadcast = true;
+  }
+
+  const json = await slackApi("chat.postMessage", body, options);
+  return { ok: true, transport: "bot", channel: json.channel, ts: json.ts };
+}
+
+/**
+ * Slack へ投稿
+ * @param {{ text?: string, blocks?: any[] }} payload
+ * @param {{ webhookUrl?: string, channel?: string, token?: string, transport?: string, threadTs?: string, replyBroadcast?: boolean }} [options]
+ *   webhookUrl / channel はプロファイル別の投稿先（省略時は SLACK_WEBHOOK_URL / SLACK_CHANNEL）
+ *   threadTs / replyBroadcast は bot のみ（スレッド返信）
+ * @returns {Promise<{ ok: true, transport: string, channel: string|null, ts: string|null, parts: number }>}
+ *   bot のときは投稿したメッセージの channel / ts（スレッド返信や chat.update に使う）。分けて送ったときは最初の1通のもの
+ */
+export async function slack(payload, options = {}) {
+  const { parts, notes } = splitPayload(payload);
+  for (const n of notes) console.warn("Slack blocks:", n);
+
+  let first = null;
+  for (const part of parts) {
+    const r = await postOne(part, options).catch((err) => {
+      const bare = err.code === "invalid_blocks" ? stripImages(part) : null;
+      if (!bare) throw err;
+      console.warn("Slack blocks: invalid_blocks, retrying without images");
+      return postOne(bare, options);
+    });
+    first ??= r;
+  }
+  return { ...first, parts: parts.length };
+}
+
+/**
+ * 投稿済みメッセージを書き換え（bot のみ）
+ * @param {{ channel: string, ts: string }} ref slack() の戻り値
+ * @param {{ text?: string, blocks?: any[] }} payload
+ */
+export async function slackUpdate(ref, payload, options = {}) {
+  if (!ref?.channel || !ref?.ts) {
+    throw new Error("slackUpdate needs { channel, ts } from a bot post");
+  }
+  const json = await slackApi(
+    "chat.update",
+    { channel: ref.channel, ts: ref.ts, text: payload.text || "[slack-price-watch] notification", ...payload },
+    options
+  );
+  return { ok: true, transport: "bot", channel: json.channel, ts: json.ts };
 }
@@ -0,0 +1,89 @@
+// src/services/webhook.js
+// 汎用 Webhook（任意の URL へ JSON を POST。受け側で自由に処理する用）
+// - 本文: { source, text, markdown, plain, severity, blocks, data, sentAt }
+//   data はジョブが付けた構造化データ（商品ごとの asin / 価格など。無ければ null）、blocks は Slack の Block Kit そのまま
+//   severity は重要度（lib/severity.js の high / medium / normal）
+// - 署名: X-PriceWatch-Timestamp（UNIX 秒）と X-PriceWatch-Signature: v1=<hex>
+//   <hex> = HMAC-SHA256(secret, "<timestamp>.<本文>")。受け側は同じ計算で照合し、古い timestamp は捨てる
+// - URL / 秘密鍵はプロファイルの notify の urlEnv / secretEnv（既定 NOTIFY_WEBHOOK_URL / NOTIFY_WEBHOOK_SECRET）
+// 失敗時の Error は services/slack.js と同じく status / retryAfterMs / retryable 付き
+
+import "dotenv/config";
+import crypto from "crypto";
+import { mrkdwnToMarkdown, mrkdwnToPlain } from "./blocks_text.js";
+
+const TIMEOUT_MS = 15_000;
+export const SIGNATURE_HEADER = "x-pricewatch-signature";
+export const TIMESTAMP_HEADER = "x-pricewatch-timestamp";
+
+function webhookError(message, { status = null, retryAfterMs = null, cause } = {}) {
+  const err = new Error(message, cause ? { cause } : undefined);
+  err.status = status;
+  err.retryAfterMs = retryAfterMs;
+  err.retryable = status == null || status === 429 || status >= 500;
+  return err;
+}
+
+/** 署名（"v1=<hex>"） */
+export function signBody(secret, timestamp, body) {
+  return `v1=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/** 署名の照合（受け側・スタンドイン用） */
+export function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signBody(secret, timestamp, body));
+  const actual = Buffer.from(String(signature || ""));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/** Slack 用の payload を汎用 Webhook の本文にする */
+export function toWebhookBody(payload) {
+  return {
+    source: "slack-price-watch",
+    text: payload.text || "",
+    markdown: mrkdwnToMarkdown(payload.text || ""),
+    plain: mrkdwnToPlain(payload.text || ""),
+    severity: payload.severity ?? "normal",
+    blocks: payload.blocks || [],
+    data: payload.data ?? null,
+    sentAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * 汎用 Webhook へ POST
+ * @param {{ text?: string, blocks?: any[], data?: any }} payload
+ * @param {{ urlEnv?: string, secretEnv?: string }} [dest]
+ * @returns {Promise<{ ok: true, transport: "webhook", channel: null, ts: null, parts: 1 }>}
+ */
+export async function webhook(payload, dest = {}) {
+  const urlEnv = dest.urlEnv || "NOTIFY_WEBHOOK_URL";
+  const url = process.env[urlEnv];
+  if (!url) throw webhookError(`${urlEnv} is required for the webhook channel`, { status: 400 });
+
+  // secretEnv を明示したのに空なら、署名なしでは送らない
+  const secret = process.env[dest.secretEnv || "NOTIFY_WEBHOOK_SECRET"] || "";
+  if (dest.secretEnv && !secret) throw webhookError(`${dest.secretEnv} is empty`, { status: 400 });
+
+  const body = JSON.stringify(toWebhookBody(payload));
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = { "content-type": "application/json; charset=utf-8", [TIMESTAMP_HEADER]: timestamp };
+  if (secret) headers[SIGNATURE_HEADER] = signBody(secret, timestamp, body);
+
+  let res;
+  try {
+    res = await fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(TIMEOUT_MS) });
+  } catch (err) {
+    throw webhookError(`Webhook fetch failed: ${err?.message || err}`, { cause: err });
+  }
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    console.error("Webhook error", res.status, text.slice(0, 300).replace(/\s+/g, " "));
+    const sec = Number(res.headers.get("retry-after") ?? NaN);
+    throw webhookError(`Webhook ${res.status} ${res.statusText}`, {
+      status: res.status,
+      retryAfterMs: sec >= 0 ? sec * 1000 : null,
+    });
+  }
+  return { ok: true, transport: "webhook", channel: null, ts: null, parts: 1 };
+}
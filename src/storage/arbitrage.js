@@ -0,0 +1,30 @@
+// src/storage/arbitrage.js
+// 価格差の通知履歴（ドライバ経由: json なら data/arbitrage.json）
+//   alerts: { ["<profileKey>:<ASIN>"]: { at, spread } }  … 最後に通知した時刻と、そのときの利ざや
+// 同じ商品を毎回通知しないためのもの。KEEP_DAYS より古い分は保存のたびに捨てる
+import { getDriver } from "./driver.js";
+
+const KEEP_DAYS = 30;
+
+const keyOf = (profileKey, asin) => `${profileKey}:${asin}`;
+
+export function loadArbitrage() {
+  const d = getDriver().readDoc("arbitrage");
+  const doc = d && typeof d === "object" ? d : {};
+  if (!doc.alerts || typeof doc.alerts !== "object") doc.alerts = {};
+  return doc;
+}
+
+/** 前回の通知（無ければ null） */
+export const lastAlert = (doc, profileKey, asin) => doc.alerts[keyOf(profileKey, asin)] ?? null;
+
+/** 通知したことを記録して保存 */
+export function markAlerted(doc, profileKey, items, now = Date.now()) {
+  for (const it of items) doc.alerts[keyOf(profileKey, it.asin)] = { at: now, spread: it.spread };
+  const cutoff = now - KEEP_DAYS * 24 * 60 * 60 * 1000;
+  for (const [k, v] of Object.entries(doc.alerts)) {
+    if (!(v?.at >= cutoff)) delete doc.alerts[k];
+  }
+  doc.updatedAt = now;
+  getDriver().writeDoc("arbitrage", doc);
+}
@@ -0,0 +1,39 @@
+// src/storage/digest.js
+// ダイジェスト用に溜めた変化（ドライバ経由: json なら data/digest.json）
+//   profiles: { [key]: { events: [...], lastDailyAt, lastWeeklyAt } }
+//   events:   { t, asin, title, price, prevPrice, rank, prevRank, amazonInStock, prevAmazonInStock, isNew }
+// 週次の分まで使うので KEEP_DAYS（8日）より古いものは追加のたびに捨てる
+import { getDriver } from "./driver.js";
+
+const KEEP_DAYS = 8;
+
+export function loadDigest() {
+  const d = getDriver().readDoc("digest");
+  const doc = d && typeof d === "object" ? d : {};
+  if (!doc.profiles || typeof doc.profiles !== "object") doc.profiles = {};
+  return doc;
+}
+
+function update(profileKey, fn) {
+  const doc = loadDigest();
+  const entry = doc.profiles[profileKey] || { events: [], lastDailyAt: 0, lastWeeklyAt: 0 };
+  fn(entry);
+  doc.profiles[profileKey] = entry;
+  doc.updatedAt = Date.now();
+  getDriver().writeDoc("digest", doc);
+}
+
+export function addDigestEvents(profileKey, events, now = Date.now()) {
+  if (!events.length) return;
+  const cutoff = now - KEEP_DAYS * 24 * 60 * 60 * 1000;
+  update(profileKey, (entry) => {
+    entry.events = [...entry.events.filter((e) => e.t >= cutoff), ...events];
+  });
+}
+
+/** @param {"daily"|"weekly"} period */
+export function markDigestSent(profileKey, period, at = Date.now()) {
+  update(profileKey, (entry) => {
+    entry[period === "weekly" ? "lastWeeklyAt" : "lastDailyAt"] = at;
+  });
+}
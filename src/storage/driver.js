@@ -0,0 +1,32 @@
+// src/storage/driver.js
+// ストレージドライバの選択（STORAGE_DRIVER=json（既定）/ sqlite）
+// state.js / watchlist.js / history.js はここ経由で読み書きする
+//
+// ドライバのインタフェース:
+//   readDoc(name) / writeDoc(name, value)            … state / watchlist / seeds など
+//   appendHistory(asin, row) / readHistory(asin)      … ASIN ごとの時系列
+//   replaceHistory(asin, rows) / historyAsins()
+//   locate(name) / close()
+import { createJsonDriver } from "./drivers/json.js";
+import { createSqliteDriver } from "./drivers/sqlite.js";
+
+const DRIVERS = {
+  json: createJsonDriver,
+  sqlite: createSqliteDriver,
+};
+
+let current = null;
+
+export function createDriver(name) {
+  const factory = DRIVERS[String(name || "").toLowerCase()];
+  if (!factory) {
+    throw new Error(`unknown STORAGE_DRIVER "${name}" (available: ${Object.keys(DRIVERS).join(", ")})`);
+  }
+  return factory();
+}
+
+/** プロセス内で共有するドライバ */
+export function getDriver() {
+  if (!current) current = createDriver(process.env.STORAGE_DRIVER || "json");
+  return current;
+}
@@ -0,0 +1,103 @@
+// src/storage/drivers/json.js
+// JSON ファイルドライバ（既定）
+// - ドキュメント: data/<name>.json（state は STATE_FILE があればそちら、data/ は DATA_DIR で変更可）
+// - 履歴: data/history/<ASIN>.jsonl（HISTORY_DIR で変更可）
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+// DATA_DIR で差し替え可能（scripts/standin.js の再生実行は一時ディレクトリを使う）
+export const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.resolve(__dirname, "../../../data");
+
+// STATE_FILE はリポジトリルート基準（cloud/ から実行しても同じファイルを指す）
+export function guessRepoRoot() {
+  const ws = process.env.GITHUB_WORKSPACE;
+  if (ws) return ws;
+
+  const cwd = process.cwd();
+  const base = path.basename(cwd).toLowerCase();
+  if (base === "cloud") return path.resolve(cwd, "..");
+  return cwd;
+}
+
+function docPath(name) {
+  if (name === "state" && process.env.STATE_FILE) {
+    const raw = process.env.STATE_FILE.trim();
+    return path.isAbsolute(raw) ? raw : path.resolve(guessRepoRoot(), raw);
+  }
+  return path.join(DATA_DIR, `${name}.json`);
+}
+
+function historyDir() {
+  return process.env.HISTORY_DIR ? path.resolve(process.env.HISTORY_DIR) : path.join(DATA_DIR, "history");
+}
+
+const historyFile = (asin) => path.join(historyDir(), `${String(asin).replace(/[^\w-]/g, "")}.jsonl`);
+
+function writeAtomic(file, text) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, text, "utf-8");
+  fs.renameSync(tmp, file);
+}
+
+export function createJsonDriver() {
+  return {
+    name: "json",
+
+    locate(name) {
+      return name === "history" ? historyDir() : docPath(name);
+    },
+
+    // 無い / 空のときだけ null。壊れたファイルは空扱いにすると次の保存で上書きしてしまうので投げる
+    readDoc(name) {
+      const file = docPath(name);
+      if (!fs.existsSync(file)) return null;
+      const s = fs.readFileSync(file, "utf-8");
+      if (!s.trim()) return null;
+      try {
+        return JSON.parse(s);
+      } catch (e) {
+        throw new Error(`${file} is not valid JSON (fix or remove it): ${e.message}`, { cause: e });
+      }
+    },
+
+    writeDoc(name, value) {
+      writeAtomic(docPath(name), JSON.stringify(value, null, 2));
+    },
+
+    appendHistory(asin, row) {
+      fs.mkdirSync(historyDir(), { recursive: true });
+      fs.appendFileSync(historyFile(asin), `${JSON.stringify(row)}\n`, "utf-8");
+    },
+
+    readHistory(asin) {
+      const file = historyFile(asin);
+      if (!fs.existsSync(file)) return [];
+      const out = [];
+      for (const line of fs.readFileSync(file, "utf-8").split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          out.push(JSON.parse(line));
+        } catch {
+          // 書き込み途中で落ちた行は読み飛ばす
+        }
+      }
+      return out;
+    },
+
+    replaceHistory(asin, rows) {
+      writeAtomic(historyFile(asin), rows.map((r) => JSON.stringify(r)).join("\n") + (rows.length ? "\n" : ""));
+    },
+
+    historyAsins() {
+      const dir = historyDir();
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir).filter((f) => f.endsWith(".jsonl")).map((f) => f.slice(0, -6));
+    },
+
+    close() {},
+  };
+}
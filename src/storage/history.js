@@ -0,0 +1,113 @@
+// src/storage/history.js
+// ASIN ごとの価格/ランキング時系列（追記型、json ドライバなら data/history/<ASIN>.jsonl）
+// - appendPoint で追記するだけ（既存行は書き換えない）
+// - HISTORY_COMPACT_DAYS より古い生ポイントは compactHistory で1日1ポイントに圧縮
+//   圧縮後のポイントは { d: "YYYY-MM-DD", ...その日の最後の値, min: {...}, max: {...} }
+import { getDriver } from "./driver.js";
+
+const COMPACT_DAYS = Number(process.env.HISTORY_COMPACT_DAYS || 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 日付の区切りは JST
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+export function historyAbsPath() { return getDriver().locate("history"); }
+
+const dayOf = (t) => new Date(t + JST_OFFSET_MS).toISOString().slice(0, 10);
+
+/**
+ * 1ポイント追記
+ * @param {string} asin
+ * @param {{ t?: number, price?: number|null, rank?: number|null, [k: string]: any }} point
+ */
+export function appendPoint(asin, point) {
+  if (!asin) return;
+  getDriver().appendHistory(asin, { t: point.t ?? Date.now(), ...point });
+}
+
+/**
+ * 時系列を古い順で返す
+ * @param {string} asin
+ * @param {{ sinceDays?: number }} [options]
+ */
+export function readSeries(asin, options = {}) {
+  const since = options.sinceDays != null ? Date.now() - options.sinceDays * DAY_MS : -Infinity;
+  return getDriver()
+    .readHistory(asin)
+    .filter((p) => typeof p.t === "number" && p.t >= since)
+    .sort((a, b) => a.t - b.t);
+}
+
+/** 記録開始以来（または sinceDays 以内）の最小値 { value, t } */
+export function lowestSince(asin, field = "price", options = {}) {
+  let best = null;
+  for (const p of readSeries(asin, options)) {
+    const v = p.min?.[field] ?? p[field];
+    if (typeof v !== "number") continue;
+    if (!best || v < best.value) best = { value: v, t: p.t };
+  }
+  return best;
+}
+
+/** days 日間の推移 { first, last, delta, pct }（データ不足なら null） */
+export function trend(asin, field = "price", days = 7) {
+  const values = readSeries(asin, { sinceDays: days }).filter((p) => typeof p[field] === "number");
+  if (values.length < 2) return null;
+  const first = values[0][field];
+  const last = values[values.length - 1][field];
+  return { first, last, delta: last - first, pct: first ? (last - first) / first : null };
+}
+
+// cutoff より前の生ポイントを日ごとにまとめる。同じ日の圧縮済みポイントがあればそこに足す（1日1ポイントを保つ）
+function compactPoints(points, cutoff) {
+  const out = [];
+  const byDay = new Map();
+
+  for (const p of points) {
+    if (p.d) {
+      byDay.set(p.d, { ...p, min: { ...p.min }, max: { ...p.max } });
+      continue;
+    }
+    if (p.t >= cutoff) {
+      out.push(p);
+      continue;
+    }
+    const d = dayOf(p.t);
+    const agg = byDay.get(d) || { d, min: {}, max: {} };
+    for (const [k, v] of Object.entries(p)) {
+      if (k === "t" || k === "min" || k === "max") continue;
+      agg[k] = v;
+      if (typeof v === "number") {
+        agg.min[k] = Math.min(agg.min[k] ?? v, v);
+        agg.max[k] = Math.max(agg.max[k] ?? v, v);
+      }
+    }
+    agg.t = p.t;
+    byDay.set(d, agg);
+  }
+
+  return [...byDay.values(), ...out].sort((a, b) => a.t - b.t);
+}
+
+/**
+ * 古い生ポイントを1日1ポイントに圧縮（ASIN 単位で丸ごと置き換え）
+ * @param {{ asins?: string[], olderThanDays?: number }} [options] asins 省略時は全 ASIN
+ * @returns {number} 圧縮した ASIN 数
+ */
+export function compactHistory(options = {}) {
+  const driver = getDriver();
+  const olderThanDays = options.olderThanDays ?? COMPACT_DAYS;
+  // 日の途中で切ると同じ日が圧縮済み / 生ポイントに分かれるので、JST の日の始まりに揃える
+  const raw = Date.now() - olderThanDays * DAY_MS;
+  const cutoff = raw - ((raw + JST_OFFSET_MS) % DAY_MS);
+  const asins = options.asins ?? driver.historyAsins();
+
+  let compacted = 0;
+  for (const asin of asins) {
+    const points = readSeries(asin);
+    if (!points.some((p) => !p.d && p.t < cutoff)) continue;
+
+    driver.replaceHistory(asin, compactPoints(points, cutoff));
+    compacted += 1;
+  }
+  return compacted;
+}
@@ -0,0 +1,61 @@
+// src/storage/outbox.js
+// 届かなかった Slack メッセージの送信待ち（ドライバ経由: json なら data/outbox.json）
+//   entries: [{ id, job, createdAt, attempts, nextAt, lastError, payload, dest, meta }]
+//   job:  どのジョブが再送と state への反映を受け持つか（"monitor" / "monitor_watchlist" など）
+//   dest: { webhookEnv, channel, threadTs, replyBroadcast }（Webhook URL そのものは保存しない）
+//   meta: 届いたときに state へ反映する内容（ジョブごとの形。反映するものが無い entry は null）
+// 読み書きのたびに読み直す（同時に動く別ジョブの追加を消さないため）
+import crypto from "crypto";
+import { getDriver } from "./driver.js";
+
+export function loadOutbox() {
+  const o = getDriver().readDoc("outbox");
+  const box = o && typeof o === "object" ? o : {};
+  if (!Array.isArray(box.entries)) box.entries = [];
+  return box;
+}
+
+function update(fn) {
+  const box = loadOutbox();
+  const out = fn(box);
+  box.updatedAt = Date.now();
+  getDriver().writeDoc("outbox", box);
+  return out;
+}
+
+/** 送信待ちに追加して entry を返す */
+export function queueMessage({ job, payload, dest, meta = null, attempts = 1, nextAt, lastError = null }, now = Date.now()) {
+  const entry = {
+    id: crypto.randomUUID(),
+    job,
+    createdAt: now,
+    attempts,
+    nextAt: nextAt ?? now,
+    lastError,
+    payload,
+    dest,
+    meta,
+  };
+  update((box) => box.entries.push(entry));
+  return entry;
+}
+
+/** job の送信待ち（古い順） */
+export function queuedMessages(job) {
+  return loadOutbox()
+    .entries.filter((e) => !job || e.job === job)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export function removeMessage(id) {
+  update((box) => {
+    box.entries = box.entries.filter((e) => e.id !== id);
+  });
+}
+
+export function rescheduleMessage(id, { attempts, nextAt, lastError }) {
+  update((box) => {
+    const e = box.entries.find((x) => x.id === id);
+    if (e) Object.assign(e, { attempts, nextAt, lastError });
+  });
+}
@@ -0,0 +1,92 @@
+// test/blockkit.test.js
+// 50 ブロックを超える payload の分割と、画像を外す送り直し用の payload（services/blockkit.js）
+import test from "node:test";
+import assert from "node:assert/strict";
+import { splitPayload, stripImages, MAX_BLOCKS } from "../src/services/blockkit.js";
+
+// 1商品 = section + context + divider
+const item = (i) => [
+  { type: "section", text: { type: "mrkdwn", text: `item ${i}` } },
+  { type: "context", elements: [{ type: "mrkdwn", text: `ctx ${i}` }] },
+  { type: "divider" },
+];
+const items = (n) => Array.from({ length: n }, (_, i) => item(i)).flat();
+
+test("a payload within the limit is sent as one part", () => {
+  const { parts, notes } = splitPayload({ text: "hello", blocks: items(3) });
+  assert.equal(parts.length, 1);
+  assert.equal(parts[0].text, "hello");
+  // 末尾の divider は詰める
+  assert.equal(parts[0].blocks.length, 8);
+  assert.deepEqual(notes, []);
+});
+
+test("a payload without blocks passes through", () => {
+  const { parts } = splitPayload({ text: "plain" });
+  assert.deepEqual(parts, [{ text: "plain" }]);
+});
+
+test("over the limit it splits on dividers and numbers the text", () => {
+  const { parts, notes } = splitPayload({ text: "deals", blocks: items(20) });
+  assert.equal(parts.length, 2);
+  assert.deepEqual(
+    parts.map((p) => p.text),
+    ["deals (1/2)", "deals (2/2)"]
+  );
+  for (const p of parts) assert.ok(p.blocks.length <= MAX_BLOCKS);
+  // 商品の途中では切らない
+  assert.equal(parts[0].blocks.at(-1).type, "divider");
+  assert.equal(parts[1].blocks[0].type, "section");
+  // 順番どおりで、欠けも重複もない
+  const texts = parts.flatMap((p) => p.blocks).filter((b) => b.type === "section").map((b) => b.text.text);
+  assert.deepEqual(texts, Array.from({ length: 20 }, (_, i) => `item ${i}`));
+  assert.match(notes.join("\n"), /59 blocks split into 2 messages/);
+});
+
+test("a single segment larger than the limit is cut mechanically", () => {
+  const blocks = Array.from({ length: 120 }, (_, i) => ({ type: "section", text: { type: "mrkdwn", text: `b${i}` } }));
+  const { parts } = splitPayload({ text: "t", blocks }, 50);
+  assert.deepEqual(
+    parts.map((p) => p.blocks.length),
+    [50, 50, 20]
+  );
+});
+
+test("blocks that are all invalid fall back to text only", () => {
+  const { parts, notes } = splitPayload({ text: "t", blocks: [{ type: "divider" }] });
+  assert.deepEqual(parts, [{ text: "t" }]);
+  assert.match(notes.join("\n"), /text only/);
+});
+
+test("stripImages removes image blocks, accessories and context images", () => {
+  const payload = {
+    text: "t",
+    blocks: [
+      { type: "image", image_url: "https://example.com/a.png", alt_text: "a" },
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: "s" },
+        accessory: { type: "image", image_url: "https://example.com/b.png", alt_text: "b" },
+      },
+      {
+        type: "context",
+        elements: [
+          { type: "image", image_url: "https://example.com/c.png", alt_text: "c" },
+          { type: "mrkdwn", text: "c" },
+        ],
+      },
+      { type: "context", elements: [{ type: "image", image_url: "https://example.com/d.png", alt_text: "d" }] },
+    ],
+  };
+  const out = stripImages(payload);
+  assert.deepEqual(out.blocks, [
+    { type: "section", text: { type: "mrkdwn", text: "s" } },
+    { type: "context", elements: [{ type: "mrkdwn", text: "c" }] },
+  ]);
+  assert.equal(out.text, "t");
+});
+
+test("stripImages returns null when there is nothing to strip", () => {
+  assert.equal(stripImages({ text: "t", blocks: items(1) }), null);
+  assert.equal(stripImages({ text: "t" }), null);
+});
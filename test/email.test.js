@@ -0,0 +1,98 @@
+// test/email.test.js
+// SMTP 送信（services/email.js）を SMTP のスタンドイン（scripts/standin.js）に向けて
+// email.js は読み込み時に SMTP_* を読むので、設定ごとにクエリを変えて読み直す
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createSmtpStandin } from "../scripts/standin.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pricewatch-test-email-"));
+const smtp = createSmtpStandin(dir);
+await new Promise((r) => smtp.server.listen(0, "127.0.0.1", r));
+
+const BASE_ENV = {
+  SMTP_HOST: "127.0.0.1",
+  SMTP_PORT: String(smtp.server.address().port),
+  SMTP_SECURE: "off",
+  SMTP_FROM: "pricewatch@example.com",
+  SMTP_USER: "",
+  SMTP_PASS: "",
+  SMTP_ALLOW_PLAIN_AUTH: "off",
+  EMAIL_TO: "team@example.com",
+};
+
+let seq = 0;
+async function loadEmail(env = {}) {
+  Object.assign(process.env, BASE_ENV, env);
+  seq += 1;
+  return import(`../src/services/email.js?case=${seq}`);
+}
+
+const received = () =>
+  fs.existsSync(smtp.emailLog)
+    ? fs.readFileSync(smtp.emailLog, "utf-8").split("\n").filter(Boolean).map((l) => JSON.parse(l))
+    : [];
+
+const payload = {
+  text: "*おもちゃ* 3件の値下がり",
+  blocks: [{ type: "section", text: { type: "mrkdwn", text: "*<https://www.amazon.co.jp/dp/B0TEST0000|テスト商品>*\n¥1,980" } }],
+};
+
+after(() => {
+  smtp.server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("sends a multipart message without AUTH when no user is set", async () => {
+  const { email } = await loadEmail();
+  const r = await email(payload, { to: ["a@example.com", "b@example.com"] });
+  assert.deepEqual(r, { ok: true, transport: "email", channel: null, ts: null, parts: 1 });
+
+  const [mail] = received().slice(-1);
+  assert.equal(mail.from, "pricewatch@example.com");
+  assert.deepEqual(mail.to, ["a@example.com", "b@example.com"]);
+  assert.equal(mail.subject, "[pricewatch] おもちゃ 3件の値下がり");
+  assert.match(mail.data, /Content-Type: multipart\/alternative/);
+  assert.match(mail.data, /Content-Type: text\/html; charset=UTF-8/);
+});
+
+test("long subjects are split into encoded-words that decode back", async () => {
+  const { email } = await loadEmail();
+  const text = "値下がり".repeat(25);
+  await email({ text }, {});
+
+  const [mail] = received().slice(-1);
+  assert.deepEqual(mail.to, ["team@example.com"]);
+  assert.equal(mail.subject, `[pricewatch] ${text}`.slice(0, "[pricewatch] ".length + 120));
+  const header = mail.data.match(/^Subject: (.*(?:\r\n[ \t].*)*)/m)[1];
+  for (const line of header.split("\r\n")) assert.ok(line.length <= 76, `line too long: ${line.length}`);
+  assert.ok(header.split("=?UTF-8?B?").length > 2, "uses more than one encoded-word");
+});
+
+test("refuses AUTH over a plaintext connection", async () => {
+  const before = received().length;
+  const { email } = await loadEmail({ SMTP_USER: "user", SMTP_PASS: "secret" });
+  await assert.rejects(email(payload, {}), (err) => {
+    assert.match(err.message, /SMTP AUTH refused without TLS/);
+    assert.equal(err.status, 530);
+    assert.equal(err.retryable, false);
+    return true;
+  });
+  assert.equal(received().length, before);
+});
+
+test("SMTP_ALLOW_PLAIN_AUTH=on sends AUTH without TLS", async () => {
+  const { email } = await loadEmail({ SMTP_USER: "user", SMTP_PASS: "secret", SMTP_ALLOW_PLAIN_AUTH: "on" });
+  const before = received().length;
+  await email(payload, {});
+  assert.equal(received().length, before + 1);
+});
+
+test("missing settings fail before connecting", async () => {
+  const { email } = await loadEmail({ SMTP_HOST: "" });
+  await assert.rejects(email(payload, {}), /SMTP_HOST is required/);
+  const { email: noTo } = await loadEmail({ EMAIL_TO: "" });
+  await assert.rejects(noTo(payload, {}), /no recipients/);
+});
@@ -0,0 +1,172 @@
+// test/outbox.test.js
+// 送信待ち（services/outbox.js）: 分けた投稿の途中で止まったときの積み方と、再送の順番・打ち切り
+// Slack の Incoming Webhook は、応答コードを順に返すだけのローカルサーバーで代用する
+import test, { after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pricewatch-test-outbox-"));
+const posts = [];
+let statuses = [];
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.setEncoding("utf-8");
+  req.on("data", (c) => (body += c));
+  req.on("end", () => {
+    const status = statuses.shift() ?? 200;
+    posts.push({ status, payload: JSON.parse(body) });
+    res.writeHead(status, status === 429 ? { "retry-after": "30" } : {});
+    res.end(status === 200 ? "ok" : "error");
+  });
+});
+await new Promise((r) => server.listen(0, "127.0.0.1", r));
+
+// モジュールの読み込み時に env を読むので、先に決めておく
+Object.assign(process.env, {
+  STORAGE_DRIVER: "json",
+  DATA_DIR: dir,
+  FIXTURES: "off",
+  SLACK_TRANSPORT: "webhook",
+  SLACK_WEBHOOK_URL: `http://127.0.0.1:${server.address().port}/slack`,
+  SLACK_MAX_RETRIES: "1",
+  OUTBOX_MAX_ATTEMPTS: "3",
+  OUTBOX_MAX_AGE_HOURS: "24",
+});
+const { deliver, flushOutbox } = await import("../src/services/outbox.js");
+const { queueMessage, queuedMessages } = await import("../src/storage/outbox.js");
+
+const HOUR = 60 * 60 * 1000;
+const later = () => Date.now() + 24 * HOUR - 1000; // 積んだものの nextAt（最大 1 時間後）は過ぎていて、古すぎもしない
+
+// 60 ブロック → 2通（(1/2) / (2/2)）
+const bigPayload = () => ({
+  text: "deals",
+  blocks: Array.from({ length: 20 }, (_, i) => [
+    { type: "section", text: { type: "mrkdwn", text: `item ${i}` } },
+    { type: "context", elements: [{ type: "mrkdwn", text: `ctx ${i}` }] },
+    { type: "divider" },
+  ]).flat(),
+});
+
+beforeEach(() => {
+  fs.rmSync(path.join(dir, "outbox.json"), { force: true });
+  posts.length = 0;
+  statuses = [];
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("first part delivered, later part queued without meta", async () => {
+  statuses = [200, 500];
+  const r = await deliver(bigPayload(), {}, { job: "monitor", meta: { keys: ["a"] } });
+
+  assert.equal(r.ok, true);
+  assert.equal(r.queued, true);
+  const queued = queuedMessages("monitor");
+  assert.equal(queued.length, 1);
+  assert.equal(queued[0].payload.text, "deals (2/2)");
+  assert.equal(queued[0].meta, null);
+  assert.equal(queued[0].dest.webhookEnv, "SLACK_WEBHOOK_URL");
+
+  // 再送で届いても meta は無い（1通目の結果で state に反映済み）
+  const delivered = await flushOutbox("monitor", later());
+  assert.equal(delivered.length, 1);
+  assert.equal(delivered[0].meta, null);
+  assert.equal(posts.at(-1).payload.text, "deals (2/2)");
+  assert.equal(queuedMessages("monitor").length, 0);
+});
+
+test("a failed first part queues every part in order, meta only on the first", async () => {
+  statuses = [503];
+  const r = await deliver(bigPayload(), {}, { job: "monitor", meta: { keys: ["a"] } });
+
+  assert.equal(r.ok, false);
+  assert.equal(r.queued, true);
+  assert.equal(r.sent, 0);
+  const queued = queuedMessages("monitor");
+  assert.deepEqual(
+    queued.map((e) => [e.payload.text, e.meta]),
+    [
+      ["deals (1/2)", { keys: ["a"] }],
+      ["deals (2/2)", null],
+    ]
+  );
+});
+
+test("without a job nothing is queued", async () => {
+  statuses = [500];
+  const r = await deliver({ text: "hi" }, {});
+  assert.equal(r.ok, false);
+  assert.equal(r.queued, false);
+  assert.equal(queuedMessages().length, 0);
+});
+
+test("non-retryable failures are not queued", async () => {
+  statuses = [400];
+  const r = await deliver({ text: "hi" }, {}, { job: "monitor" });
+  assert.equal(r.ok, false);
+  assert.equal(r.queued, false);
+  assert.equal(queuedMessages().length, 0);
+});
+
+test("flush sends oldest first, only for its job, and returns meta", async () => {
+  const now = Date.now();
+  queueMessage({ job: "monitor", payload: { text: "second" }, dest: {}, meta: { n: 2 } }, now - 2000);
+  queueMessage({ job: "monitor_watchlist", payload: { text: "other job" }, dest: {} }, now - 4000);
+  queueMessage({ job: "monitor", payload: { text: "first" }, dest: {}, meta: { n: 1 } }, now - 3000);
+  queueMessage({ job: "monitor", payload: { text: "not yet" }, dest: {}, nextAt: now + HOUR }, now - 1000);
+
+  const delivered = await flushOutbox("monitor", now);
+  assert.deepEqual(
+    posts.map((p) => p.payload.text),
+    ["first", "second"]
+  );
+  assert.deepEqual(
+    delivered.map((e) => e.meta),
+    [{ n: 1 }, { n: 2 }]
+  );
+  assert.deepEqual(
+    queuedMessages().map((e) => e.payload.text),
+    ["other job", "not yet"]
+  );
+});
+
+test("a 429 during flush reschedules that entry and leaves the rest for the next run", async () => {
+  const now = Date.now();
+  queueMessage({ job: "monitor", payload: { text: "a" }, dest: {} }, now - 2000);
+  queueMessage({ job: "monitor", payload: { text: "b" }, dest: {} }, now - 1000);
+  statuses = [429];
+
+  const delivered = await flushOutbox("monitor", now);
+  assert.equal(delivered.length, 0);
+  assert.equal(posts.length, 1);
+  const [a, b] = queuedMessages("monitor");
+  assert.equal(a.payload.text, "a");
+  assert.equal(a.attempts, 2);
+  assert.ok(a.nextAt >= now + 60_000, "waits at least the backoff");
+  assert.match(a.lastError, /429/);
+  assert.equal(b.attempts, 1);
+});
+
+test("entries past the max age or attempts are dropped", async () => {
+  const now = Date.now();
+  queueMessage({ job: "monitor", payload: { text: "stale" }, dest: {} }, now - 25 * HOUR);
+  queueMessage({ job: "monitor", payload: { text: "tired" }, dest: {}, attempts: 2 }, now - 1000);
+  statuses = [500];
+
+  const delivered = await flushOutbox("monitor", now);
+  assert.equal(delivered.length, 0);
+  // 古いものは送らずに捨てる。もう一方は 3 回目も届かず捨てる
+  assert.deepEqual(
+    posts.map((p) => p.payload.text),
+    ["tired"]
+  );
+  assert.equal(queuedMessages("monitor").length, 0);
+});
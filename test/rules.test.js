@@ -0,0 +1,57 @@
+// test/rules.test.js
+// ルール式（jobs/lib/rules.js）の構文と評価
+import test from "node:test";
+import assert from "node:assert/strict";
+import { compileRule } from "../src/jobs/lib/rules.js";
+
+test("empty rule matches everything", () => {
+  assert.equal(compileRule("").test({}), true);
+  assert.equal(compileRule(null).test({}), true);
+});
+
+test("comparisons, && / || and parentheses", () => {
+  const rule = compileRule("sellers >= 3 && (rank < 5000 || sold30 >= 30)");
+  assert.equal(rule.test({ sellers: 3, rank: 4999, sold30: 0 }), true);
+  assert.equal(rule.test({ sellers: 3, rank: 9000, sold30: 30 }), true);
+  assert.equal(rule.test({ sellers: 2, rank: 100, sold30: 100 }), false);
+  assert.equal(rule.test({ sellers: 3, rank: 9000, sold30: 29 }), false);
+});
+
+test("AND / OR / NOT keywords are case-insensitive aliases", () => {
+  const rule = compileRule("!amazonInStock AND (rank < 5000 or NOT hasBuyBox)");
+  assert.equal(rule.test({ amazonInStock: false, rank: 100, hasBuyBox: true }), true);
+  assert.equal(rule.test({ amazonInStock: false, rank: 9000, hasBuyBox: false }), true);
+  assert.equal(rule.test({ amazonInStock: true, rank: 100, hasBuyBox: false }), false);
+});
+
+test("percent literals and nested fields", () => {
+  const rule = compileRule("delta7.buyBox <= -15%");
+  assert.equal(rule.test({ delta7: { buyBox: -0.2 } }), true);
+  assert.equal(rule.test({ delta7: { buyBox: -0.1 } }), false);
+  assert.equal(compileRule("ratio == 50%").test({ ratio: 0.5 }), true);
+});
+
+test("null fields never satisfy an ordering comparison but can be checked with == null", () => {
+  assert.equal(compileRule("price >= 0").test({ price: null }), false);
+  assert.equal(compileRule("price < 0").test({}), false);
+  assert.equal(compileRule("price == null").test({ price: null }), true);
+  assert.equal(compileRule("price != null").test({ price: 1000 }), true);
+});
+
+test("strings and booleans", () => {
+  assert.equal(compileRule('buyBoxOwner == "amazon"').test({ buyBoxOwner: "amazon" }), true);
+  assert.equal(compileRule("buyBoxOwner != 'amazon'").test({ buyBoxOwner: "3p" }), true);
+  assert.equal(compileRule("amazonInStock == true").test({ amazonInStock: false }), false);
+});
+
+test("syntax errors name the position and the rule", () => {
+  assert.throws(() => compileRule("price >="), /^Error: rule: .* in "price >="$/);
+  assert.throws(() => compileRule("(price > 1"), /rule: /);
+  assert.throws(() => compileRule('title == "abc'), /unterminated string/);
+});
+
+test("fields option rejects unknown identifiers", () => {
+  const fields = ["price", "rank"];
+  assert.doesNotThrow(() => compileRule("price > 1 && rank < 10", { fields }));
+  assert.throws(() => compileRule("price > 1 && rnak < 10", { fields }), /unknown field "rnak"/);
+});
@@ -0,0 +1,45 @@
+// test/schedule.test.js
+// ダイジェストの投稿時刻の計算（jobs/lib/schedule.js）
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseDaily, parseWeekly, lastSlot } from "../src/jobs/lib/schedule.js";
+
+const at = (iso) => Date.parse(iso);
+
+test("parseDaily / parseWeekly", () => {
+  assert.equal(parseDaily("20:00"), 20 * 60);
+  assert.equal(parseDaily("7:05"), 7 * 60 + 5);
+  assert.equal(parseDaily("24:00"), null);
+  assert.equal(parseDaily("12:60"), null);
+  assert.equal(parseDaily("noon"), null);
+  assert.deepEqual(parseWeekly("Mon 20:00"), { weekday: 1, minutes: 20 * 60 });
+  assert.equal(parseWeekly("xyz 20:00"), null);
+  assert.equal(parseWeekly("mon"), null);
+});
+
+test("daily slot in Asia/Tokyo", () => {
+  // 20:00 JST = 11:00Z
+  assert.equal(lastSlot("daily", "20:00", at("2026-03-10T11:00:00Z")), at("2026-03-10T11:00:00Z"));
+  assert.equal(lastSlot("daily", "20:00", at("2026-03-10T12:00:00Z")), at("2026-03-10T11:00:00Z"));
+  assert.equal(lastSlot("daily", "20:00", at("2026-03-10T10:59:59Z")), at("2026-03-09T11:00:00Z"));
+  // 08:00 JST は UTC では前日
+  assert.equal(lastSlot("daily", "08:00", at("2026-03-10T00:30:00Z")), at("2026-03-09T23:00:00Z"));
+});
+
+test("weekly slot goes back to the last matching weekday", () => {
+  // 2026-03-10 は火曜（JST）。直近の月曜 20:00 JST
+  assert.equal(lastSlot("weekly", "mon 20:00", at("2026-03-10T03:00:00Z")), at("2026-03-09T11:00:00Z"));
+  // 月曜の 20:00 より前なら前の週
+  assert.equal(lastSlot("weekly", "mon 20:00", at("2026-03-09T10:00:00Z")), at("2026-03-02T11:00:00Z"));
+});
+
+test("daylight saving time zones use the offset of that day", () => {
+  // America/New_York: 2026-03-08 に EST(-5) → EDT(-4)
+  assert.equal(lastSlot("daily", "09:00", at("2026-03-06T15:00:00Z"), "America/New_York"), at("2026-03-06T14:00:00Z"));
+  assert.equal(lastSlot("daily", "09:00", at("2026-03-10T15:00:00Z"), "America/New_York"), at("2026-03-10T13:00:00Z"));
+});
+
+test("an invalid schedule throws", () => {
+  assert.throws(() => lastSlot("daily", "8pm"), /invalid daily schedule "8pm"/);
+  assert.throws(() => lastSlot("weekly", "20:00"), /invalid weekly schedule "20:00"/);
+});
@@ -0,0 +1,43 @@
+// test/slack_signature.test.js
+// Slack リクエストの署名検証（interactions/signature.js）
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { verifySlackSignature } from "../src/interactions/signature.js";
+
+const SECRET = "test-signing-secret";
+const NOW = 1_700_000_000;
+const BODY = "token=x&command=%2Fpricewatch&text=list";
+
+const sign = (body, timestamp, secret = SECRET) =>
+  `v0=${crypto.createHmac("sha256", secret).update(`v0:${timestamp}:${body}`).digest("hex")}`;
+const headers = (timestamp, signature) => ({
+  "x-slack-request-timestamp": String(timestamp),
+  "x-slack-signature": signature,
+});
+
+test("accepts a request signed with the secret", () => {
+  assert.equal(verifySlackSignature(BODY, headers(NOW, sign(BODY, NOW)), SECRET, NOW), true);
+});
+
+test("rejects a tampered body or another secret", () => {
+  assert.equal(verifySlackSignature(`${BODY}&x=1`, headers(NOW, sign(BODY, NOW)), SECRET, NOW), false);
+  assert.equal(verifySlackSignature(BODY, headers(NOW, sign(BODY, NOW, "other")), SECRET, NOW), false);
+});
+
+test("rejects timestamps more than 5 minutes away", () => {
+  const old = NOW - 5 * 60 - 1;
+  assert.equal(verifySlackSignature(BODY, headers(old, sign(BODY, old)), SECRET, NOW), false);
+  const edge = NOW - 5 * 60;
+  assert.equal(verifySlackSignature(BODY, headers(edge, sign(BODY, edge)), SECRET, NOW), true);
+  const future = NOW + 5 * 60 + 1;
+  assert.equal(verifySlackSignature(BODY, headers(future, sign(BODY, future)), SECRET, NOW), false);
+});
+
+test("rejects missing headers, a malformed signature and an empty secret", () => {
+  assert.equal(verifySlackSignature(BODY, {}, SECRET, NOW), false);
+  assert.equal(verifySlackSignature(BODY, headers("abc", sign(BODY, NOW)), SECRET, NOW), false);
+  assert.equal(verifySlackSignature(BODY, headers(NOW, sign(BODY, NOW).slice(3)), SECRET, NOW), false);
+  assert.equal(verifySlackSignature(BODY, headers(NOW, `${sign(BODY, NOW)}0`), SECRET, NOW), false);
+  assert.equal(verifySlackSignature(BODY, headers(NOW, sign(BODY, NOW, "")), "", NOW), false);
+});